@@ -5,11 +5,18 @@
 let billClaims = [];
 let currentEditIndex = -1;
 
+// Bill types that are salary arrears and may relate to an earlier fiscal year (Section 89)
+const arrearBillTypes = ['Pay Arrear', 'HRA ARREAR', 'RHA ARREAR', 'Other Arrear'];
+
 // Initialize on page load
 document.addEventListener('DOMContentLoaded', function() {
     loadBillClaims();
+    populateArrearFiscalYearSelect();
     renderBillClaimsTable();
 
+    // Only arrears can be attributed to an earlier fiscal year
+    document.getElementById('billType').addEventListener('change', updateArrearFiscalYearState);
+
     // Add event listener for regiment number input
     document.getElementById('regtNo').addEventListener('blur', function() {
         const regtNo = this.value.trim();
@@ -80,15 +87,42 @@ function addBillClaim() {
     alert('Bill claim added successfully!');
 }
 
+// Fill the arrear fiscal year select with the years before the active one
+function populateArrearFiscalYearSelect() {
+    const select = document.getElementById('arrearFiscalYear');
+    const activeStartYear = parseInt(DataManager.getActiveFiscalYear());
+
+    for (let year = activeStartYear - 1; year >= activeStartYear - 10; year--) {
+        const option = document.createElement('option');
+        option.value = `${year}-${year + 1}`;
+        option.textContent = `${year}-${year + 1}`;
+        select.appendChild(option);
+    }
+}
+
+// Enable the arrear fiscal year select for arrear bill types only
+function updateArrearFiscalYearState() {
+    const select = document.getElementById('arrearFiscalYear');
+    const isArrear = arrearBillTypes.includes(document.getElementById('billType').value);
+
+    select.disabled = !isArrear;
+    if (!isArrear) {
+        select.value = '';
+    }
+}
+
 // Get form data
 function getFormData() {
+    const billType = document.getElementById('billType').value;
+
     return {
         regtNo: document.getElementById('regtNo').value.trim(),
         name: document.getElementById('name').value.trim(),
         rank: document.getElementById('rank').value.trim(),
-        billType: document.getElementById('billType').value,
+        billType: billType,
         amount: parseFloat(document.getElementById('amount').value) || 0,
         taxable: true, // All bill claims are taxable by default
+        arrearFiscalYear: arrearBillTypes.includes(billType) ? document.getElementById('arrearFiscalYear').value : '',
         description: document.getElementById('description').value.trim(),
         dateAdded: new Date().toISOString()
     };
@@ -122,6 +156,7 @@ function validateClaimData(claim) {
 // Clear the form
 function clearForm() {
     document.getElementById('billClaimForm').reset();
+    updateArrearFiscalYearState();
     currentEditIndex = -1;
     document.getElementById('submitBtn').textContent = 'Add Claim';
 }
@@ -172,6 +207,14 @@ function editBillClaim(index) {
         document.getElementById('name').value = claim.name;
         document.getElementById('rank').value = claim.rank;
         document.getElementById('billType').value = claim.billType;
+        updateArrearFiscalYearState();
+        if (claim.arrearFiscalYear) {
+            const select = document.getElementById('arrearFiscalYear');
+            if (!Array.from(select.options).some(option => option.value === claim.arrearFiscalYear)) {
+                select.add(new Option(claim.arrearFiscalYear, claim.arrearFiscalYear));
+            }
+            select.value = claim.arrearFiscalYear;
+        }
         document.getElementById('amount').value = claim.amount;
         document.getElementById('taxable').checked = claim.taxable;
         document.getElementById('description').value = claim.description;
@@ -208,7 +251,7 @@ function renderBillClaimsTable() {
             <td>${claim.regtNo}</td>
             <td>${claim.name}</td>
             <td>${claim.rank}</td>
-            <td>${claim.billType}</td>
+            <td>${claim.billType}${claim.arrearFiscalYear ? ` (FY ${claim.arrearFiscalYear})` : ''}</td>
             <td>${formatCurrency(claim.amount)}</td>
             <td>${claim.taxable ? 'Yes' : 'No'}</td>
             <td>
@@ -259,6 +302,7 @@ function processBillClaimsXLSX(file) {
                     amount: safeParseNumber(row[4]),
                     taxable: true, // All bills are taxable by default
                     description: String(row[6] || '').trim(),
+                    arrearFiscalYear: String(row[7] || '').trim(),
                     dateAdded: new Date().toISOString()
                 });
             });
@@ -312,10 +356,10 @@ function exportToCSV() {
         return;
     }
 
-    let csvContent = "Regiment No,Name,Rank,Bill Type,Amount,Taxable,Description\n";
+    let csvContent = "Regiment No,Name,Rank,Bill Type,Amount,Taxable,Description,Arrear FY\n";
 
     billClaims.forEach(claim => {
-        csvContent += `"${claim.regtNo}","${claim.name}","${claim.rank}","${claim.billType}",${claim.amount},${claim.taxable ? 'Yes' : 'No'},"${claim.description}"\n`;
+        csvContent += `"${claim.regtNo}","${claim.name}","${claim.rank}","${claim.billType}",${claim.amount},${claim.taxable ? 'Yes' : 'No'},"${claim.description}","${claim.arrearFiscalYear || ''}"\n`;
     });
 
     const blob = new Blob([csvContent], { type: 'text/csv' });
@@ -332,8 +332,10 @@ function displayCurrentPage() {
                 const employee = allData[regtNo];
                 employeeCard.outerHTML = generateEmployeeHTML(regtNo, employee, index, this.value);
                 
-                // Reinitialize the date picker
+                // Reinitialize the date picker and card controls
                 initDatePickers();
+                addClearDateListeners();
+                addTaxProfileListeners();
             }
         });
     });
@@ -341,6 +343,9 @@ function displayCurrentPage() {
     // Add event listeners for clear date buttons
     addClearDateListeners();
     
+    // Add event listeners for regime and Chapter VI-A changes
+    addTaxProfileListeners();
+    
     // Update page info
     document.getElementById('pageInfo').textContent = `Employee ${currentPage + 1} of ${employeeIds.length}`;
 }
@@ -369,9 +374,10 @@ function addClearDateListeners() {
                     const employee = allData[regtNo];
                     employeeCard.outerHTML = generateEmployeeHTML(regtNo, employee, index, '');
                     
-                    // Reinitialize the date picker and clear date button
+                    // Reinitialize the date picker, clear date button and card controls
                     initDatePickers();
                     addClearDateListeners();
+                    addTaxProfileListeners();
                 }
             }
         });
@@ -383,77 +389,42 @@ function generateEmployeeHTML(regtNo, employee, index, retirementDate) {
     if (!employee || employee.length === 0) return '';
     
     const firstMonth = employee[0].details;
-    const extendedData = extendTo12Months(employee, retirementDate);
-    const monthsCount = extendedData.length;
-    
-    // Get bill claims for this employee
-    const billClaims = DataManager.loadBillClaims().filter(claim => claim.regtNo === regtNo);
-    
-    // Calculate totals from extended data
-    const annualSalary = extendedData.reduce((sum, entry) => sum + entry.details.total, 0);
-    
-    // Calculate CSV recovery from salary data (column index 39)
-    const csvRecovery = extendedData.reduce((sum, entry) => sum + (entry.details.recovery || 0), 0);
-    
-    // Calculate the sum of tax column from CSV data
-    const csvFileTax = extendedData.reduce((sum, entry) => sum + (entry.details.tax || 0), 0);
-    
-    // Get additional taxable income from bill claims
-    const additionalIncome = billClaims
-        .filter(claim => claim.billType !== 'Recovery' && claim.billType !== 'Tax Deduction' && claim.taxable)
-        .reduce((sum, claim) => sum + claim.amount, 0);
     
-    // Get recoveries from dedicated manual recoveries storage
-    const manualRecoveriesData = DataManager.loadManualRecoveries().filter(recovery => recovery.regtNo === regtNo);
-    const manualRecoveriesAmount = manualRecoveriesData.reduce((sum, recovery) => sum + recovery.amount, 0);
-    
-    // Get legacy recoveries (for backward compatibility) from bill claims
-    const legacyRecoveries = billClaims
-        .filter(claim => claim.billType === 'Recovery')
-        .reduce((sum, claim) => sum + claim.amount, 0);
-    
-    // Total manual recoveries (both new and legacy)
-    const manualRecoveries = manualRecoveriesAmount + legacyRecoveries;
-    
-    // Total recoveries (manual + CSV)
-    const totalRecoveries = manualRecoveries + csvRecovery;
-        
-    // Load tax deductions from their dedicated storage
-    const taxDeductionsData = DataManager.loadTaxDeductions().filter(deduction => deduction.regtNo === regtNo);
-    const manualTaxDeductions = taxDeductionsData.reduce((sum, deduction) => sum + deduction.amount, 0);
-    
-    // Get tax parameters
-    const taxParams = DataManager.getTaxParameters();
-    const standardDeduction = taxParams.standardDeduction || 75000;
-    const educationCessRate = taxParams.educationCess || 4;
-    
-    // Calculate taxable income
-    const taxableIncome = Math.max(0, annualSalary + additionalIncome - totalRecoveries - standardDeduction);
-    
-    // Calculate tax - using tax_utils.js
-    const tax = calculateTax(taxableIncome);
-    // Use Section 87A rebate calculation from tax_utils.js
-    const rebate87A = calculateSection87ARebate(taxableIncome, tax);
-    // Calculate initial net tax after rebate
-    let netTaxAfterRebate = tax - rebate87A;
-    // Calculate marginal relief for incomes just above ₹12 lakh
-    const marginalRelief87AB = calculateMarginalRelief87AB(taxableIncome, netTaxAfterRebate);
-    // Apply marginal relief to net tax
-    const netTax = netTaxAfterRebate - marginalRelief87AB;
-    const educationCess = Math.round(netTax * (educationCessRate / 100));
-    // Include the CSV file I-Tax in deductions
-    const totalTax = Math.max(0, netTax + educationCess - manualTaxDeductions - csvFileTax);
-    
-    // Calculate monthly deduction
-    const monthlyDeduction = monthsCount > 0 ? Math.round(totalTax / monthsCount) : 0;
+    // Compute tax with the shared TaxEngine
+    const computation = TaxEngine.computeForEmployee(regtNo, {
+        salaryMonths: employee,
+        retirementDate: retirementDate || null
+    });
+    const extendedData = computation.months;
+    const billClaims = computation.records.billClaims;
+    const manualRecoveriesData = computation.records.manualRecoveries;
+    const taxDeductionsData = computation.records.taxDeductions;
     
     // Create HTML
     let html = `
         <div id="employee-card-${index}" class="card employee-card mb-4">
             <div class="card-header">
                 <div class="d-flex justify-content-between align-items-center">
-                    <h5 class="mb-0">${firstMonth.rank} ${firstMonth.name} (${regtNo})</h5>
+                    <h5 class="mb-0">
+                        ${firstMonth.rank} ${firstMonth.name} (${regtNo})
+                        ${computation.excessDeduction > 0 ? `<span class="badge bg-danger ms-2">Excess TDS ${formatCurrency(computation.excessDeduction)}</span>` : ''}
+                    </h5>
                     <div class="d-flex align-items-center">
+                        <label class="me-2" for="regime-${index}">Tax Regime:</label>
+                        <select id="regime-${index}" class="form-select form-select-sm regime-select me-3" data-index="${index}" style="width: 150px;">
+                            <option value="new" ${computation.regime === 'new' ? 'selected' : ''}>New Regime</option>
+                            <option value="old" ${computation.regime === 'old' ? 'selected' : ''}>Old Regime</option>
+                        </select>
+                        <label class="me-2">Service Start:</label>
+                        <div class="input-group me-3" style="width: 220px;">
+                            <input type="text" id="serviceStartDate-${index}" class="form-control form-control-sm service-start-date date-picker" data-index="${index}" placeholder="DD-MM-YYYY" value="${computation.serviceStartDate || ''}" title="Joining or transfer-in date">
+                            <button class="btn btn-sm btn-outline-secondary clear-start-date-btn" type="button" data-index="${index}">
+                                <svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                                    <line x1="18" y1="6" x2="6" y2="18"></line>
+                                    <line x1="6" y1="6" x2="18" y2="18"></line>
+                                </svg>
+                            </button>
+                        </div>
                         <label class="me-2">Retirement Date:</label>
                         <div class="input-group" style="width: 220px;">
                             <input type="text" id="retirementDate-${index}" class="form-control form-control-sm retirement-date date-picker" placeholder="DD-MM-YYYY" value="${retirementDate || ''}">
@@ -484,6 +455,7 @@ function generateEmployeeHTML(regtNo, employee, index, retirementDate) {
                 </div>
                 
                 <h6 class="mt-4">Monthly Salary Details</h6>
+                ${generateCalendarNoticeHTML(computation)}
                 <div class="table-responsive-xl monthly-data-table">
                     <table class="table table-sm table-bordered">
                         <thead class="table-dark">
@@ -524,7 +496,7 @@ function generateEmployeeHTML(regtNo, employee, index, retirementDate) {
                         <tbody>`;
     
     // Add rows for each month
-    extendedData.forEach(entry => {
+    extendedData.forEach((entry, monthIndex) => {
         const details = entry.details;
         const otherAllowances = 
             details.tpt + 
@@ -556,10 +528,14 @@ function generateEmployeeHTML(regtNo, employee, index, retirementDate) {
             details.recovery;
             
         const netSalary = details.total - deductions;
+        const isProjected = monthIndex >= computation.actualMonthsCount;
+        const projectionNote = (entry.projectionChanges ? `, ${entry.projectionChanges.join(', ')}` : '') +
+            (entry.proration ? `, prorated ${entry.proration.daysServed}/${entry.proration.daysInMonth} days` : '') +
+            (entry.override ? `, override${entry.override.note ? `: ${escapeHtml(entry.override.note)}` : ''}` : '');
         
         html += `
-            <tr>
-                <td>${entry.month || 'N/A'}</td>
+            <tr class="${isProjected ? 'projected-month' : ''} ${entry.override ? 'overridden-month' : ''}">
+                <td>${entry.month || 'N/A'}${isProjected ? ` <small class="text-muted">(projected${projectionNote})</small>` : ''}</td>
                 <td>${formatCurrency(details.basicPay)}</td>
                 <td>${formatCurrency(details.da)}</td>
                 <td>${formatCurrency(details.tpt)}</td>
@@ -617,7 +593,7 @@ function generateEmployeeHTML(regtNo, employee, index, retirementDate) {
                                 <th>${formatCurrency(extendedData.reduce((sum, entry) => sum + entry.details.rha, 0))}</th>
                                 <th>${formatCurrency(extendedData.reduce((sum, entry) => sum + entry.details.sdaCa, 0))}</th>
                                 <th>${formatCurrency(extendedData.reduce((sum, entry) => sum + entry.details.rumCigaretteAll, 0))}</th>
-                                <th>${formatCurrency(annualSalary)}</th>
+                                <th>${formatCurrency(computation.annualSalary)}</th>
                                 <th>${formatCurrency(extendedData.reduce((sum, entry) => sum + entry.details.gpf, 0))}</th>
                                 <th>${formatCurrency(extendedData.reduce((sum, entry) => sum + entry.details.cpf, 0))}</th>
                                 <th>${formatCurrency(extendedData.reduce((sum, entry) => sum + entry.details.cgegis, 0))}</th>
@@ -640,6 +616,8 @@ function generateEmployeeHTML(regtNo, employee, index, retirementDate) {
                     </table>
                 </div>
                 
+                ${generateMonthOverridesHTML(regtNo, computation, index)}
+                
                 <h6>Manual Recoveries and Bill Claims</h6>
                 <div class="table-responsive">
                     <table class="table table-sm table-bordered">
@@ -694,28 +672,78 @@ function generateEmployeeHTML(regtNo, employee, index, retirementDate) {
                     </table>
                 </div>
                 
+                ${generateChapterVIAHTML(regtNo, computation, index)}
+                
+                ${generateHRAExemptionHTML(regtNo, computation, index)}
+                
+                ${generateRegimeComparisonHTML(computation)}
+                
+                ${generateSection89HTML(regtNo, computation, index)}
+                
+                ${generateTDSScheduleHTML(computation)}
+                
                 <div class="tax-summary card mt-4">
                     <div class="card-body">
                         <h6>Tax Calculation Summary</h6>
                         <div class="tax-summary-item">
-                            <span>Annual Income:</span>
-                            <span>${formatCurrency(annualSalary)}</span>
+                            <span>Tax Regime:</span>
+                            <span>${computation.regimeLabel}</span>
+                        </div>
+                        <div class="tax-summary-item">
+                            <span>Gross Salary:</span>
+                            <span>${formatCurrency(computation.grossSalary)}</span>
+                        </div>
+                        ${computation.prorations.map(proration => `
+                        <div class="tax-summary-item">
+                            <span>Proration for ${proration.reason} (${proration.month}, ${proration.daysServed} of ${proration.daysInMonth} days):</span>
+                            <span>- ${formatCurrency(proration.reduction)}</span>
+                        </div>`).join('')}
+                        <div class="tax-summary-item">
+                            <span>Exempt Allowances${computation.salaryExemptions.length > 0 ? ` (${computation.salaryExemptions.map(item => item.label).join(', ')})` : ''}:</span>
+                            <span>${formatCurrency(computation.exemptSalary)}</span>
+                        </div>
+                        <div class="tax-summary-item">
+                            <span>Taxable Salary:</span>
+                            <span>${formatCurrency(computation.taxableSalary)}</span>
                         </div>
                         <div class="tax-summary-item">
                             <span>Standard Deduction:</span>
-                            <span>${formatCurrency(standardDeduction)}</span>
+                            <span>${formatCurrency(computation.standardDeduction)}</span>
                         </div>
+                        ${computation.previousEmployment.records.length > 0 ? `
+                        <div class="tax-summary-item">
+                            <span>Previous Employer Salary (Form 12B, net of ${formatCurrency(computation.previousEmployment.exemptions)} exempt):</span>
+                            <span>${formatCurrency(computation.previousEmployment.taxableSalary)}</span>
+                        </div>` : ''}
+                        ${computation.professionalTax > 0 ? `
+                        <div class="tax-summary-item">
+                            <span>Professional Tax u/s 16(iii):</span>
+                            <span>${formatCurrency(computation.professionalTax)}</span>
+                        </div>` : ''}
+                        ${computation.employerNPSContribution > 0 ? `
+                        <div class="tax-summary-item">
+                            <span>Employer NPS Contribution (${computation.employerNPS.contributionRate}% of Basic + DA):</span>
+                            <span>${formatCurrency(computation.employerNPSContribution)}</span>
+                        </div>` : ''}
                         <div class="tax-summary-item">
                             <span>Additional Taxable Income:</span>
-                            <span>${formatCurrency(additionalIncome)}</span>
+                            <span>${formatCurrency(computation.additionalIncome)}</span>
+                        </div>
+                        ${computation.leaveEncashmentExemption.amount > 0 ? `
+                        <div class="tax-summary-item">
+                            <span>Leave Encashment Exempt${computation.leaveEncashmentExemption.section ? ` u/s ${computation.leaveEncashmentExemption.section}` : ''}:</span>
+                            <span>${formatCurrency(computation.leaveEncashmentExemption.exempt)}</span>
                         </div>
+                        <div class="tax-summary-item small text-muted">
+                            <span>${computation.leaveEncashmentExemption.reason}</span>
+                        </div>` : ''}
                         <div class="tax-summary-item">
                             <span>CSV Recovery:</span>
-                            <span>${formatCurrency(csvRecovery)}</span>
+                            <span>${formatCurrency(computation.csvRecovery)}</span>
                         </div>
                         <div class="tax-summary-item">
                             <span>Manual Recoveries:</span>
-                            <span>${formatCurrency(manualRecoveriesAmount)}</span>
+                            <span>${formatCurrency(computation.manualRecoveriesAmount)}</span>
                             <button class="btn-link-sm ms-2" onclick="window.location.href='manual_recoveries.html?regtNo=${encodeURIComponent(regtNo)}'">
                                 <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="feather feather-edit">
                                     <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
@@ -724,44 +752,74 @@ function generateEmployeeHTML(regtNo, employee, index, retirementDate) {
                                 Manage
                             </button>
                         </div>
-                        ${legacyRecoveries > 0 ? `
+                        ${computation.legacyRecoveries > 0 ? `
                         <div class="tax-summary-item">
                             <span>Legacy Recoveries:</span>
-                            <span>${formatCurrency(legacyRecoveries)}</span>
+                            <span>${formatCurrency(computation.legacyRecoveries)}</span>
                         </div>
                         ` : ''}
                         <div class="tax-summary-item">
                             <span>Total Recoveries:</span>
-                            <span>${formatCurrency(totalRecoveries)}</span>
+                            <span>${formatCurrency(computation.totalRecoveries)}</span>
                         </div>
+                        ${computation.regime === 'old' ? `
+                        <div class="tax-summary-item">
+                            <span>Chapter VI-A Deductions:</span>
+                            <span>${formatCurrency(computation.chapterVIADeduction)}</span>
+                        </div>` : ''}
+                        ${computation.employerNPSContribution > 0 ? `
+                        <div class="tax-summary-item">
+                            <span>Deduction u/s 80CCD(2) (limit ${formatCurrency(computation.employerNPS.limits[computation.regime])}):</span>
+                            <span>${formatCurrency(computation.employerNPSDeduction)}</span>
+                        </div>` : ''}
                         <div class="tax-summary-item">
-                            <span>Taxable Income:</span>
-                            <span>${formatCurrency(taxableIncome)}</span>
+                            <span>Taxable Income (rounded u/s 288A):</span>
+                            <span>${formatCurrency(computation.taxableIncome)}</span>
                         </div>
                         <div class="tax-summary-item">
                             <span>Income Tax:</span>
-                            <span>${formatCurrency(tax)}</span>
+                            <span>${formatCurrency(computation.tax)}</span>
                         </div>
                         <div class="tax-summary-item">
                             <span>Under Section 87A Rebate:</span>
-                            <span>${formatCurrency(rebate87A)}</span>
+                            <span>${formatCurrency(computation.rebate87A)}</span>
                         </div>
-                        ${marginalRelief87AB > 0 ? `
+                        ${computation.marginalRelief87AB > 0 ? `
                         <div class="tax-summary-item">
                             <span>Relief Under Section 87A(b):</span>
-                            <span>${formatCurrency(marginalRelief87AB)}</span>
+                            <span>${formatCurrency(computation.marginalRelief87AB)}</span>
                         </div>` : ''}
                         <div class="tax-summary-item">
                             <span>Net Tax:</span>
-                            <span>${formatCurrency(netTax)}</span>
+                            <span>${formatCurrency(computation.netTax)}</span>
                         </div>
+                        ${computation.surcharge > 0 ? `
                         <div class="tax-summary-item">
-                            <span>Education & Health Cess (${educationCessRate}%):</span>
-                            <span>${formatCurrency(educationCess)}</span>
+                            <span>Surcharge (${computation.surchargeRate}%):</span>
+                            <span>${formatCurrency(computation.surcharge)}</span>
+                        </div>` : ''}
+                        ${computation.surchargeMarginalRelief > 0 ? `
+                        <div class="tax-summary-item">
+                            <span>Marginal Relief on Surcharge:</span>
+                            <span>${formatCurrency(computation.surchargeMarginalRelief)}</span>
+                        </div>` : ''}
+                        <div class="tax-summary-item">
+                            <span>Education & Health Cess (${computation.educationCessRate}%):</span>
+                            <span>${formatCurrency(computation.educationCess)}</span>
                         </div>
+                        ${computation.roundingAdjustment ? `
+                        <div class="tax-summary-item">
+                            <span>Rounded off u/s 288B:</span>
+                            <span>${formatCurrency(computation.roundingAdjustment)}</span>
+                        </div>` : ''}
+                        ${computation.section89Relief > 0 ? `
+                        <div class="tax-summary-item">
+                            <span>Relief under Section 89:</span>
+                            <span>${formatCurrency(computation.section89Relief)}</span>
+                        </div>` : ''}
                         <div class="tax-summary-item">
                             <span>Manual Tax Deductions:</span>
-                            <span>${formatCurrency(manualTaxDeductions)}</span>
+                            <span>${formatCurrency(computation.manualTaxDeductions)}</span>
                             <button class="btn-link-sm ms-2" onclick="window.location.href='manual_tax.html?regtNo=${encodeURIComponent(regtNo)}'">
                                 <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" class="feather feather-edit">
                                     <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
@@ -772,15 +830,29 @@ function generateEmployeeHTML(regtNo, employee, index, retirementDate) {
                         </div>
                         <div class="tax-summary-item">
                             <span>CSV file I-Tax:</span>
-                            <span>${formatCurrency(csvFileTax)}</span>
+                            <span>${formatCurrency(computation.csvFileTax)}</span>
                         </div>
-                        <div class="tax-summary-item tax-summary-total">
-                            <span>Total Tax for FY ${taxParams.fiscalYear || getCurrentIndianFiscalYear()}:</span>
-                            <span>${formatCurrency(totalTax)}</span>
+                        ${computation.previousEmployment.tds > 0 ? `
+                        <div class="tax-summary-item">
+                            <span>TDS by Previous Employers:</span>
+                            <span>${formatCurrency(computation.previousEmployment.tds)}</span>
+                        </div>` : ''}
+                        ${computation.excessDeduction > 0 ? `
+                        <div class="tax-summary-item tax-summary-total text-danger">
+                            <span>Tax Deducted in Excess for FY ${computation.fiscalYear}:</span>
+                            <span>${formatCurrency(-computation.excessDeduction)}</span>
                         </div>
+                        <div class="alert alert-danger py-2 small mt-2">
+                            Tax deducted so far exceeds the liability by ${formatCurrency(computation.excessDeduction)}.
+                            Reduce the monthly tax deduction to ${formatCurrency(0)} for the remaining months; the excess is refundable through the employee's return.
+                        </div>` : `
                         <div class="tax-summary-item tax-summary-total">
-                            <span>Monthly Tax Deduction (${monthsCount} months):</span>
-                            <span>${formatCurrency(monthlyDeduction)}</span>
+                            <span>Total Tax for FY ${computation.fiscalYear}:</span>
+                            <span>${formatCurrency(computation.totalTax)}</span>
+                        </div>`}
+                        <div class="tax-summary-item tax-summary-total">
+                            <span>Monthly Tax Deduction (${computation.remainingMonths} remaining months${computation.tdsProjection.finalInstallment !== computation.monthlyDeduction ? `, final month ${formatCurrency(computation.tdsProjection.finalInstallment)}` : ''}):</span>
+                            <span>${formatCurrency(computation.monthlyDeduction)}</span>
                         </div>
                     </div>
                 </div>
@@ -790,6 +862,632 @@ function generateEmployeeHTML(regtNo, employee, index, retirementDate) {
     return html;
 }
 
+// Warn about months of the fiscal year without data and uploaded months that fall outside it
+function generateCalendarNoticeHTML(computation) {
+    const calendar = computation.calendar;
+    const notes = [];
+    
+    if (calendar.missing.length > 0) {
+        notes.push(`No salary data for ${calendar.missing.join(', ')}; these months are not included in the computation.`);
+    }
+    if (calendar.outside.length > 0) {
+        notes.push(`Ignored ${calendar.outside.join(', ')} as outside FY ${computation.fiscalYear}.`);
+    }
+    if (calendar.unrecognised.length > 0) {
+        notes.push(`Ignored unrecognised month(s): ${calendar.unrecognised.join(', ')}.`);
+    }
+    
+    return notes.length > 0
+        ? `<div class="alert alert-warning py-2 small">${notes.join('<br>')}</div>`
+        : '';
+}
+
+// Generate the overrides panel for projected months (leave without pay, suspension, promotion...)
+function generateMonthOverridesHTML(regtNo, computation, index) {
+    const projectedMonths = computation.months.slice(computation.actualMonthsCount);
+    
+    if (projectedMonths.length === 0) {
+        return '';
+    }
+    
+    const overrides = DataManager.getEmployeeProfile(regtNo).monthOverrides;
+    const componentLabel = key => (DataManager.payComponents.find(component => component.key === key) || { label: key }).label;
+    
+    let html = `
+                <h6 class="mt-2">Projected Month Overrides</h6>
+                <div class="table-responsive">
+                    <table class="table table-sm table-bordered">
+                        <thead class="table-dark">
+                            <tr>
+                                <th>Month</th>
+                                <th>Zero Salary</th>
+                                <th>Set Component</th>
+                                <th>Overridden Components</th>
+                                <th>Note</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>`;
+    
+    projectedMonths.forEach(entry => {
+        const override = overrides[entry.month] || {};
+        const components = override.components || {};
+        
+        html += `
+                            <tr>
+                                <td>${entry.month}</td>
+                                <td>
+                                    <input type="checkbox" class="form-check-input override-zero" data-index="${index}" data-month="${entry.month}" ${override.zeroSalary ? 'checked' : ''}>
+                                </td>
+                                <td>
+                                    <div class="input-group input-group-sm">
+                                        <select class="form-select override-component" data-index="${index}" data-month="${entry.month}">
+                                            ${DataManager.payComponents.map(component => `<option value="${component.key}">${component.label}</option>`).join('')}
+                                        </select>
+                                        <input type="number" min="0" step="1" class="form-control override-value" data-index="${index}" data-month="${entry.month}" placeholder="Amount">
+                                    </div>
+                                </td>
+                                <td>${Object.keys(components).length > 0
+                                    ? Object.entries(components).map(([key, value]) => `${componentLabel(key)}: ${formatCurrency(value)}`).join('<br>')
+                                    : '-'}</td>
+                                <td>
+                                    <input type="text" class="form-control form-control-sm override-note" data-index="${index}" data-month="${entry.month}" value="${escapeHtml(override.note)}" placeholder="e.g. Leave without pay">
+                                </td>
+                                <td>
+                                    ${overrides[entry.month] ? `<button type="button" class="btn btn-sm btn-outline-danger override-clear" data-index="${index}" data-month="${entry.month}">Clear</button>` : ''}
+                                </td>
+                            </tr>`;
+    });
+    
+    html += `
+                        </tbody>
+                    </table>
+                </div>
+                <p class="small text-muted">Overrides apply only to months without uploaded salary data and are kept when new salary files are uploaded.</p>`;
+    
+    return html;
+}
+
+// Save changes to the override of one projected month; an empty override is removed
+function saveMonthOverride(regtNo, month, changes) {
+    const monthOverrides = { ...DataManager.getEmployeeProfile(regtNo).monthOverrides };
+    const override = { zeroSalary: false, components: {}, note: '', ...(monthOverrides[month] || {}), ...changes };
+    
+    if (!override.zeroSalary && Object.keys(override.components).length === 0 && !override.note) {
+        delete monthOverrides[month];
+    } else {
+        monthOverrides[month] = override;
+    }
+    DataManager.saveEmployeeProfile(regtNo, { monthOverrides });
+    
+    // Clear tax summary cache since overrides change the projected salary
+    DataManager.clearTaxSummaryCache();
+    displayCurrentPage();
+}
+
+// Generate the Chapter VI-A declarations table (used by the old regime)
+function generateChapterVIAHTML(regtNo, computation, index) {
+    const profile = DataManager.getEmployeeProfile(regtNo);
+    const items = computation.regimeComparison.old.chapterVIA.items;
+    
+    let html = `
+                <h6 class="mt-4">Chapter VI-A Declarations <small class="text-muted">(Old Regime only)</small></h6>
+                <div class="table-responsive">
+                    <table class="table table-sm table-bordered">
+                        <thead class="table-dark">
+                            <tr>
+                                <th>Section</th>
+                                <th>Declared</th>
+                                <th>From Salary</th>
+                                <th>Limit</th>
+                                <th>Allowed</th>
+                            </tr>
+                        </thead>
+                        <tbody>`;
+    
+    items.forEach(item => {
+        const declared = profile.chapterVIA[item.section] || '';
+        html += `
+                            <tr>
+                                <td>${item.label}</td>
+                                <td>
+                                    <input type="number" min="0" step="1" class="form-control form-control-sm chapter-via-input" data-index="${index}" data-section="${item.section}" value="${declared}" placeholder="0">
+                                </td>
+                                <td>${formatCurrency(item.fromSalary)}</td>
+                                <td>${item.limit === null || item.limit === undefined ? 'No limit' : formatCurrency(item.limit)}</td>
+                                <td>${formatCurrency(item.allowed)}</td>
+                            </tr>`;
+    });
+    
+    html += `
+                        </tbody>
+                        <tfoot class="table-secondary">
+                            <tr>
+                                <th colspan="4">Total Chapter VI-A Deductions</th>
+                                <th>${formatCurrency(computation.regimeComparison.old.chapterVIA.total)}</th>
+                            </tr>
+                        </tfoot>
+                    </table>
+                </div>`;
+    
+    return html;
+}
+
+// Generate the HRA exemption (Section 10(13A)) rent declarations and least-of-three working (used by the old regime)
+function generateHRAExemptionHTML(regtNo, computation, index) {
+    const profile = DataManager.getEmployeeProfile(regtNo);
+    const hraExemption = TaxEngine.calculateHRAExemption(computation.months, profile.hra);
+    
+    if (hraExemption.hraReceived === 0) {
+        return '';
+    }
+    
+    const salaryShareLabel = hraExemption.metro ? '50% of Salary' : '40% of Salary';
+    
+    let html = `
+                <h6 class="mt-4">HRA Exemption u/s 10(13A) <small class="text-muted">(Old Regime only)</small></h6>
+                <div class="d-flex flex-wrap gap-3 align-items-center mb-2">
+                    <div class="form-check">
+                        <input type="checkbox" class="form-check-input hra-metro" id="hraMetro${index}" data-index="${index}" ${hraExemption.metro ? 'checked' : ''}>
+                        <label class="form-check-label" for="hraMetro${index}">Rented house is in a metro city (Delhi, Mumbai, Kolkata, Chennai)</label>
+                    </div>
+                    <div class="input-group input-group-sm w-auto">
+                        <input type="number" min="0" step="1" class="form-control hra-rent-all" data-index="${index}" placeholder="Monthly rent">
+                        <button type="button" class="btn btn-outline-secondary hra-rent-all-btn" data-index="${index}">Apply to all months</button>
+                    </div>
+                </div>
+                <div class="table-responsive">
+                    <table class="table table-sm table-bordered">
+                        <thead class="table-dark">
+                            <tr>
+                                <th>Month</th>
+                                <th>HRA Received</th>
+                                <th>Salary (Basic + DA)</th>
+                                <th>Rent Paid</th>
+                                <th>Rent less 10% of Salary</th>
+                                <th>${salaryShareLabel}</th>
+                                <th>Exempt</th>
+                            </tr>
+                        </thead>
+                        <tbody>`;
+    
+    hraExemption.items.forEach(item => {
+        html += `
+                            <tr>
+                                <td>${item.month}</td>
+                                <td>${formatCurrency(item.hraReceived)}</td>
+                                <td>${formatCurrency(item.salary)}</td>
+                                <td>
+                                    <input type="number" min="0" step="1" class="form-control form-control-sm hra-rent" data-index="${index}" data-month="${item.month}" value="${item.rentPaid || ''}" placeholder="0">
+                                </td>
+                                <td>${formatCurrency(item.rentInExcess)}</td>
+                                <td>${formatCurrency(item.salaryLimit)}</td>
+                                <td>${formatCurrency(item.exempt)}</td>
+                            </tr>`;
+    });
+    
+    html += `
+                        </tbody>
+                        <tfoot class="table-secondary">
+                            <tr>
+                                <th>Total</th>
+                                <th>${formatCurrency(hraExemption.hraReceived)}</th>
+                                <th></th>
+                                <th>${formatCurrency(hraExemption.rentPaid)}</th>
+                                <th>${formatCurrency(hraExemption.rentInExcess)}</th>
+                                <th>${formatCurrency(hraExemption.salaryLimit)}</th>
+                                <th>${formatCurrency(hraExemption.exempt)}</th>
+                            </tr>
+                        </tfoot>
+                    </table>
+                </div>`;
+    
+    return html;
+}
+
+// Save changes to the HRA rent declaration in an employee profile
+function saveHRAProfile(regtNo, changes) {
+    const hra = { ...DataManager.getEmployeeProfile(regtNo).hra, ...changes };
+    DataManager.saveEmployeeProfile(regtNo, { hra });
+    
+    // Clear tax summary cache since the HRA exemption affects tax calculation
+    DataManager.clearTaxSummaryCache();
+    displayCurrentPage();
+}
+
+// Generate the side-by-side old vs new regime comparison
+function generateRegimeComparisonHTML(computation) {
+    const comparison = computation.regimeComparison;
+    const rows = [
+        ['Exempt Allowances', 'exemptSalary'],
+        ['Standard Deduction', 'standardDeduction'],
+        ['Deduction u/s 80CCD(2)', 'employerNPSDeduction'],
+        ['Taxable Income', 'taxableIncome'],
+        ['Income Tax', 'tax'],
+        ['Under Section 87A Rebate', 'rebate87A'],
+        ['Relief Under Section 87A(b)', 'marginalRelief87AB'],
+        ['Net Tax', 'netTax'],
+        ['Surcharge', 'surcharge'],
+        ['Marginal Relief on Surcharge', 'surchargeMarginalRelief'],
+        ['Education & Health Cess', 'educationCess'],
+        ['Rounded off u/s 288B', 'roundingAdjustment'],
+        ['Total Tax Liability', 'totalTaxLiability']
+    ];
+    const highlight = regime => comparison.recommended === regime ? 'table-success' : '';
+    const regimeValue = (regime, field) => field === 'exemptSalary' ? regime.salary.exempt : regime[field];
+    
+    let html = `
+                <h6 class="mt-4">Regime Comparison</h6>
+                <div class="table-responsive">
+                    <table class="table table-sm table-bordered">
+                        <thead class="table-dark">
+                            <tr>
+                                <th></th>
+                                <th>New Regime${computation.regime === 'new' ? ' (Selected)' : ''}</th>
+                                <th>Old Regime${computation.regime === 'old' ? ' (Selected)' : ''}</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            <tr>
+                                <td>Chapter VI-A Deductions</td>
+                                <td>${formatCurrency(comparison.new.chapterVIA.total)}</td>
+                                <td>${formatCurrency(comparison.old.chapterVIA.total)}</td>
+                            </tr>`;
+    
+    rows.forEach(([label, field]) => {
+        html += `
+                            <tr>
+                                <td>${label}</td>
+                                <td class="${field === 'totalTaxLiability' ? highlight('new') : ''}">${formatCurrency(regimeValue(comparison.new, field))}</td>
+                                <td class="${field === 'totalTaxLiability' ? highlight('old') : ''}">${formatCurrency(regimeValue(comparison.old, field))}</td>
+                            </tr>`;
+    });
+    
+    html += `
+                        </tbody>
+                    </table>
+                </div>
+                <p class="small text-muted">
+                    ${comparison.savings > 0
+                        ? `The ${TaxEngine.regimeLabels[comparison.recommended]} results in ${formatCurrency(comparison.savings)} less tax.`
+                        : 'Both regimes result in the same tax.'}
+                </p>`;
+    
+    return html;
+}
+
+// Generate the month-by-month schedule of TDS deducted so far and planned for the remaining months
+function generateTDSScheduleHTML(computation) {
+    const projection = computation.tdsProjection;
+    const totalActual = projection.schedule.reduce((sum, month) => sum + month.actual, 0);
+    const totalPlanned = projection.schedule.reduce((sum, month) => sum + month.planned, 0);
+    
+    let html = `
+                <h6 class="mt-4">TDS Schedule</h6>
+                <div class="table-responsive">
+                    <table class="table table-sm table-bordered">
+                        <thead class="table-dark">
+                            <tr>
+                                <th>Month</th>
+                                <th>Status</th>
+                                <th>Actual TDS</th>
+                                <th>Planned TDS</th>
+                            </tr>
+                        </thead>
+                        <tbody>`;
+    
+    projection.schedule.forEach(month => {
+        html += `
+                            <tr class="${month.status === 'projected' ? 'table-light' : ''}">
+                                <td>${month.month}</td>
+                                <td>${month.status === 'actual' ? 'Deducted' : 'Projected'}</td>
+                                <td>${formatCurrency(month.actual)}</td>
+                                <td>${month.status === 'projected' ? formatCurrency(month.planned) : '-'}</td>
+                            </tr>`;
+    });
+    
+    if (projection.otherDeductions > 0) {
+        html += `
+                            <tr>
+                                <td colspan="2">Other deductions (previous employers, unscheduled entries)</td>
+                                <td>${formatCurrency(projection.otherDeductions)}</td>
+                                <td>-</td>
+                            </tr>`;
+    }
+    
+    html += `
+                        </tbody>
+                        <tfoot>
+                            <tr>
+                                <th colspan="2">Total</th>
+                                <th>${formatCurrency(totalActual + projection.otherDeductions)}</th>
+                                <th>${formatCurrency(totalPlanned)}</th>
+                            </tr>
+                        </tfoot>
+                    </table>
+                </div>
+                <p class="small text-muted">
+                    ${projection.remainingMonths > 0
+                        ? projection.balance < 0
+                            ? `Tax deducted exceeds the liability by ${formatCurrency(-projection.balance)}; no deduction is planned for the ${projection.remainingMonths} remaining month(s).`
+                            : `Balance of ${formatCurrency(projection.balance)} spread over ${projection.remainingMonths} remaining month(s)${projection.finalInstallment !== projection.monthlyDeduction ? `, with the rounding remainder in the final month (${formatCurrency(projection.finalInstallment)})` : ''}.`
+                        : projection.unscheduledBalance > 0
+                            ? `No months remain in the fiscal year; ${formatCurrency(projection.unscheduledBalance)} is still to be recovered.`
+                            : 'No months remain in the fiscal year.'}
+                </p>`;
+    
+    return html;
+}
+
+// Generate the Section 89 relief panel (Form 10E) for arrears relating to earlier years
+function generateSection89HTML(regtNo, computation, index) {
+    const section89 = computation.section89;
+    const daArrear = TaxEngine.sumDetails(computation.months, 'daArrear');
+    
+    if (!section89.applicable && daArrear === 0) {
+        return '';
+    }
+    
+    const profile = DataManager.getEmployeeProfile(regtNo);
+    const startYear = parseInt(computation.fiscalYear);
+    const earlierYears = Array.from({ length: 10 }, (_, i) => `${startYear - 1 - i}-${startYear - i}`);
+    
+    let html = `
+                <h6 class="mt-4">Relief under Section 89 <small class="text-muted">(Form 10E)</small></h6>`;
+    
+    if (daArrear > 0) {
+        html += `
+                <div class="mb-2">
+                    <label class="form-label small">DA Arrear of ${formatCurrency(daArrear)} relates to FY</label>
+                    <select class="form-select form-select-sm w-auto section89-da-year" data-index="${index}">
+                        <option value="">Current Fiscal Year</option>
+                        ${earlierYears.map(year => `<option value="${year}" ${profile.section89.daArrearFiscalYear === year ? 'selected' : ''}>${year}</option>`).join('')}
+                    </select>
+                </div>`;
+    }
+    
+    if (!section89.applicable) {
+        return html;
+    }
+    
+    const current = section89.currentYear;
+    html += `
+                <div class="table-responsive">
+                    <table class="table table-sm table-bordered">
+                        <thead class="table-dark">
+                            <tr>
+                                <th>Fiscal Year</th>
+                                <th>Arrears</th>
+                                <th>Regime</th>
+                                <th>Total Income (without arrears)</th>
+                                <th>Tax without Arrears</th>
+                                <th>Tax with Arrears</th>
+                                <th>Difference</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            <tr class="table-secondary">
+                                <td>${current.fiscalYear} (current)</td>
+                                <td>${formatCurrency(section89.arrears)}</td>
+                                <td>${computation.regimeLabel}</td>
+                                <td>${formatCurrency(current.incomeWithoutArrears)}</td>
+                                <td>${formatCurrency(current.taxWithoutArrears)}</td>
+                                <td>${formatCurrency(current.taxWithArrears)}</td>
+                                <td>${formatCurrency(current.difference)}</td>
+                            </tr>`;
+    
+    section89.years.forEach(year => {
+        html += `
+                            <tr>
+                                <td>${year.fiscalYear}</td>
+                                <td>${formatCurrency(year.arrears)}</td>
+                                <td>
+                                    <select class="form-select form-select-sm section89-regime" data-index="${index}" data-year="${year.fiscalYear}">
+                                        <option value="new" ${year.regime === 'new' ? 'selected' : ''}>New Regime</option>
+                                        <option value="old" ${year.regime === 'old' ? 'selected' : ''}>Old Regime</option>
+                                    </select>
+                                </td>
+                                <td>
+                                    <input type="number" min="0" step="1" class="form-control form-control-sm section89-income" data-index="${index}" data-year="${year.fiscalYear}" value="${year.hasIncome ? year.totalIncome : ''}" placeholder="Enter income">
+                                </td>
+                                <td>${year.hasIncome ? formatCurrency(year.taxWithoutArrears) : '-'}</td>
+                                <td>${year.hasIncome ? formatCurrency(year.taxWithArrears) : '-'}</td>
+                                <td>${year.hasIncome ? formatCurrency(year.difference) : '-'}</td>
+                            </tr>`;
+    });
+    
+    html += `
+                        </tbody>
+                        <tfoot class="table-secondary">
+                            <tr>
+                                <th colspan="6">Relief under Section 89</th>
+                                <th>${formatCurrency(section89.relief)}</th>
+                            </tr>
+                        </tfoot>
+                    </table>
+                </div>
+                ${section89.complete ? '' : `
+                <p class="small text-warning">Enter the total income of every earlier year to work out the relief.</p>`}`;
+    
+    return html;
+}
+
+// Save changes to the Section 89 data in an employee profile
+function saveSection89Profile(regtNo, changes) {
+    const section89 = { ...DataManager.getEmployeeProfile(regtNo).section89, ...changes };
+    DataManager.saveEmployeeProfile(regtNo, { section89 });
+    
+    // Clear tax summary cache since Section 89 relief affects tax calculation
+    DataManager.clearTaxSummaryCache();
+    displayCurrentPage();
+}
+
+// Function to add event listeners to the regime selector, Chapter VI-A, HRA and Section 89 inputs
+function addTaxProfileListeners() {
+    document.querySelectorAll('.regime-select').forEach(select => {
+        select.addEventListener('change', function() {
+            const regtNo = employeeIds[this.getAttribute('data-index')];
+            DataManager.saveEmployeeProfile(regtNo, { regime: this.value });
+            
+            // Clear tax summary cache since the regime affects tax calculation
+            DataManager.clearTaxSummaryCache();
+            displayCurrentPage();
+        });
+    });
+    
+    document.querySelectorAll('.chapter-via-input').forEach(input => {
+        input.addEventListener('change', function() {
+            const regtNo = employeeIds[this.getAttribute('data-index')];
+            const chapterVIA = { ...DataManager.getEmployeeProfile(regtNo).chapterVIA };
+            const amount = parseFloat(this.value);
+            
+            if (amount > 0) {
+                chapterVIA[this.getAttribute('data-section')] = amount;
+            } else {
+                delete chapterVIA[this.getAttribute('data-section')];
+            }
+            DataManager.saveEmployeeProfile(regtNo, { chapterVIA });
+            
+            // Clear tax summary cache since declarations affect tax calculation
+            DataManager.clearTaxSummaryCache();
+            displayCurrentPage();
+        });
+    });
+    
+    document.querySelectorAll('.hra-metro').forEach(checkbox => {
+        checkbox.addEventListener('change', function() {
+            const regtNo = employeeIds[this.getAttribute('data-index')];
+            saveHRAProfile(regtNo, { metro: this.checked });
+        });
+    });
+    
+    document.querySelectorAll('.hra-rent').forEach(input => {
+        input.addEventListener('change', function() {
+            const regtNo = employeeIds[this.getAttribute('data-index')];
+            const rentPaid = { ...DataManager.getEmployeeProfile(regtNo).hra.rentPaid };
+            const amount = parseFloat(this.value);
+            
+            if (amount > 0) {
+                rentPaid[this.getAttribute('data-month')] = amount;
+            } else {
+                delete rentPaid[this.getAttribute('data-month')];
+            }
+            saveHRAProfile(regtNo, { rentPaid });
+        });
+    });
+    
+    document.querySelectorAll('.hra-rent-all-btn').forEach(button => {
+        button.addEventListener('click', function() {
+            const index = this.getAttribute('data-index');
+            const regtNo = employeeIds[index];
+            const amount = parseFloat(document.querySelector(`.hra-rent-all[data-index="${index}"]`).value) || 0;
+            const rentPaid = {};
+            
+            if (amount > 0) {
+                document.querySelectorAll(`.hra-rent[data-index="${index}"]`).forEach(input => {
+                    rentPaid[input.getAttribute('data-month')] = amount;
+                });
+            }
+            saveHRAProfile(regtNo, { rentPaid });
+        });
+    });
+    
+    document.querySelectorAll('.service-start-date').forEach(input => {
+        input.addEventListener('change', function() {
+            DataManager.saveServiceStartDate(employeeIds[this.getAttribute('data-index')], this.value);
+            
+            // Clear tax summary cache since the service period limits the projection
+            DataManager.clearTaxSummaryCache();
+            displayCurrentPage();
+        });
+    });
+    
+    document.querySelectorAll('.clear-start-date-btn').forEach(button => {
+        button.addEventListener('click', function() {
+            DataManager.saveServiceStartDate(employeeIds[this.getAttribute('data-index')], '');
+            
+            // Clear tax summary cache since the service period limits the projection
+            DataManager.clearTaxSummaryCache();
+            displayCurrentPage();
+        });
+    });
+    
+    document.querySelectorAll('.override-zero').forEach(checkbox => {
+        checkbox.addEventListener('change', function() {
+            const regtNo = employeeIds[this.getAttribute('data-index')];
+            saveMonthOverride(regtNo, this.getAttribute('data-month'), { zeroSalary: this.checked });
+        });
+    });
+    
+    document.querySelectorAll('.override-value').forEach(input => {
+        input.addEventListener('change', function() {
+            const regtNo = employeeIds[this.getAttribute('data-index')];
+            const month = this.getAttribute('data-month');
+            const component = document.querySelector(`.override-component[data-index="${this.getAttribute('data-index')}"][data-month="${month}"]`).value;
+            const components = { ...((DataManager.getEmployeeProfile(regtNo).monthOverrides[month] || {}).components || {}) };
+            const amount = parseFloat(this.value);
+            
+            if (amount >= 0) {
+                components[component] = amount;
+            } else {
+                delete components[component];
+            }
+            saveMonthOverride(regtNo, month, { components });
+        });
+    });
+    
+    document.querySelectorAll('.override-note').forEach(input => {
+        input.addEventListener('change', function() {
+            const regtNo = employeeIds[this.getAttribute('data-index')];
+            saveMonthOverride(regtNo, this.getAttribute('data-month'), { note: this.value.trim() });
+        });
+    });
+    
+    document.querySelectorAll('.override-clear').forEach(button => {
+        button.addEventListener('click', function() {
+            const regtNo = employeeIds[this.getAttribute('data-index')];
+            const monthOverrides = { ...DataManager.getEmployeeProfile(regtNo).monthOverrides };
+            delete monthOverrides[this.getAttribute('data-month')];
+            DataManager.saveEmployeeProfile(regtNo, { monthOverrides });
+            
+            // Clear tax summary cache since overrides change the projected salary
+            DataManager.clearTaxSummaryCache();
+            displayCurrentPage();
+        });
+    });
+    
+    document.querySelectorAll('.section89-da-year').forEach(select => {
+        select.addEventListener('change', function() {
+            const regtNo = employeeIds[this.getAttribute('data-index')];
+            saveSection89Profile(regtNo, { daArrearFiscalYear: this.value || null });
+        });
+    });
+    
+    document.querySelectorAll('.section89-regime').forEach(select => {
+        select.addEventListener('change', function() {
+            const regtNo = employeeIds[this.getAttribute('data-index')];
+            const priorYearRegime = { ...DataManager.getEmployeeProfile(regtNo).section89.priorYearRegime };
+            priorYearRegime[this.getAttribute('data-year')] = this.value;
+            saveSection89Profile(regtNo, { priorYearRegime });
+        });
+    });
+    
+    document.querySelectorAll('.section89-income').forEach(input => {
+        input.addEventListener('change', function() {
+            const regtNo = employeeIds[this.getAttribute('data-index')];
+            const priorYearIncome = { ...DataManager.getEmployeeProfile(regtNo).section89.priorYearIncome };
+            const amount = parseFloat(this.value);
+            
+            if (amount >= 0) {
+                priorYearIncome[this.getAttribute('data-year')] = amount;
+            } else {
+                delete priorYearIncome[this.getAttribute('data-year')];
+            }
+            saveSection89Profile(regtNo, { priorYearIncome });
+        });
+    });
+}
+
 // Initialize date pickers
 function initDatePickers() {
     const datePickers = document.querySelectorAll('.date-picker');
@@ -897,80 +1595,16 @@ function downloadTaxInfo() {
         return;
     }
 
-    let csvContent = "Regiment No,Name,Rank,PAN,Annual Income,Standard Deduction,Additional Income,CSV Recoveries,Manual Recoveries,Legacy Recoveries,Total Recoveries,Taxable Income,Tax,Under Section 87A Rebate,Relief Under Section 87A(b),Net Tax,Education Cess,Manual Tax Deductions,CSV file I-Tax,Total Tax,Monthly Deduction\n";
-
-    Object.keys(allData).forEach(regtNo => {
-        const employee = allData[regtNo];
-        if (!employee || employee.length === 0) return;
+    let csvContent = "Regiment No,Name,Rank,PAN,Tax Regime,Gross Salary,Exempt Allowances,Taxable Salary,Standard Deduction,Previous Employer Salary,Professional Tax,Additional Income,Leave Encashment Exempt,CSV Recoveries,Manual Recoveries,Legacy Recoveries,Total Recoveries,Chapter VI-A Deductions,Employer NPS Contribution,Deduction u/s 80CCD(2),Taxable Income,Tax,Under Section 87A Rebate,Relief Under Section 87A(b),Net Tax,Surcharge Rate (%),Surcharge,Marginal Relief on Surcharge,Education Cess,Relief under Section 89,Manual Tax Deductions,CSV file I-Tax,Previous Employer TDS,Total Tax,Monthly Deduction,New Regime Tax,Old Regime Tax\n";
 
-        const retirementDate = DataManager.getRetirementDate(regtNo);
+    // Compute every employee with the shared TaxEngine
+    const computations = TaxEngine.computeAll();
 
-        const extendedData = extendTo12Months(employee, retirementDate);
-        const monthsCount = extendedData.length;
-
-        // Calculate annual total from extended data
-        const annualTotal = extendedData.reduce((sum, entry) => sum + entry.details.total, 0);
-        
-        // Calculate CSV recovery from salary data (column index 39)
-        const csvRecovery = extendedData.reduce((sum, entry) => sum + (entry.details.recovery || 0), 0);
-        
-        // Calculate the sum of tax column from CSV data
-        const csvFileTax = extendedData.reduce((sum, entry) => sum + (entry.details.tax || 0), 0);
-
-        // Get tax parameters
-        const taxParams = DataManager.getTaxParameters();
-        const standardDeduction = taxParams.standardDeduction || 75000;
-        const educationCessRate = taxParams.educationCess || 4;
-
-        // Get manual bill claims and recoveries for this employee
-        const billClaims = DataManager.loadBillClaims().filter(claim => claim.regtNo === regtNo);
-        
-        const additionalIncome = billClaims
-            .filter(claim => claim.billType !== 'Recovery' && claim.billType !== 'Tax Deduction' && claim.taxable)
-            .reduce((sum, claim) => sum + claim.amount, 0);
+    Object.keys(allData).forEach(regtNo => {
+        const computation = computations[regtNo];
+        if (!computation) return;
 
-        // Get recoveries from dedicated manual recoveries storage
-        const manualRecoveriesData = DataManager.loadManualRecoveries().filter(recovery => recovery.regtNo === regtNo);
-        const manualRecoveriesAmount = manualRecoveriesData.reduce((sum, recovery) => sum + recovery.amount, 0);
-        
-        // Get legacy recoveries (for backward compatibility) from bill claims
-        const legacyRecoveries = billClaims
-            .filter(claim => claim.billType === 'Recovery')
-            .reduce((sum, claim) => sum + claim.amount, 0);
-        
-        // Total manual recoveries (both new and legacy)
-        const manualRecoveries = manualRecoveriesAmount + legacyRecoveries;
-        
-        // Total recoveries (manual + CSV)
-        const totalRecoveries = manualRecoveries + csvRecovery;
-
-        // Load tax deductions from their dedicated storage
-        const taxDeductionsData = DataManager.loadTaxDeductions().filter(deduction => deduction.regtNo === regtNo);
-        const manualTaxDeductions = taxDeductionsData.reduce((sum, deduction) => sum + deduction.amount, 0);
-
-        // Calculate taxable income
-        const taxableIncome = Math.max(0, annualTotal + additionalIncome - totalRecoveries - standardDeduction);
-
-        // Calculate tax - using tax_utils.js
-        const tax = calculateTax(taxableIncome);
-        // Use Section 87A rebate calculation from tax_utils.js
-        const rebate87A = calculateSection87ARebate(taxableIncome, tax);
-        // Calculate initial net tax after rebate
-        let netTaxAfterRebate = tax - rebate87A;
-        // Calculate marginal relief for incomes just above ₹12 lakh
-        const marginalRelief87AB = calculateMarginalRelief87AB(taxableIncome, netTaxAfterRebate);
-        // Apply marginal relief to net tax
-        const netTax = netTaxAfterRebate - marginalRelief87AB;
-        const educationCess = Math.round(netTax * (educationCessRate / 100));
-        // Include the CSV file I-Tax in deductions
-        const totalTax = Math.max(0, netTax + educationCess - manualTaxDeductions - csvFileTax);
-
-        // Calculate monthly deduction
-        const monthlyDeduction = monthsCount > 0 ? Math.round(totalTax / monthsCount) : 0;
-
-        const firstEntry = employee[0].details;
-
-        csvContent += `${regtNo},${firstEntry.name},${firstEntry.rank},${firstEntry.pan},${annualTotal},${standardDeduction},${additionalIncome},${csvRecovery},${manualRecoveriesAmount},${legacyRecoveries},${totalRecoveries},${taxableIncome},${tax},${rebate87A},${marginalRelief87AB},${netTax},${educationCess},${manualTaxDeductions},${csvFileTax},${totalTax},${monthlyDeduction}\n`;
+        csvContent += `${regtNo},${computation.name},${computation.rank},${computation.pan},${computation.regimeLabel},${computation.grossSalary},${computation.exemptSalary},${computation.taxableSalary},${computation.standardDeduction},${computation.previousEmployment.taxableSalary},${computation.professionalTax},${computation.additionalIncome},${computation.leaveEncashmentExemption.exempt},${computation.csvRecovery},${computation.manualRecoveriesAmount},${computation.legacyRecoveries},${computation.totalRecoveries},${computation.chapterVIADeduction},${computation.employerNPSContribution},${computation.employerNPSDeduction},${computation.taxableIncome},${computation.tax},${computation.rebate87A},${computation.marginalRelief87AB},${computation.netTax},${computation.surchargeRate},${computation.surcharge},${computation.surchargeMarginalRelief},${computation.educationCess},${computation.section89Relief},${computation.manualTaxDeductions},${computation.csvFileTax},${computation.previousEmployment.tds},${computation.totalTax},${computation.monthlyDeduction},${computation.regimeComparison.new.totalTaxLiability},${computation.regimeComparison.old.totalTaxLiability}\n`;
     });
 
     const blob = new Blob([csvContent], { type: 'text/csv' });
@@ -0,0 +1,273 @@
+/**
+ * Certificate PDF - Lays out certificate markup as a vector PDF
+ * The preview markup is walked element by element: headings and paragraphs become PDF text and
+ * tables are drawn with jsPDF-AutoTable, which breaks them across pages and repeats their heads.
+ * Every page gets a running header and a page-numbered footer. Noto Sans is embedded so that the
+ * rupee sign prints; the fonts/ directory holds a subset of it (Basic Latin, Latin-1, common
+ * punctuation and ₹, SIL Open Font License) small enough to embed in every certificate
+ */
+const CertificatePDF = {
+    /**
+     * Embedded font and its files, relative to the page
+     */
+    font: {
+        name: 'NotoSans',
+        files: {
+            normal: 'fonts/NotoSans-Regular.ttf',
+            bold: 'fonts/NotoSans-Bold.ttf'
+        }
+    },
+
+    /**
+     * A4 page margins in mm; the header and footer are drawn inside the top and bottom margins
+     */
+    margin: { top: 22, right: 15, bottom: 20, left: 15 },
+
+    // Pending or completed font load, shared by every PDF generated on the page
+    fontRequest: null,
+
+    /**
+     * Check that jsPDF and the AutoTable plugin are loaded
+     * @returns {boolean} True if PDFs can be generated
+     */
+    isAvailable: function() {
+        return Boolean(window.jspdf && window.jspdf.jsPDF &&
+            typeof window.jspdf.jsPDF.API.autoTable === 'function');
+    },
+
+    /**
+     * Load the font files once and keep them as base64
+     * @returns {Promise<Object>} { normal, bold } base64 font data; rejects if a file cannot be loaded
+     */
+    loadFont: function() {
+        if (!this.fontRequest) {
+            const styles = Object.keys(this.font.files);
+
+            this.fontRequest = Promise.all(styles.map(style =>
+                fetch(this.font.files[style]).then(response => {
+                    if (!response.ok) {
+                        throw new Error(`${this.font.files[style]} returned ${response.status}`);
+                    }
+                    return response.arrayBuffer();
+                }).then(buffer => this.toBase64(buffer))
+            )).then(data => {
+                const font = {};
+                styles.forEach((style, index) => { font[style] = data[index]; });
+                return font;
+            }).catch(error => {
+                console.error('Error loading the PDF font:', error);
+                // Try again with the next PDF
+                this.fontRequest = null;
+                throw new Error('The certificate font (fonts/NotoSans-*.ttf) could not be loaded, so the PDF was not created.');
+            });
+        }
+        return this.fontRequest;
+    },
+
+    /**
+     * Base64-encode binary data
+     * @param {ArrayBuffer} buffer - Data
+     * @returns {string} Base64 string
+     */
+    toBase64: function(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const chunkSize = 0x8000;
+        let binary = '';
+
+        for (let offset = 0; offset < bytes.length; offset += chunkSize) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(offset, offset + chunkSize));
+        }
+        return btoa(binary);
+    },
+
+    /**
+     * Lay out certificate markup as a PDF
+     * Each .form-page block after the first starts on a new page
+     * @param {HTMLElement} element - Element holding the certificate markup
+     * @param {Object} options - { header: text at the top left of each page, title: text at the top right,
+     *                             footer: text at the bottom left }
+     * @returns {Promise<Object>} jsPDF document
+     */
+    create: function(element, options = {}) {
+        return this.loadFont().then(fontData => {
+            const { jsPDF } = window.jspdf;
+            const pdf = new jsPDF('p', 'mm', 'a4');
+            const margin = this.margin;
+            const pageWidth = pdf.internal.pageSize.getWidth();
+            const pageHeight = pdf.internal.pageSize.getHeight();
+            const contentWidth = pageWidth - margin.left - margin.right;
+
+            const fontName = this.font.name;
+            Object.keys(fontData).forEach(style => {
+                const file = `${fontName}-${style}.ttf`;
+                pdf.addFileToVFS(file, fontData[style]);
+                pdf.addFont(file, fontName, style);
+            });
+
+            const clean = value => String(value || '').replace(/\s+/g, ' ').trim();
+            const lineHeight = size => size * 0.3528 * 1.35;
+
+            let y = margin.top;
+
+            const newPage = () => {
+                pdf.addPage();
+                y = margin.top;
+            };
+
+            const ensureSpace = height => {
+                if (y + height > pageHeight - margin.bottom && y > margin.top) {
+                    newPage();
+                }
+            };
+
+            const alignOf = (node, inherited) => {
+                if (node.classList.contains('text-center')) return 'center';
+                if (node.classList.contains('text-end')) return 'right';
+                return inherited;
+            };
+
+            // Wrapped text across the content width, or a column of it
+            const writeText = (text, style) => {
+                const size = style.size || 10;
+                const left = style.left === undefined ? margin.left : style.left;
+                const width = style.width || contentWidth;
+                const x = style.align === 'center' ? left + width / 2 : style.align === 'right' ? left + width : left;
+
+                pdf.setFont(fontName, style.bold ? 'bold' : 'normal');
+                pdf.setFontSize(size);
+                pdf.splitTextToSize(clean(text), width).forEach(line => {
+                    ensureSpace(lineHeight(size));
+                    pdf.text(line, x, y + size * 0.3528, { align: style.align || 'left' });
+                    y += lineHeight(size);
+                });
+            };
+
+            const writeTable = table => {
+                pdf.autoTable({
+                    html: table,
+                    startY: y,
+                    theme: 'grid',
+                    margin: { top: margin.top, right: margin.right, bottom: margin.bottom, left: margin.left },
+                    rowPageBreak: 'avoid',
+                    styles: { font: fontName, fontSize: 9, textColor: 20, lineColor: 160, lineWidth: 0.2, cellPadding: 1.5 },
+                    headStyles: { fillColor: 235, textColor: 20, fontStyle: 'bold' },
+                    footStyles: { fillColor: 235, textColor: 20, fontStyle: 'bold' },
+                    didParseCell: data => {
+                        const cell = data.cell.raw;
+                        data.cell.text = data.cell.text.map(clean);
+                        if (!(cell instanceof HTMLElement)) return;
+
+                        // Label cells are bold unless marked otherwise, as in the preview
+                        if (data.section === 'body') {
+                            data.cell.styles.fontStyle = cell.tagName === 'TH' && !cell.classList.contains('fw-normal') ? 'bold' : 'normal';
+                        }
+                        if (cell.classList.contains('small')) data.cell.styles.fontSize = 8;
+                        if (cell.classList.contains('ps-4')) data.cell.styles.cellPadding = { top: 1.5, right: 1.5, bottom: 1.5, left: 6 };
+                        if (cell.classList.contains('ps-5')) data.cell.styles.cellPadding = { top: 1.5, right: 1.5, bottom: 1.5, left: 9 };
+
+                        // Amounts line up on the right
+                        const align = alignOf(cell, alignOf(cell.parentElement, null));
+                        if (align) {
+                            data.cell.styles.halign = align;
+                        } else if (/^₹\s?-?[\d,.]+$/.test(data.cell.text.join(' '))) {
+                            data.cell.styles.halign = 'right';
+                        }
+                    }
+                });
+                y = pdf.lastAutoTable.finalY + 5;
+            };
+
+            // Side-by-side columns such as the place, date and signature block
+            const writeColumns = row => {
+                const columns = Array.from(row.children);
+                const width = contentWidth / columns.length;
+                const lines = columns.map(column => Array.from(column.children).map(child =>
+                    child.tagName === 'BR' ? '' : clean(child.textContent)));
+                const height = Math.max(...lines.map(column => column.length)) * lineHeight(10);
+                ensureSpace(height);
+                const top = y;
+                let bottom = top;
+
+                columns.forEach((column, index) => {
+                    y = top;
+                    const align = alignOf(column, 'left');
+                    lines[index].forEach(line => {
+                        if (line) {
+                            writeText(line, { align, left: margin.left + index * width, width });
+                        } else {
+                            y += lineHeight(10);
+                        }
+                    });
+                    bottom = Math.max(bottom, y);
+                });
+                y = bottom + 3;
+            };
+
+            const headingSizes = { H1: 16, H2: 15, H3: 13, H4: 12, H5: 11, H6: 10 };
+            const blockSelector = 'table, h1, h2, h3, h4, h5, h6, p, div, ul, ol';
+
+            const walk = (node, align, isRoot) => {
+                Array.from(node.children).forEach(child => {
+                    const tag = child.tagName;
+                    const childAlign = alignOf(child, align);
+
+                    if (child.classList.contains('form-page') && y > margin.top) {
+                        newPage();
+                    }
+
+                    if (tag === 'TABLE') {
+                        writeTable(child);
+                    } else if (headingSizes[tag]) {
+                        ensureSpace(lineHeight(headingSizes[tag]) * 2);
+                        writeText(child.textContent, { size: headingSizes[tag], bold: true, align: childAlign });
+                        y += 1.5;
+                    } else if (tag === 'UL' || tag === 'OL') {
+                        Array.from(child.children).forEach((item, index) => {
+                            writeText(`${tag === 'OL' ? `${index + 1}.` : '•'} ${item.textContent}`, { size: 10, align: childAlign });
+                        });
+                        y += 2;
+                    } else if (child.classList.contains('row')) {
+                        writeColumns(child);
+                    } else if (tag === 'BR') {
+                        y += lineHeight(10);
+                    } else if (child.querySelector(blockSelector)) {
+                        walk(child, childAlign, false);
+                        if (!isRoot) y += 1;
+                    } else if (child.textContent.trim()) {
+                        const small = child.classList.contains('small') || Boolean(child.closest('.small'));
+                        writeText(child.textContent, {
+                            size: small ? 8 : 10,
+                            bold: tag === 'STRONG' || tag === 'B' || child.classList.contains('fw-bold'),
+                            align: childAlign
+                        });
+                        y += 1.5;
+                    }
+                });
+            };
+
+            walk(element, 'left', true);
+
+            // Running header and footer, drawn once the page count is known
+            const pages = pdf.getNumberOfPages();
+            for (let page = 1; page <= pages; page++) {
+                pdf.setPage(page);
+                pdf.setFont(fontName, 'normal');
+                pdf.setFontSize(8);
+                pdf.setTextColor(90);
+                pdf.setDrawColor(160);
+                pdf.setLineWidth(0.2);
+
+                pdf.text(clean(options.header), margin.left, 12);
+                pdf.text(clean(options.title), pageWidth - margin.right, 12, { align: 'right' });
+                pdf.line(margin.left, 15, pageWidth - margin.right, 15);
+
+                pdf.line(margin.left, pageHeight - 14, pageWidth - margin.right, pageHeight - 14);
+                pdf.text(clean(options.footer), margin.left, pageHeight - 9);
+                pdf.text(`Page ${page} of ${pages}`, pageWidth - margin.right, pageHeight - 9, { align: 'right' });
+                pdf.setTextColor(0);
+            }
+
+            return pdf;
+        });
+    }
+};
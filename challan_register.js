@@ -0,0 +1,110 @@
+/**
+ * Challan Register - How the tax deducted each month was deposited
+ * A challan is either a TIN (OLTAS) challan paid at a bank, identified by the bank's BSR code and the
+ * challan serial number, or a book entry by a Government office, identified by the Form 24G receipt
+ * number and the DDO serial number of the transfer voucher. Each challan belongs to the month whose
+ * deductions it deposits; the register compares those deposits with the tax deducted from salary
+ * (the salary tax column) and by manual deduction in the same month
+ */
+const ChallanRegister = {
+    /**
+     * Quarter (Q1 to Q4) a month falls in
+     * @param {string} label - Month label, e.g. 'Apr 2025'
+     * @returns {string|null} Quarter, or null for an unrecognised month
+     */
+    quarterOf: function(label) {
+        const parsed = FiscalCalendar.parseMonth(label);
+        return parsed ? `Q${Math.floor(FiscalCalendar.fiscalIndex(parsed.month) / 3) + 1}` : null;
+    },
+
+    /**
+     * Reconcile the tax deducted in each month of a fiscal year with the challans deposited for it
+     * A positive difference is tax deducted but not deposited; a negative one is deposited in excess
+     * @param {string} fiscalYear - Fiscal year in YYYY-YYYY format
+     * @returns {Object} { months: [{ month, quarter, salaryTDS, manualTDS, deducted, deposited, difference, challans }],
+     *                     quarters: [{ quarter, deducted, deposited, difference }], unscheduled, totals }
+     */
+    reconcile: function(fiscalYear) {
+        const computations = TaxEngine.computeAll(fiscalYear);
+        const challans = DataManager.loadChallans().filter(challan => challan.fiscalYear === fiscalYear);
+
+        const months = FiscalCalendar.getMonths(fiscalYear).map(month => ({
+            month: month.label,
+            quarter: this.quarterOf(month.label),
+            salaryTDS: 0,
+            manualTDS: 0,
+            deducted: 0,
+            deposited: 0,
+            difference: 0,
+            challans: []
+        }));
+        const byLabel = label => months.find(entry => entry.month === label);
+
+        // Tax deducted by this unit that is not tied to a month cannot be matched to a challan
+        let unscheduled = 0;
+        for (const regtNo in computations) {
+            const projection = computations[regtNo].tdsProjection;
+
+            // Manual deductions count in their month even while that month's salary is projected
+            projection.schedule
+                .filter(entry => entry.actual > 0)
+                .forEach(entry => {
+                    const row = byLabel(entry.month);
+                    if (!row) return;
+                    row.salaryTDS += entry.salaryTDS;
+                    row.manualTDS += entry.manualTDS;
+                });
+
+            unscheduled += projection.otherDeductions - computations[regtNo].previousEmployment.tds;
+        }
+
+        challans.forEach(challan => {
+            const row = byLabel(challan.month);
+            if (!row) return;
+            row.deposited += parseFloat(challan.amount) || 0;
+            row.challans.push(challan);
+        });
+
+        months.forEach(row => {
+            row.deducted = row.salaryTDS + row.manualTDS;
+            row.difference = row.deducted - row.deposited;
+        });
+
+        const quarters = ['Q1', 'Q2', 'Q3', 'Q4'].map(quarter => {
+            const rows = months.filter(row => row.quarter === quarter);
+            const deducted = rows.reduce((sum, row) => sum + row.deducted, 0);
+            const deposited = rows.reduce((sum, row) => sum + row.deposited, 0);
+            return { quarter, deducted, deposited, difference: deducted - deposited };
+        });
+
+        const deducted = months.reduce((sum, row) => sum + row.deducted, 0);
+        const deposited = months.reduce((sum, row) => sum + row.deposited, 0);
+
+        return {
+            months,
+            quarters,
+            unscheduled,
+            totals: { deducted, deposited, difference: deducted - deposited }
+        };
+    },
+
+    /**
+     * Tax deducted in a month that no challan has deposited yet
+     * @param {string} fiscalYear - Fiscal year
+     * @param {string} label - Month label
+     * @returns {number} Undeposited amount (0 if fully deposited)
+     */
+    undepositedFor: function(fiscalYear, label) {
+        const row = this.reconcile(fiscalYear).months.find(entry => entry.month === label);
+        return row ? Math.max(0, row.difference) : 0;
+    },
+
+    /**
+     * Reference of a challan as shown in registers and messages
+     * @param {Object} challan - Challan
+     * @returns {string} e.g. 'BSR 0510308 / 00012' or 'Book entry 1234567 / 00045'
+     */
+    reference: function(challan) {
+        return `${challan.bookEntry ? 'Book entry' : 'BSR'} ${challan.bsrCode} / ${String(challan.challanSerial).padStart(5, '0')}`;
+    }
+};
@@ -227,6 +227,31 @@ const DataManager = {
                 dataErrors.push('Manual recoveries data is not in correct format');
             }
             
+            if (backupData.previousEmployers && !Array.isArray(backupData.previousEmployers)) {
+                hasDataErrors = true;
+                dataErrors.push('Previous employer data is not in correct format');
+            }
+            
+            if (backupData.challans && !Array.isArray(backupData.challans)) {
+                hasDataErrors = true;
+                dataErrors.push('Challan data is not in correct format');
+            }
+            
+            if (backupData.trustedUnits && !Array.isArray(backupData.trustedUnits)) {
+                hasDataErrors = true;
+                dataErrors.push('Trusted unit data is not in correct format');
+            }
+            
+            if (backupData.taxParameterSets && typeof backupData.taxParameterSets !== 'object') {
+                hasDataErrors = true;
+                dataErrors.push('Tax parameter sets data is not in correct format');
+            }
+            
+            if (backupData.employeeProfiles && typeof backupData.employeeProfiles !== 'object') {
+                hasDataErrors = true;
+                dataErrors.push('Employee profiles data is not in correct format');
+            }
+            
             return {
                 isValid: missingKeys.length === 0 && !hasDataErrors,
                 missingKeys: missingKeys,
@@ -350,62 +375,408 @@ const DataManager = {
     },
 
     /**
-     * Get tax parameters from localStorage
-     * @returns {Object} Tax parameters
+     * Load previous employer records (Form 12B) from localStorage
+     * @returns {Array} Previous employer records array
+     */
+    loadPreviousEmployers: function() {
+        try {
+            const savedRecords = localStorage.getItem('previousEmployers');
+            return savedRecords ? JSON.parse(savedRecords) : [];
+        } catch (error) {
+            console.error('Error loading previous employer records:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Save previous employer records (Form 12B) to localStorage
+     * @param {Array} records - Previous employer records array
+     */
+    savePreviousEmployers: function(records) {
+        try {
+            localStorage.setItem('previousEmployers', JSON.stringify(records));
+        } catch (error) {
+            console.error('Error saving previous employer records:', error);
+            alert('There was an error saving the previous employer records. Please try again.');
+        }
+    },
+
+    /**
+     * Load this unit's transfer file signing key from localStorage
+     * The key is the unit's identity, so it is kept out of backups and is not cleared with the data
+     * @returns {Object|null} { privateKey: JWK, publicKey: JWK, createdAt }, or null if none has been generated
+     */
+    loadSigningKey: function() {
+        try {
+            const savedKey = localStorage.getItem('transferSigningKey');
+            return savedKey ? JSON.parse(savedKey) : null;
+        } catch (error) {
+            console.error('Error loading the transfer signing key:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Save this unit's transfer file signing key to localStorage
+     * @param {Object} key - { privateKey: JWK, publicKey: JWK, createdAt }
+     */
+    saveSigningKey: function(key) {
+        try {
+            localStorage.setItem('transferSigningKey', JSON.stringify(key));
+        } catch (error) {
+            console.error('Error saving the transfer signing key:', error);
+            alert('There was an error saving the transfer signing key. Please try again.');
+        }
+    },
+
+    /**
+     * Load the units whose transfer files are accepted from localStorage
+     * @returns {Array} Trusted units array ({ name, fingerprint, addedAt })
+     */
+    loadTrustedUnits: function() {
+        try {
+            const savedUnits = localStorage.getItem('trustedUnits');
+            return savedUnits ? JSON.parse(savedUnits) : [];
+        } catch (error) {
+            console.error('Error loading trusted units:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Save the units whose transfer files are accepted to localStorage
+     * @param {Array} units - Trusted units array
      */
-    getTaxParameters: function() {
+    saveTrustedUnits: function(units) {
+        try {
+            localStorage.setItem('trustedUnits', JSON.stringify(units));
+        } catch (error) {
+            console.error('Error saving trusted units:', error);
+            alert('There was an error saving the trusted units. Please try again.');
+        }
+    },
+
+    /**
+     * Load TDS challans (deposits of tax deducted) from localStorage
+     * @returns {Array} Challans array ({ fiscalYear, month, bookEntry, bsrCode, challanSerial, depositDate, amount })
+     */
+    loadChallans: function() {
+        try {
+            const savedChallans = localStorage.getItem('tdsChallans');
+            return savedChallans ? JSON.parse(savedChallans) : [];
+        } catch (error) {
+            console.error('Error loading challans:', error);
+            return [];
+        }
+    },
+
+    /**
+     * Save TDS challans to localStorage
+     * @param {Array} challans - Challans array
+     */
+    saveChallans: function(challans) {
+        try {
+            localStorage.setItem('tdsChallans', JSON.stringify(challans));
+        } catch (error) {
+            console.error('Error saving challans:', error);
+            alert('There was an error saving the challans. Please try again.');
+        }
+    },
+
+    /**
+     * Built-in tax parameters by fiscal year (new regime at the top level, old regime under oldRegime)
+     * A fiscal year without an entry uses the latest entry that precedes it
+     * employerNPS: employer's NPS contribution as a % of basic pay plus DA, and the section 80CCD(2)
+     * deduction limits in the same terms by regime (government employers have their own limit)
+     */
+    defaultTaxParameterSets: {
+        '2022-2023': {
+            standardDeduction: 0,
+            educationCess: 4,
+            taxSlabs: [
+                { min: 0, max: 250000, rate: 0 },
+                { min: 250000, max: 500000, rate: 5 },
+                { min: 500000, max: 750000, rate: 10 },
+                { min: 750000, max: 1000000, rate: 15 },
+                { min: 1000000, max: 1250000, rate: 20 },
+                { min: 1250000, max: 1500000, rate: 25 },
+                { min: 1500000, max: null, rate: 30 }
+            ],
+            taxRebateLimit: 500000,
+            maxRebateAmount: 12500,
+            surchargeSlabs: [
+                { min: 5000000, max: 10000000, rate: 10 },
+                { min: 10000000, max: 20000000, rate: 15 },
+                { min: 20000000, max: 50000000, rate: 25 },
+                { min: 50000000, max: null, rate: 37 }
+            ],
+            leaveEncashmentExemptionLimit: 300000,
+            employerNPS: { contributionRate: 14, deductionLimits: { new: 10, old: 10, government: 14 } }
+        },
+        '2023-2024': {
+            standardDeduction: 50000,
+            educationCess: 4,
+            taxSlabs: [
+                { min: 0, max: 300000, rate: 0 },
+                { min: 300000, max: 600000, rate: 5 },
+                { min: 600000, max: 900000, rate: 10 },
+                { min: 900000, max: 1200000, rate: 15 },
+                { min: 1200000, max: 1500000, rate: 20 },
+                { min: 1500000, max: null, rate: 30 }
+            ],
+            taxRebateLimit: 700000,
+            maxRebateAmount: 25000,
+            surchargeSlabs: [
+                { min: 5000000, max: 10000000, rate: 10 },
+                { min: 10000000, max: 20000000, rate: 15 },
+                { min: 20000000, max: null, rate: 25 }
+            ],
+            leaveEncashmentExemptionLimit: 2500000,
+            employerNPS: { contributionRate: 14, deductionLimits: { new: 10, old: 10, government: 14 } }
+        },
+        '2024-2025': {
+            standardDeduction: 75000,
+            educationCess: 4,
+            taxSlabs: [
+                { min: 0, max: 300000, rate: 0 },
+                { min: 300000, max: 700000, rate: 5 },
+                { min: 700000, max: 1000000, rate: 10 },
+                { min: 1000000, max: 1200000, rate: 15 },
+                { min: 1200000, max: 1500000, rate: 20 },
+                { min: 1500000, max: null, rate: 30 }
+            ],
+            taxRebateLimit: 700000,
+            maxRebateAmount: 25000,
+            surchargeSlabs: [
+                { min: 5000000, max: 10000000, rate: 10 },
+                { min: 10000000, max: 20000000, rate: 15 },
+                { min: 20000000, max: null, rate: 25 }
+            ],
+            leaveEncashmentExemptionLimit: 2500000,
+            employerNPS: { contributionRate: 14, deductionLimits: { new: 14, old: 10, government: 14 } }
+        },
+        '2025-2026': {
+            standardDeduction: 75000,
+            educationCess: 4,
+            taxSlabs: [
+                { min: 0, max: 400000, rate: 0 },
+                { min: 400000, max: 800000, rate: 5 },
+                { min: 800000, max: 1200000, rate: 10 },
+                { min: 1200000, max: 1600000, rate: 15 },
+                { min: 1600000, max: 2000000, rate: 20 },
+                { min: 2000000, max: 2400000, rate: 25 },
+                { min: 2400000, max: null, rate: 30 }
+            ],
+            taxRebateLimit: 1200000,
+            maxRebateAmount: 60000,
+            surchargeSlabs: [
+                { min: 5000000, max: 10000000, rate: 10 },
+                { min: 10000000, max: 20000000, rate: 15 },
+                { min: 20000000, max: null, rate: 25 }
+            ],
+            leaveEncashmentExemptionLimit: 2500000,
+            employerNPS: { contributionRate: 14, deductionLimits: { new: 14, old: 10, government: 14 } }
+        }
+    },
+
+    /**
+     * Pay components of a salary row that make up the gross salary
+     * Components marked prorate are paid by days served in a part month (e.g. the retirement month);
+     * annual and one-off payments are paid in full
+     */
+    payComponents: [
+        { key: 'basicPay', label: 'Basic Pay', prorate: true },
+        { key: 'da', label: 'DA', prorate: true },
+        { key: 'tpt', label: 'TPT', prorate: true },
+        { key: 'hra', label: 'HRA', prorate: true },
+        { key: 'dressAll', label: 'Dress Allowance', prorate: false },
+        { key: 'nurseDressAll', label: 'Nurse Dress Allowance', prorate: false },
+        { key: 'bonus', label: 'Bonus', prorate: false },
+        { key: 'rma', label: 'RMA', prorate: true },
+        { key: 'daArrear', label: 'DA Arrear', prorate: false },
+        { key: 'familyPay', label: 'Family Pay', prorate: true },
+        { key: 'personalPay', label: 'Personal Pay', prorate: true },
+        { key: 'soapAll', label: 'Soap Allowance', prorate: true },
+        { key: 'hindiPay', label: 'Hindi Pay', prorate: true },
+        { key: 'specialPay', label: 'Special Pay', prorate: true },
+        { key: 'hca', label: 'HCA', prorate: true },
+        { key: 'hpca', label: 'HPCA', prorate: true },
+        { key: 'rha', label: 'RHA', prorate: true },
+        { key: 'sdaCa', label: 'SDA/CA', prorate: true },
+        { key: 'rumCigaretteAll', label: 'Rum/Cigarette Allowance', prorate: true }
+    ],
+
+    /**
+     * Old regime and Chapter VI-A parameters shared by every built-in fiscal year
+     */
+    defaultOldRegimeParameters: {
+        oldRegime: {
+            standardDeduction: 50000,
+            taxSlabs: [
+                { min: 0, max: 250000, rate: 0 },
+                { min: 250000, max: 500000, rate: 5 },
+                { min: 500000, max: 1000000, rate: 20 },
+                { min: 1000000, max: null, rate: 30 }
+            ],
+            taxRebateLimit: 500000,
+            maxRebateAmount: 12500,
+            surchargeSlabs: [
+                { min: 5000000, max: 10000000, rate: 10 },
+                { min: 10000000, max: 20000000, rate: 15 },
+                { min: 20000000, max: 50000000, rate: 25 },
+                { min: 50000000, max: null, rate: 37 }
+            ]
+        },
+        chapterVIALimits: {
+            '80C': 150000,
+            '80CCD(1B)': 50000,
+            '80D': 75000,
+            '80E': null,
+            '80G': null,
+            '80TTA': 10000
+        }
+    },
+
+    /**
+     * Get the fiscal year the application is currently working in
+     * @returns {string} Fiscal year (e.g. "2025-2026")
+     */
+    getActiveFiscalYear: function() {
         try {
             const params = localStorage.getItem('taxParameters');
-            return params ? JSON.parse(params) : {
-                standardDeduction: 75000,
-                educationCess: 4,
-                fiscalYear: '2025-2026',
-                taxSlabs: [
-                    { min: 0, max: 400000, rate: 0 },
-                    { min: 400000, max: 800000, rate: 5 },
-                    { min: 800000, max: 1200000, rate: 10 },
-                    { min: 1200000, max: 1600000, rate: 15 },
-                    { min: 1600000, max: 2000000, rate: 20 },
-                    { min: 2000000, max: 2400000, rate: 25 },
-                    { min: 2400000, max: null, rate: 30 }
-                ],
-                taxRebateLimit: 1200000,
-                maxRebateAmount: 60000
-            };
+            const fiscalYear = params ? JSON.parse(params).fiscalYear : null;
+            return fiscalYear || getCurrentIndianFiscalYear();
         } catch (error) {
-            console.error('Error loading tax parameters:', error);
-            return {
-                standardDeduction: 75000,
-                educationCess: 4,
-                fiscalYear: '2025-2026',
-                taxSlabs: [
-                    { min: 0, max: 400000, rate: 0 },
-                    { min: 400000, max: 800000, rate: 5 },
-                    { min: 800000, max: 1200000, rate: 10 },
-                    { min: 1200000, max: 1600000, rate: 15 },
-                    { min: 1600000, max: 2000000, rate: 20 },
-                    { min: 2000000, max: 2400000, rate: 25 },
-                    { min: 2400000, max: null, rate: 30 }
-                ],
-                taxRebateLimit: 1200000,
-                maxRebateAmount: 60000
-            };
+            console.error('Error loading active fiscal year:', error);
+            return getCurrentIndianFiscalYear();
         }
     },
 
     /**
-     * Save tax parameters to localStorage
-     * @param {Object} params - Tax parameters
+     * Set the fiscal year the application is currently working in
+     * @param {string} fiscalYear - Fiscal year (e.g. "2025-2026")
      */
-    saveTaxParameters: function(params) {
+    setActiveFiscalYear: function(fiscalYear) {
         try {
-            localStorage.setItem('taxParameters', JSON.stringify(params));
+            // Migrate any legacy single parameter blob before it is replaced
+            this.loadTaxParameterSets();
+            localStorage.setItem('taxParameters', JSON.stringify({ fiscalYear: fiscalYear }));
         } catch (error) {
-            console.error('Error saving tax parameters:', error);
+            console.error('Error saving active fiscal year:', error);
+            alert('There was an error saving the fiscal year. Please try again.');
+        }
+    },
+
+    /**
+     * Get the built-in tax parameters for a fiscal year
+     * @param {string} fiscalYear - Fiscal year (e.g. "2025-2026")
+     * @returns {Object} Default tax parameters for that year
+     */
+    getDefaultTaxParameters: function(fiscalYear) {
+        const years = Object.keys(this.defaultTaxParameterSets).sort();
+        const startYear = parseInt(fiscalYear) || parseInt(getCurrentIndianFiscalYear());
+        
+        // Latest built-in year that starts on or before the requested year (earliest if none does)
+        let year = years[0];
+        years.forEach(candidate => {
+            if (parseInt(candidate) <= startYear) year = candidate;
+        });
+        
+        // Every pay component is fully taxable until configured otherwise
+        const payComponentRules = {};
+        this.payComponents.forEach(component => {
+            payComponentRules[component.key] = { treatment: 'taxable', cap: null, capPeriod: 'monthly', appliesTo: 'both' };
+        });
+        
+        // Projected months repeat the latest uploaded month until projection rules are configured.
+        // Total income (section 288A) and tax (section 288B) are rounded to the nearest ₹10;
+        // monthly TDS installments are rounded down to ₹10 with the remainder in the final month
+        return JSON.parse(JSON.stringify({
+            ...this.defaultTaxParameterSets[year],
+            ...this.defaultOldRegimeParameters,
+            payComponentRules,
+            projectionRules: [],
+            rounding: { totalIncome: 10, tax: 10, installment: 10 }
+        }));
+    },
+
+    /**
+     * Load the stored tax parameter sets from localStorage
+     * Parameters saved before per-year sets existed are migrated to their own fiscal year
+     * @returns {Object} Tax parameter sets by fiscal year
+     */
+    loadTaxParameterSets: function() {
+        try {
+            const savedSets = localStorage.getItem('taxParameterSets');
+            const sets = savedSets ? JSON.parse(savedSets) : {};
+            
+            const legacy = JSON.parse(localStorage.getItem('taxParameters') || 'null');
+            if (legacy && Array.isArray(legacy.taxSlabs)) {
+                const { fiscalYear, ...parameterSet } = legacy;
+                const year = fiscalYear || getCurrentIndianFiscalYear();
+                if (!sets[year]) sets[year] = parameterSet;
+                
+                localStorage.setItem('taxParameterSets', JSON.stringify(sets));
+                localStorage.setItem('taxParameters', JSON.stringify({ fiscalYear: year }));
+            }
+            
+            return sets;
+        } catch (error) {
+            console.error('Error loading tax parameter sets:', error);
+            return {};
+        }
+    },
+
+    /**
+     * Save all tax parameter sets to localStorage
+     * @param {Object} sets - Tax parameter sets by fiscal year
+     */
+    saveTaxParameterSets: function(sets) {
+        try {
+            localStorage.setItem('taxParameterSets', JSON.stringify(sets));
+        } catch (error) {
+            console.error('Error saving tax parameter sets:', error);
             alert('There was an error saving the tax parameters. Please try again.');
         }
     },
 
+    /**
+     * Save the tax parameter set for one fiscal year
+     * @param {string} fiscalYear - Fiscal year (e.g. "2025-2026")
+     * @param {Object} parameterSet - Tax parameters for that year
+     */
+    saveTaxParameterSet: function(fiscalYear, parameterSet) {
+        const sets = this.loadTaxParameterSets();
+        const values = { ...parameterSet };
+        delete values.fiscalYear;
+        sets[fiscalYear] = values;
+        this.saveTaxParameterSets(sets);
+    },
+
+    /**
+     * Get tax parameters for a fiscal year
+     * Stored values for that year override the built-in defaults for that year
+     * @param {string} fiscalYear - Fiscal year (defaults to the active fiscal year)
+     * @returns {Object} Tax parameters, including the fiscalYear they belong to
+     */
+    getTaxParameters: function(fiscalYear = null) {
+        const year = fiscalYear || this.getActiveFiscalYear();
+        const defaults = this.getDefaultTaxParameters(year);
+        const stored = this.loadTaxParameterSets()[year] || {};
+        
+        return { ...defaults, ...stored, fiscalYear: year };
+    },
+
+    /**
+     * Save tax parameters for their fiscal year and make that year active
+     * @param {Object} params - Tax parameters, including fiscalYear
+     */
+    saveTaxParameters: function(params) {
+        const year = params.fiscalYear || this.getActiveFiscalYear();
+        this.saveTaxParameterSet(year, params);
+        this.setActiveFiscalYear(year);
+    },
+
     /**
      * Get organization details from localStorage
      * @returns {Object} Organization details
@@ -417,8 +788,17 @@ const DataManager = {
                 name: 'Border Security Force',
                 department: 'Accounts Department',
                 address: '',
+                tan: '',
+                pan: '',
+                stateCode: '',
+                pin: '',
+                phone: '',
+                ain: '',
+                paoCode: '',
+                ddoCode: '',
                 contactPerson: '',
-                email: ''
+                email: '',
+                employerCategory: 'central-government'
             };
         } catch (error) {
             console.error('Error loading organization details:', error);
@@ -426,8 +806,17 @@ const DataManager = {
                 name: 'Border Security Force',
                 department: 'Accounts Department',
                 address: '',
+                tan: '',
+                pan: '',
+                stateCode: '',
+                pin: '',
+                phone: '',
+                ain: '',
+                paoCode: '',
+                ddoCode: '',
                 contactPerson: '',
-                email: ''
+                email: '',
+                employerCategory: 'central-government'
             };
         }
     },
@@ -473,6 +862,102 @@ const DataManager = {
         }
     },
 
+    /**
+     * Get the service start (joining or transfer-in) date for a specific regiment number
+     * @param {string} regtNo - Regiment number
+     * @returns {string|null} Service start date in string format or null if not set
+     */
+    getServiceStartDate: function(regtNo) {
+        try {
+            return localStorage.getItem(`serviceStart_${regtNo}`);
+        } catch (error) {
+            console.error(`Error loading service start date for ${regtNo}:`, error);
+            return null;
+        }
+    },
+
+    /**
+     * Save the service start date for a specific regiment number; an empty date removes it
+     * @param {string} regtNo - Regiment number
+     * @param {string} date - Service start date in string format
+     */
+    saveServiceStartDate: function(regtNo, date) {
+        try {
+            if (date) {
+                localStorage.setItem(`serviceStart_${regtNo}`, date);
+            } else {
+                localStorage.removeItem(`serviceStart_${regtNo}`);
+            }
+        } catch (error) {
+            console.error(`Error saving service start date for ${regtNo}:`, error);
+            alert('There was an error saving the service start date. Please try again.');
+        }
+    },
+
+    /**
+     * Load employee tax profiles (regime choice and declarations) from localStorage
+     * @returns {Object} Employee profiles by regiment number
+     */
+    loadEmployeeProfiles: function() {
+        try {
+            const savedProfiles = localStorage.getItem('employeeProfiles');
+            return savedProfiles ? JSON.parse(savedProfiles) : {};
+        } catch (error) {
+            console.error('Error loading employee profiles:', error);
+            return {};
+        }
+    },
+
+    /**
+     * Save employee tax profiles to localStorage
+     * @param {Object} profiles - Employee profiles by regiment number
+     */
+    saveEmployeeProfiles: function(profiles) {
+        try {
+            localStorage.setItem('employeeProfiles', JSON.stringify(profiles));
+        } catch (error) {
+            console.error('Error saving employee profiles:', error);
+            alert('There was an error saving the employee profile. Please try again.');
+        }
+    },
+
+    /**
+     * Get the tax profile for a specific regiment number
+     * @param {string} regtNo - Regiment number
+     * @returns {Object} Employee profile with defaults applied
+     */
+    getEmployeeProfile: function(regtNo) {
+        const profile = this.loadEmployeeProfiles()[regtNo] || {};
+        return {
+            ...profile,
+            regime: profile.regime === 'old' ? 'old' : 'new',
+            chapterVIA: profile.chapterVIA || {},
+            section89: {
+                priorYearIncome: {},
+                priorYearRegime: {},
+                daArrearFiscalYear: null,
+                ...(profile.section89 || {})
+            },
+            hra: {
+                metro: false,
+                rentPaid: {},
+                ...(profile.hra || {})
+            },
+            monthOverrides: profile.monthOverrides || {}
+        };
+    },
+
+    /**
+     * Save (merge) the tax profile for a specific regiment number
+     * @param {string} regtNo - Regiment number
+     * @param {Object} changes - Profile fields to update
+     */
+    saveEmployeeProfile: function(regtNo, changes) {
+        const profiles = this.loadEmployeeProfiles();
+        profiles[regtNo] = { ...(profiles[regtNo] || {}), ...changes };
+        this.saveEmployeeProfiles(profiles);
+    },
+
     /**
      * Export all application data as a single JSON object
      * @param {string} description - Optional description for the backup
@@ -484,9 +969,15 @@ const DataManager = {
             const billClaims = this.loadBillClaims();
             const taxDeductions = this.loadTaxDeductions();
             const manualRecoveries = this.loadManualRecoveries();
+            const previousEmployers = this.loadPreviousEmployers();
+            const challans = this.loadChallans();
+            const trustedUnits = this.loadTrustedUnits();
             const taxParameters = this.getTaxParameters();
+            const taxParameterSets = this.loadTaxParameterSets();
             const organizationDetails = this.getOrganizationDetails();
             const retirementDates = this.getAllRetirementDates();
+            const serviceStartDates = this.getAllServiceStartDates();
+            const employeeProfiles = this.loadEmployeeProfiles();
             
             // Generate metadata
             const timestamp = new Date().toISOString();
@@ -510,9 +1001,15 @@ const DataManager = {
                 billClaims: billClaims,
                 taxDeductions: taxDeductions,
                 manualRecoveries: manualRecoveries,
+                previousEmployers: previousEmployers,
+                challans: challans,
+                trustedUnits: trustedUnits,
                 taxParameters: taxParameters,
+                taxParameterSets: taxParameterSets,
                 organizationDetails: organizationDetails,
-                retirementDates: retirementDates
+                retirementDates: retirementDates,
+                serviceStartDates: serviceStartDates,
+                employeeProfiles: employeeProfiles
             };
             
             return exportData;
@@ -549,9 +1046,18 @@ const DataManager = {
             if (data.billClaims) this.saveBillClaims(data.billClaims);
             if (data.taxDeductions) this.saveTaxDeductions(data.taxDeductions);
             if (data.manualRecoveries) this.saveManualRecoveries(data.manualRecoveries);
+            if (data.previousEmployers) this.savePreviousEmployers(data.previousEmployers);
+            if (data.challans) this.saveChallans(data.challans);
+            if (data.trustedUnits) this.saveTrustedUnits(data.trustedUnits);
             if (data.taxParameters) this.saveTaxParameters(data.taxParameters);
+            if (data.taxParameterSets) this.saveTaxParameterSets(data.taxParameterSets);
             if (data.organizationDetails) this.saveOrganizationDetails(data.organizationDetails);
             if (data.retirementDates) this.importRetirementDates(data.retirementDates);
+            if (data.serviceStartDates) this.importServiceStartDates(data.serviceStartDates);
+            if (data.employeeProfiles) this.saveEmployeeProfiles(data.employeeProfiles);
+            
+            // Cached summaries were computed from the data that was just replaced
+            this.clearTaxSummaryCache();
             
             // Create a backup entry in history if we have metadata
             if (data.metadata) {
@@ -627,6 +1133,40 @@ const DataManager = {
         }
     },
 
+    /**
+     * Get all service start dates from localStorage
+     * @returns {Object} All service start dates by regiment number
+     */
+    getAllServiceStartDates: function() {
+        try {
+            const serviceStartDates = {};
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (key.startsWith('serviceStart_')) {
+                    serviceStartDates[key.substring('serviceStart_'.length)] = localStorage.getItem(key);
+                }
+            }
+            return serviceStartDates;
+        } catch (error) {
+            console.error('Error getting all service start dates:', error);
+            return {};
+        }
+    },
+
+    /**
+     * Import service start dates from an object
+     * @param {Object} dates - Service start dates by regiment number
+     */
+    importServiceStartDates: function(dates) {
+        try {
+            for (const regtNo in dates) {
+                this.saveServiceStartDate(regtNo, dates[regtNo]);
+            }
+        } catch (error) {
+            console.error('Error importing service start dates:', error);
+        }
+    },
+
     /**
      * Clear all application data from localStorage
      * @returns {boolean} Success status
@@ -637,14 +1177,19 @@ const DataManager = {
             localStorage.removeItem('billClaims');
             localStorage.removeItem('taxDeductions');
             localStorage.removeItem('manualRecoveries');
+            localStorage.removeItem('previousEmployers');
+            localStorage.removeItem('tdsChallans');
+            localStorage.removeItem('trustedUnits');
             localStorage.removeItem('taxParameters');
+            localStorage.removeItem('taxParameterSets');
             localStorage.removeItem('organizationDetails');
+            localStorage.removeItem('employeeProfiles');
             
-            // Clear retirement dates
+            // Clear retirement and service start dates
             const keysToRemove = [];
             for (let i = 0; i < localStorage.length; i++) {
                 const key = localStorage.key(i);
-                if (key.startsWith('retirement_')) {
+                if (key.startsWith('retirement_') || key.startsWith('serviceStart_')) {
                     keysToRemove.push(key);
                 }
             }
@@ -664,7 +1209,7 @@ const DataManager = {
     
     /**
      * Get tax calculation summary for all employees
-     * This retrieves tax data calculated in the calculation sheet
+     * Summaries are TaxEngine computations without the monthly detail
      * @returns {Object} Tax summary data by regiment number
      */
     getTaxSummary: function() {
@@ -675,125 +1220,14 @@ const DataManager = {
                 return JSON.parse(cachedSummary);
             }
             
-            // If no cached data, calculate the tax summary
+            // If no cached data, calculate the tax summary using the shared TaxEngine
             const taxSummary = {};
-            const salaryData = this.loadSalaryData();
-            const billClaims = this.loadBillClaims();
-            const manualRecoveries = this.loadManualRecoveries();
-            const taxDeductions = this.loadTaxDeductions();
-            const taxParams = this.getTaxParameters();
-            const allRetirementDates = this.getAllRetirementDates();
-            
-            // Get the standard values from tax parameters
-            const standardDeduction = taxParams.standardDeduction || 75000;
-            const educationCessRate = taxParams.educationCess || 4;
+            const computations = TaxEngine.computeAll();
             
-            // Calculate tax summary for each employee
-            for (const regtNo in salaryData) {
-                const employee = salaryData[regtNo];
-                if (!employee || employee.length === 0) continue;
-                
-                // Get retirement date for this employee
-                const retirementDate = allRetirementDates[regtNo];
-                
-                // Calculate extended data (12 months or until retirement)
-                // This reproduces the calculation from calculation_sheet_script.js
-                const extendedData = window.extendTo12Months ? 
-                    window.extendTo12Months(employee, retirementDate) : 
-                    employee;
-                
-                const monthsCount = extendedData.length;
-                const firstMonth = employee[0].details;
-                
-                // Calculate totals from extended data
-                const annualSalary = extendedData.reduce(
-                    (sum, entry) => sum + (entry.details.total || 0), 
-                    0
-                );
-                
-                // Calculate CSV recovery from salary data
-                const csvRecovery = extendedData.reduce(
-                    (sum, entry) => sum + (entry.details.recovery || 0), 
-                    0
-                );
-                
-                // Calculate the sum of tax column from CSV data
-                const csvFileTax = extendedData.reduce(
-                    (sum, entry) => sum + (entry.details.tax || 0), 
-                    0
-                );
-                
-                // Get additional taxable income from bill claims
-                const employeeBillClaims = billClaims.filter(claim => claim.regtNo === regtNo);
-                const additionalIncome = employeeBillClaims
-                    .filter(claim => claim.billType !== 'Recovery' && claim.billType !== 'Tax Deduction' && claim.taxable)
-                    .reduce((sum, claim) => sum + (claim.amount || 0), 0);
-                
-                // Get manual recoveries
-                const employeeManualRecoveries = manualRecoveries.filter(recovery => recovery.regtNo === regtNo);
-                const manualRecoveriesAmount = employeeManualRecoveries.reduce(
-                    (sum, recovery) => sum + (parseFloat(recovery.amount) || 0), 
-                    0
-                );
-                
-                // Get legacy recoveries from bill claims (for backward compatibility)
-                const legacyRecoveries = employeeBillClaims
-                    .filter(claim => claim.billType === 'Recovery')
-                    .reduce((sum, claim) => sum + (claim.amount || 0), 0);
-                
-                // Total manual recoveries
-                const totalManualRecoveries = manualRecoveriesAmount + legacyRecoveries;
-                
-                // Total recoveries
-                const totalRecoveries = csvRecovery + totalManualRecoveries;
-                
-                // Get manual tax deductions
-                const employeeTaxDeductions = taxDeductions.filter(deduction => deduction.regtNo === regtNo);
-                const manualTaxDeductions = employeeTaxDeductions.reduce(
-                    (sum, deduction) => sum + (parseFloat(deduction.amount) || 0), 
-                    0
-                );
-                
-                // Calculate taxable income
-                const taxableIncome = Math.max(0, annualSalary + additionalIncome - totalRecoveries - standardDeduction);
-                
-                // Calculate tax
-                const tax = window.calculateTax ? window.calculateTax(taxableIncome) : 0;
-                const marginalRelief = window.calculateMarginalRelief ? 
-                    window.calculateMarginalRelief(taxableIncome, tax) : 
-                    0;
-                const netTax = Math.max(0, tax - marginalRelief);
-                const educationCess = Math.round(netTax * (educationCessRate / 100));
-                
-                // Total tax after deductions
-                const totalTax = Math.max(0, netTax + educationCess - manualTaxDeductions - csvFileTax);
-                
-                // Monthly deduction
-                const monthlyDeduction = monthsCount > 0 ? Math.round(totalTax / monthsCount) : 0;
-                
-                // Store tax summary
-                taxSummary[regtNo] = {
-                    name: firstMonth.name,
-                    rank: firstMonth.rank,
-                    pan: firstMonth.pan,
-                    annualSalary,
-                    standardDeduction,
-                    additionalIncome,
-                    csvRecovery,
-                    manualRecoveries: totalManualRecoveries,
-                    totalRecoveries,
-                    taxableIncome,
-                    tax,
-                    marginalRelief,
-                    netTax,
-                    educationCess,
-                    educationCessRate,
-                    manualTaxDeductions,
-                    csvFileTax,
-                    totalTax,
-                    monthlyDeduction,
-                    monthsCount
-                };
+            for (const regtNo in computations) {
+                // Drop the month-by-month data and source records to keep the cache small
+                const { months, records, ...summary } = computations[regtNo];
+                taxSummary[regtNo] = summary;
             }
             
             // Cache the results
@@ -0,0 +1,341 @@
+/**
+ * Fiscal Calendar - Places monthly salary entries on the April–March calendar of an
+ * explicitly chosen fiscal year, so projections never depend on today's date or on
+ * the order in which rows were uploaded
+ */
+const FiscalCalendar = {
+    monthNames: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+    monthNamesLong: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'],
+
+    /**
+     * Find the calendar month (0 = January) of a month name, short or long
+     * @param {string} name - Month name ("Apr", "April", "SEPT")
+     * @returns {number} Month index, or -1 when the name is not a month
+     */
+    parseMonthName: function(name) {
+        const value = String(name || '').trim().toLowerCase();
+        if (value.length < 3) return -1;
+        if (value === 'sept') return 8;
+        return this.monthNamesLong.findIndex(month => month.toLowerCase().startsWith(value));
+    },
+
+    /**
+     * Parse a salary month string to a calendar month
+     * Accepts "Apr 2025", "April-2025", "Apr-25", "04-2025", "4/2025" and "2025-04"
+     * @param {string} value - Month string
+     * @returns {Object|null} { month (0-11), year } or null when the string is not a month
+     */
+    parseMonth: function(value) {
+        const text = String(value || '').trim();
+        let match = text.match(/^([a-zA-Z]{3,})[\s\-/,]*(\d{4}|\d{2})$/);
+        if (match) {
+            const month = this.parseMonthName(match[1]);
+            const year = parseInt(match[2]) + (match[2].length === 2 ? 2000 : 0);
+            return month === -1 ? null : { month, year };
+        }
+
+        match = text.match(/^(\d{1,2})[\s\-/](\d{4})$/);
+        if (match) {
+            const month = parseInt(match[1]) - 1;
+            return month >= 0 && month <= 11 ? { month, year: parseInt(match[2]) } : null;
+        }
+
+        match = text.match(/^(\d{4})[\-/](\d{1,2})$/);
+        if (match) {
+            const month = parseInt(match[2]) - 1;
+            return month >= 0 && month <= 11 ? { month, year: parseInt(match[1]) } : null;
+        }
+
+        return null;
+    },
+
+    /**
+     * Canonical label of a calendar month ("Apr 2025")
+     * @param {number} month - Calendar month (0-11)
+     * @param {number} year - Calendar year
+     * @returns {string} Month label
+     */
+    formatMonth: function(month, year) {
+        return `${this.monthNames[month]} ${year}`;
+    },
+
+    /**
+     * Position of a calendar month within the fiscal year (0 = April, 11 = March)
+     * @param {number} month - Calendar month (0-11)
+     * @returns {number} Fiscal month index
+     */
+    fiscalIndex: function(month) {
+        return (month + 9) % 12;
+    },
+
+    /**
+     * The fiscal year a calendar month belongs to
+     * @param {Object} parsed - { month, year } as returned by parseMonth
+     * @returns {string} Fiscal year in YYYY-YYYY format
+     */
+    fiscalYearOf: function(parsed) {
+        const startYear = parsed.month >= 3 ? parsed.year : parsed.year - 1;
+        return `${startYear}-${startYear + 1}`;
+    },
+
+    /**
+     * The twelve months of a fiscal year, April to March
+     * @param {string} fiscalYear - Fiscal year in YYYY-YYYY format
+     * @returns {Array} [{ index, month, year, label }]
+     */
+    getMonths: function(fiscalYear) {
+        const startYear = parseInt(fiscalYear);
+
+        return Array.from({ length: 12 }, (_, index) => {
+            const month = (index + 3) % 12;
+            const year = index < 9 ? startYear : startYear + 1;
+            return { index, month, year, label: this.formatMonth(month, year) };
+        });
+    },
+
+    /**
+     * The part of a fiscal year an employee is in service, from the service start (joining or
+     * transfer-in) date to the retirement date
+     * The joining and retirement months count as service months, paid for the days served in them
+     * @param {string} fiscalYear - Fiscal year in YYYY-YYYY format
+     * @param {string|Date} retirementDate - Retirement date (optional)
+     * @param {string|Date} serviceStartDate - Service start date (optional)
+     * @returns {Object} { firstMonth, months, partMonths } - service months are firstMonth to months - 1;
+     *                   partMonths holds { daysServed, daysInMonth, reason } by fiscal month index
+     */
+    getServicePeriod: function(fiscalYear, retirementDate, serviceStartDate = null) {
+        const toDate = value => {
+            const date = typeof value === 'string' ? parseDate(value) : value;
+            return date && !isNaN(date.getTime()) ? date : null;
+        };
+        const retireDate = toDate(retirementDate);
+        const startDate = toDate(serviceStartDate);
+        const startYear = parseInt(fiscalYear);
+        const yearStart = new Date(startYear, 3, 1);
+        const yearEnd = new Date(startYear + 1, 2, 31);
+        const daysInMonth = date => new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+
+        const period = { firstMonth: 0, months: 12, partMonths: {} };
+
+        if (retireDate && retireDate < yearStart) period.months = 0;
+        if (startDate && startDate > yearEnd) period.firstMonth = 12;
+
+        if (startDate && startDate >= yearStart && startDate <= yearEnd) {
+            period.firstMonth = this.fiscalIndex(startDate.getMonth());
+            if (startDate.getDate() > 1) {
+                period.partMonths[period.firstMonth] = {
+                    daysServed: daysInMonth(startDate) - startDate.getDate() + 1,
+                    daysInMonth: daysInMonth(startDate),
+                    reason: 'joining'
+                };
+            }
+        }
+
+        if (retireDate && retireDate >= yearStart && retireDate <= yearEnd) {
+            const index = this.fiscalIndex(retireDate.getMonth());
+            const served = period.partMonths[index]
+                ? retireDate.getDate() - startDate.getDate() + 1
+                : retireDate.getDate();
+
+            period.months = index + 1;
+            if (served < daysInMonth(retireDate)) {
+                period.partMonths[index] = {
+                    daysServed: Math.max(0, served),
+                    daysInMonth: daysInMonth(retireDate),
+                    reason: period.partMonths[index] ? 'joining and retirement' : 'retirement'
+                };
+            }
+        }
+
+        return period;
+    },
+
+    /**
+     * Prorate the pay of a part month by days served
+     * Components that prorate (DataManager.payComponents) are paid for the days served; the rest in full
+     * @param {Object} details - Month details, updated in place
+     * @param {number} daysServed - Days in service during the month
+     * @param {number} daysInMonth - Days in the month
+     * @returns {Object} { daysServed, daysInMonth, items: [{ component, label, full, prorated }], reduction }
+     */
+    prorateMonth: function(details, daysServed, daysInMonth) {
+        const items = [];
+
+        DataManager.payComponents.filter(component => component.prorate).forEach(component => {
+            const full = details[component.key] || 0;
+            if (full === 0) return;
+
+            const prorated = Math.round(full * daysServed / daysInMonth);
+            details[component.key] = prorated;
+            items.push({ component: component.key, label: component.label, full, prorated });
+        });
+
+        const reduction = items.reduce((sum, item) => sum + item.full - item.prorated, 0);
+        details.total = (details.total || 0) - reduction;
+
+        return { daysServed, daysInMonth, items, reduction };
+    },
+
+    /**
+     * Apply a projection rule to the pay of a projected month
+     * 'increment' raises a pay component by the rate (DA follows basic pay at the current DA rate);
+     * 'da' sets the DA rate as a percentage of basic pay
+     * @param {Object} details - Month details, updated in place
+     * @param {Object} rule - { type, month, component, rate }
+     * @param {Object} state - { daRate } carried from month to month
+     * @returns {string} Description of the change
+     */
+    applyProjectionRule: function(details, rule, state) {
+        const before = { basicPay: details.basicPay || 0, da: details.da || 0 };
+        const rate = parseFloat(rule.rate) || 0;
+        let description;
+
+        if (rule.type === 'da') {
+            state.daRate = rate;
+            description = `DA ${rate}%`;
+        } else {
+            const component = rule.component || 'basicPay';
+            const previous = details[component] || 0;
+            details[component] = Math.round(previous * (1 + rate / 100));
+            details.total = (details.total || 0) + details[component] - previous;
+            description = `+${rate}% ${(DataManager.payComponents.find(item => item.key === component) || { label: component }).label}`;
+        }
+
+        // DA is a percentage of basic pay, so it moves with both kinds of rule
+        if (state.daRate !== null && (rule.type === 'da' || details.basicPay !== before.basicPay)) {
+            details.da = Math.round((details.basicPay || 0) * state.daRate / 100);
+            details.total = (details.total || 0) + details.da - before.da;
+        }
+
+        return description;
+    },
+
+    /**
+     * Apply a manual override to the pay of one projected month
+     * A zero-salary override (leave without pay, suspension) clears every pay component and
+     * deduction; component overrides replace single components and adjust the gross to match
+     * @param {Object} details - Month details, updated in place
+     * @param {Object} override - { zeroSalary, components, note }
+     */
+    applyMonthOverride: function(details, override) {
+        if (override.zeroSalary) {
+            Object.keys(details).forEach(key => {
+                if (typeof details[key] === 'number') details[key] = 0;
+            });
+            return;
+        }
+
+        Object.entries(override.components || {}).forEach(([component, value]) => {
+            const previous = details[component] || 0;
+            details[component] = parseFloat(value) || 0;
+            details.total = (details.total || 0) + details[component] - previous;
+        });
+    },
+
+    /**
+     * Place salary entries on the calendar of a fiscal year
+     * Entries are sorted by month; months after the latest uploaded month are projected from it
+     * up to the end of service, and months without data before it are reported as missing.
+     * Projection rules (increments, DA revisions) take effect from their month onwards when that
+     * month is still to be projected; earlier ones are already reflected in the uploaded data.
+     * Nothing is projected outside the service period, and projected joining and retirement
+     * months are prorated by the days served.
+     * Manual overrides then replace the pay of single projected months; uploaded months are never overridden
+     * @param {Array} entries - Salary entries ({ month, details })
+     * @param {string} fiscalYear - Fiscal year in YYYY-YYYY format
+     * @param {Object} options - Projection options
+     * @param {string|Date} options.retirementDate - Retirement date (optional)
+     * @param {string|Date} options.serviceStartDate - Joining or transfer-in date (optional)
+     * @param {Array} options.projectionRules - Projection rules ({ type, month, component, rate }, month 0-11)
+     * @param {Object} options.monthOverrides - Overrides by month label ({ zeroSalary, components, note })
+     * @returns {Object} { fiscalYear, servicePeriod, calendar, actual, projected, prorations, missing, outside, unrecognised }
+     */
+    buildSchedule: function(entries, fiscalYear, options = {}) {
+        const calendar = this.getMonths(fiscalYear).map(month => ({ ...month, status: 'missing', entries: [] }));
+        const servicePeriod = this.getServicePeriod(fiscalYear, options.retirementDate || null, options.serviceStartDate || null);
+        const projectionRules = options.projectionRules || [];
+        const monthOverrides = options.monthOverrides || {};
+        const outside = [];
+        const unrecognised = [];
+
+        (entries || []).forEach(entry => {
+            const parsed = this.parseMonth(entry.month);
+            if (!parsed) {
+                unrecognised.push(entry);
+            } else if (this.fiscalYearOf(parsed) !== fiscalYear) {
+                outside.push(entry);
+            } else {
+                calendar[this.fiscalIndex(parsed.month)].entries.push(entry);
+            }
+        });
+
+        calendar.forEach(month => {
+            if (month.entries.length > 0) month.status = 'actual';
+        });
+
+        // Project the latest uploaded month forward to the end of service
+        const latest = calendar.filter(month => month.status === 'actual').pop();
+        const projected = [];
+        const prorations = [];
+        let details = null;
+        const state = { daRate: null };
+
+        // The DA rate in force is read from the latest month until a rule revises it
+        if (latest) {
+            details = JSON.parse(JSON.stringify(latest.entries[latest.entries.length - 1].details));
+            state.daRate = details.basicPay > 0 ? (details.da || 0) * 100 / details.basicPay : null;
+        }
+
+        calendar.forEach(month => {
+            if (month.status === 'actual') return;
+
+            const inService = month.index >= servicePeriod.firstMonth && month.index < servicePeriod.months;
+
+            if (latest && month.index > latest.index && inService) {
+                const changes = projectionRules
+                    .filter(rule => this.fiscalIndex(parseInt(rule.month)) === month.index)
+                    .sort((a, b) => (a.type === 'da') - (b.type === 'da'))
+                    .map(rule => this.applyProjectionRule(details, rule, state));
+
+                const entry = { month: month.label, details: JSON.parse(JSON.stringify(details)) };
+                if (changes.length > 0) entry.projectionChanges = changes;
+
+                // Joining and retirement months are paid only for the days served
+                const partMonth = servicePeriod.partMonths[month.index];
+                if (partMonth) {
+                    entry.proration = {
+                        month: month.label,
+                        reason: partMonth.reason,
+                        ...this.prorateMonth(entry.details, partMonth.daysServed, partMonth.daysInMonth)
+                    };
+                    prorations.push(entry.proration);
+                }
+
+                // Overrides apply to their own month only; the projection carries on from the rules
+                const override = monthOverrides[month.label];
+                if (override) {
+                    this.applyMonthOverride(entry.details, override);
+                    entry.override = override;
+                }
+                month.status = 'projected';
+                month.entries.push(entry);
+                projected.push(entry);
+            } else if (!inService) {
+                month.status = 'out-of-service';
+            }
+        });
+
+        return {
+            fiscalYear,
+            servicePeriod,
+            calendar,
+            actual: calendar.filter(month => month.status === 'actual')
+                .reduce((all, month) => all.concat(JSON.parse(JSON.stringify(month.entries))), []),
+            projected,
+            prorations,
+            missing: calendar.filter(month => month.status === 'missing').map(month => month.label),
+            outside,
+            unrecognised
+        };
+    }
+};
@@ -0,0 +1,177 @@
+/**
+ * Form 10E Generator - Handles generation of Form 10E (Annexure I) for relief under Section 89
+ */
+
+/**
+ * Generate Form 10E for a specific employee
+ * @param {string} regtNo - Regiment number of the employee
+ * @param {string} financialYear - Financial year in which the arrears were received
+ */
+function generateForm10E(regtNo, financialYear = null) {
+    try {
+        const salaryData = DataManager.loadSalaryData();
+
+        if (!salaryData || !salaryData[regtNo]) {
+            alert('No salary data found for regiment number: ' + regtNo);
+            return;
+        }
+
+        if (!financialYear) {
+            financialYear = DataManager.getActiveFiscalYear();
+        }
+
+        const computation = TaxEngine.computeForEmployee(regtNo, {
+            salaryMonths: salaryData[regtNo],
+            fiscalYear: financialYear
+        });
+        const section89 = computation.section89;
+
+        if (!section89.applicable) {
+            alert('No arrears relating to earlier fiscal years were found for this employee. Attribute arrears to a fiscal year on the Bill Claims page or in the calculation sheet.');
+            return;
+        }
+
+        if (!section89.complete) {
+            alert('Enter the total income of every earlier fiscal year in the Section 89 panel of the calculation sheet before generating Form 10E.');
+            return;
+        }
+
+        const orgDetails = DataManager.getOrganizationDetails() || {};
+
+        showCertificatePreview(
+            createForm10EHTML(regtNo, financialYear, orgDetails, computation),
+            `Form_10E_${regtNo}_${financialYear}.pdf`
+        );
+    } catch (error) {
+        console.error('Error generating Form 10E:', error);
+        alert('An error occurred while generating Form 10E. Please try again.');
+    }
+}
+
+/**
+ * Build the Form 10E markup: employee details, Annexure I and Table A
+ * @param {string} regtNo - Regiment number
+ * @param {string} financialYear - Financial year in which the arrears were received
+ * @param {Object} orgDetails - Organization details
+ * @param {Object} computation - TaxEngine computation
+ * @returns {string} Form 10E markup
+ */
+function createForm10EHTML(regtNo, financialYear, orgDetails, computation) {
+    const section89 = computation.section89;
+    const current = section89.currentYear;
+    const assessmentStartYear = parseInt(financialYear) + 1;
+
+    const annexureRows = [
+        ['1', 'Total income (excluding salary received in arrears or advance)', current.incomeWithoutArrears],
+        ['2', 'Salary received in arrears or advance', section89.arrears],
+        ['3', 'Total income (as increased by salary received in arrears or advance) [Add item 1 and item 2]', current.incomeWithArrears],
+        ['4', 'Tax on total income (as per item 3)', current.taxWithArrears],
+        ['5', 'Tax on total income (as per item 1)', current.taxWithoutArrears],
+        ['6', 'Tax on salary received in arrears or advance [Difference of item 4 and item 5]', current.difference],
+        ['7', 'Tax computed in accordance with Table "A" [Brought from column 7 of Table "A"]', section89.priorYearsDifference],
+        ['8', 'Relief under section 89(1) [Indicate the difference between the amounts mentioned against item 6 and 7]', section89.relief]
+    ];
+
+    return `
+        <div class="text-center mb-4">
+            <h3 class="mb-1">FORM No. 10E</h3>
+            <p class="mb-1">[See rule 21AA]</p>
+            <h5 class="mb-3">Form for furnishing particulars of income under section 192(2A) for the year ending 31st March, ${parseInt(financialYear) + 1} for claiming relief under section 89(1) by a Government servant or an employee in a company, co-operative society, local authority, university, institution, association or body</h5>
+        </div>
+
+        <div class="mb-4">
+            <table class="table table-bordered">
+                <tr>
+                    <th style="width: 40%">Name and address of the employee</th>
+                    <td>${computation.name || 'N/A'}, ${computation.rank || ''} (Regt. No. ${regtNo})</td>
+                </tr>
+                <tr>
+                    <th>Permanent Account Number</th>
+                    <td>${computation.pan || 'N/A'}</td>
+                </tr>
+                <tr>
+                    <th>Employer</th>
+                    <td>${orgDetails.name || 'Border Security Force'}</td>
+                </tr>
+                <tr>
+                    <th>Residential status</th>
+                    <td>Resident</td>
+                </tr>
+                <tr>
+                    <th>Assessment Year</th>
+                    <td>${assessmentStartYear}-${assessmentStartYear + 1}</td>
+                </tr>
+                <tr>
+                    <th>Tax Regime</th>
+                    <td>${computation.regimeLabel}</td>
+                </tr>
+            </table>
+        </div>
+
+        <div class="mb-4">
+            <h5>ANNEXURE I</h5>
+            <p class="small">[See item 1 of Form 10E] Arrears or advance salary</p>
+            <table class="table table-bordered table-sm">
+                ${annexureRows.map(([item, label, amount]) => `
+                <tr>
+                    <td style="width: 5%">${item}</td>
+                    <th style="width: 65%">${label}</th>
+                    <td style="width: 30%">${formatCurrencyForPDF(amount)}</td>
+                </tr>`).join('')}
+            </table>
+        </div>
+
+        <div class="mb-4">
+            <h5>TABLE "A"</h5>
+            <p class="small">[See item 7 of Annexure I]</p>
+            <table class="table table-bordered table-sm">
+                <thead>
+                    <tr>
+                        <th>Previous year(s)</th>
+                        <th>Total income of the relevant previous year</th>
+                        <th>Salary received in arrears or advance relating to the relevant previous year</th>
+                        <th>Total income (as increased by salary received in arrears or advance) [Add columns 2 and 3]</th>
+                        <th>Tax on total income [as per column 2]</th>
+                        <th>Tax on total income [as per column 4]</th>
+                        <th>Difference in tax [Amount under column 6 minus amount under column 5]</th>
+                    </tr>
+                    <tr class="small text-center">
+                        <td>(1)</td><td>(2)</td><td>(3)</td><td>(4)</td><td>(5)</td><td>(6)</td><td>(7)</td>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${section89.years.map(year => `
+                    <tr>
+                        <td>${year.fiscalYear} (${TaxEngine.regimeLabels[year.regime]})</td>
+                        <td>${formatCurrencyForPDF(year.totalIncome)}</td>
+                        <td>${formatCurrencyForPDF(year.arrears)}</td>
+                        <td>${formatCurrencyForPDF(year.incomeWithArrears)}</td>
+                        <td>${formatCurrencyForPDF(year.taxWithoutArrears)}</td>
+                        <td>${formatCurrencyForPDF(year.taxWithArrears)}</td>
+                        <td>${formatCurrencyForPDF(year.difference)}</td>
+                    </tr>`).join('')}
+                </tbody>
+                <tfoot>
+                    <tr>
+                        <th colspan="6">Total</th>
+                        <th>${formatCurrencyForPDF(section89.priorYearsDifference)}</th>
+                    </tr>
+                </tfoot>
+            </table>
+        </div>
+
+        <div class="mt-5 mb-5">
+            <div class="row">
+                <div class="col-md-6">
+                    <p>Place: ${orgDetails.address || ''}</p>
+                    <p>Date: ${new Date().toLocaleDateString()}</p>
+                </div>
+                <div class="col-md-6 text-end">
+                    <p>Signature of the employee</p>
+                    <br>
+                    <p>${computation.name || ''}</p>
+                </div>
+            </div>
+        </div>
+    `;
+}
@@ -0,0 +1,297 @@
+/**
+ * Form 16 Part B Generator - Handles generation of Form 16 Part B (Annexure) from the tax computation
+ */
+
+/**
+ * Generate Form 16 Part B for a specific employee
+ * @param {string} regtNo - Regiment number of the employee
+ * @param {string} financialYear - Financial year of the certificate
+ */
+function generateForm16PartB(regtNo, financialYear = null) {
+    try {
+        const salaryData = DataManager.loadSalaryData();
+
+        if (!salaryData || !salaryData[regtNo]) {
+            alert('No salary data found for regiment number: ' + regtNo);
+            return;
+        }
+
+        if (!financialYear) {
+            financialYear = DataManager.getActiveFiscalYear();
+        }
+
+        const orgDetails = DataManager.getOrganizationDetails() || {};
+
+        if (!orgDetails.tan) {
+            alert('Enter the TAN of the deductor in Settings > Organization Details before generating Form 16.');
+            return;
+        }
+
+        const computation = TaxEngine.computeForEmployee(regtNo, {
+            salaryMonths: salaryData[regtNo],
+            fiscalYear: financialYear
+        });
+
+        showCertificatePreview(
+            createForm16PartBHTML(regtNo, financialYear, orgDetails, computation),
+            `Form_16_Part_B_${regtNo}_${financialYear}.pdf`
+        );
+    } catch (error) {
+        console.error('Error generating Form 16 Part B:', error);
+        alert('An error occurred while generating Form 16 Part B. Please try again.');
+    }
+}
+
+/**
+ * Period of employment within the fiscal year, from joining (or 1 April) to retirement (or 31 March)
+ * @param {string} financialYear - Financial year
+ * @param {Object} computation - TaxEngine computation
+ * @returns {Object} { from, to } as dates
+ */
+function getForm16Period(financialYear, computation) {
+    let from = new Date(parseInt(financialYear), 3, 1);
+    let to = new Date(parseInt(financialYear) + 1, 2, 31);
+
+    const serviceStart = computation.serviceStartDate ? parseDate(computation.serviceStartDate) : null;
+    const retirement = computation.retirementDate ? parseDate(computation.retirementDate) : null;
+    if (serviceStart && !isNaN(serviceStart.getTime()) && serviceStart > from) from = serviceStart;
+    if (retirement && !isNaN(retirement.getTime()) && retirement < to) to = retirement;
+
+    return { from, to };
+}
+
+/**
+ * Form 16 Part B amounts derived from the tax computation, shared with the Form 24Q salary details
+ * @param {Object} computation - TaxEngine computation
+ * @returns {Object} { salary17_1, hraExempt, otherExemptions, otherExempt, totalExemptions,
+ *                     salaryFromEmployer, section16, incomeFromSalary, chapterVIATotal }
+ */
+function getForm16Figures(computation) {
+    const previous = computation.previousEmployment;
+
+    // Salary u/s 17(1) from this employer: pay, employer's NPS contribution and taxable bill claims, net of recoveries
+    const salary17_1 = computation.grossSalary + computation.employerNPSContribution +
+        computation.additionalIncome - computation.totalRecoveries;
+
+    // Section 10 exemptions: HRA and leave encashment have their own items, other exempt allowances are grouped
+    const hraExempt = computation.salaryExemptions
+        .filter(item => item.component === 'hra')
+        .reduce((sum, item) => sum + item.exempt, 0);
+    const otherExemptions = computation.salaryExemptions.filter(item => item.component !== 'hra');
+    const otherExempt = computation.exemptSalary - hraExempt + previous.exemptions;
+    const totalExemptions = computation.exemptSalary + computation.leaveEncashmentExemption.exempt + previous.exemptions;
+
+    const salaryFromEmployer = salary17_1 - totalExemptions;
+    const section16 = computation.standardDeduction + computation.professionalTax;
+    const incomeFromSalary = salaryFromEmployer + previous.grossSalary - section16;
+    const chapterVIATotal = computation.chapterVIADeduction + computation.employerNPSDeduction;
+
+    return {
+        salary17_1, hraExempt, otherExemptions, otherExempt, totalExemptions,
+        salaryFromEmployer, section16, incomeFromSalary, chapterVIATotal
+    };
+}
+
+/**
+ * Build the Form 16 Part B markup: details of salary paid, deductions and tax, the TDS
+ * deducted month by month and the verification, one printed page each
+ * @param {string} regtNo - Regiment number
+ * @param {string} financialYear - Financial year of the certificate
+ * @param {Object} orgDetails - Organization details (name, address, TAN, PAN, signatory)
+ * @param {Object} computation - TaxEngine computation
+ * @returns {string} Form 16 Part B markup
+ */
+function createForm16PartBHTML(regtNo, financialYear, orgDetails, computation) {
+    const assessmentStartYear = parseInt(financialYear) + 1;
+    const period = getForm16Period(financialYear, computation);
+    const previous = computation.previousEmployment;
+
+    const {
+        salary17_1, hraExempt, otherExemptions, otherExempt, totalExemptions,
+        salaryFromEmployer, section16, incomeFromSalary, chapterVIATotal
+    } = getForm16Figures(computation);
+    const otherExemptionDetails = otherExemptions.map(item => `${item.label}: ${formatCurrencyForPDF(item.exempt)}`)
+        .concat(previous.exemptions > 0 ? [`On salary from other employer(s): ${formatCurrencyForPDF(previous.exemptions)}`] : []);
+
+    const chapterVIA = computation.chapterVIA.items.filter(item => item.allowed > 0);
+
+    const salaryRows = [
+        ['1', 'Gross Salary', null, 0],
+        ['(a)', 'Salary as per provisions contained in section 17(1)', salary17_1, 1],
+        ...(computation.totalRecoveries > 0
+            ? [['', `(net of recoveries of ${formatCurrencyForPDF(computation.totalRecoveries)})`, null, 2]]
+            : []),
+        ...(computation.employerNPSContribution > 0
+            ? [['', `(includes employer's NPS contribution of ${formatCurrencyForPDF(computation.employerNPSContribution)})`, null, 2]]
+            : []),
+        ['(b)', 'Value of perquisites under section 17(2)', 0, 1],
+        ['(c)', 'Profits in lieu of salary under section 17(3)', 0, 1],
+        ['(d)', 'Total', salary17_1, 1],
+        ['(e)', 'Reported total amount of salary received from other employer(s)', previous.grossSalary, 1],
+        ['2', 'Less: Allowances to the extent exempt under section 10', null, 0],
+        ['(a)', 'Travel concession or assistance under section 10(5)', 0, 1],
+        ['(b)', 'Death-cum-retirement gratuity under section 10(10)', 0, 1],
+        ['(c)', 'Commuted value of pension under section 10(10A)', 0, 1],
+        ['(d)', 'Cash equivalent of leave salary encashment under section 10(10AA)', computation.leaveEncashmentExemption.exempt, 1],
+        ['(e)', 'House rent allowance under section 10(13A)', hraExempt, 1],
+        ['(f)', 'Amount of any other exemption under section 10', null, 1],
+        ...otherExemptionDetails.map(detail => ['', detail, null, 2]),
+        ['(g)', 'Total amount of any other exemption under section 10', otherExempt, 1],
+        ['(h)', 'Total amount of exemption claimed under section 10 [2(a) + 2(b) + 2(c) + 2(d) + 2(e) + 2(g)]', totalExemptions, 1],
+        ['3', 'Total amount of salary received from current employer [1(d) - 2(h)]', salaryFromEmployer, 0],
+        ['4', 'Less: Deductions under section 16', null, 0],
+        ['(a)', 'Standard deduction under section 16(ia)', computation.standardDeduction, 1],
+        ['(b)', 'Entertainment allowance under section 16(ii)', 0, 1],
+        ['(c)', 'Tax on employment under section 16(iii)', computation.professionalTax, 1],
+        ['5', 'Total amount of deductions under section 16 [4(a) + 4(b) + 4(c)]', section16, 0],
+        ['6', 'Income chargeable under the head "Salaries" [3 + 1(e) - 5]', incomeFromSalary, 0],
+        ['7', 'Add: Any other income reported by the employee', null, 0],
+        ['(a)', 'Income (or admissible loss) from house property reported by employee offered for TDS', 0, 1],
+        ['(b)', 'Income under the head Other Sources offered for TDS', 0, 1],
+        ['8', 'Total amount of other income reported by the employee [7(a) + 7(b)]', 0, 0],
+        ['9', 'Gross total income (6 + 8)', incomeFromSalary, 0]
+    ];
+
+    const taxRows = [
+        ['10', 'Deductions under Chapter VI-A', null, 0],
+        ...chapterVIA.map((item, index) => [`(${String.fromCharCode(97 + index)})`, `Deduction under section ${item.label}`, item.allowed, 1]),
+        [`(${String.fromCharCode(97 + chapterVIA.length)})`, 'Deduction in respect of contribution by the employer to pension scheme under section 80CCD(2)', computation.employerNPSDeduction, 1],
+        ['11', 'Aggregate of deductible amount under Chapter VI-A', chapterVIATotal, 0],
+        ['12', 'Total taxable income (9 - 11), rounded off under section 288A', computation.taxableIncome, 0],
+        ['13', 'Tax on total income', computation.tax, 0],
+        ['14', `Rebate under section 87A, if applicable${computation.marginalRelief87AB > 0 ? ' (including marginal relief)' : ''}`, computation.rebate87A + computation.marginalRelief87AB, 0],
+        ['15', 'Surcharge, wherever applicable', computation.surcharge - computation.surchargeMarginalRelief, 0],
+        ['16', 'Health and education cess', computation.educationCess, 0],
+        ['17', 'Tax payable (13 + 15 + 16 - 14), rounded off under section 288B', computation.totalTaxLiability, 0],
+        ['18', 'Less: Relief under section 89 (attach details)', computation.section89Relief, 0],
+        ['19', 'Net tax payable (17 - 18)', computation.netTaxLiability, 0]
+    ];
+
+    const renderRows = rows => rows.map(([item, label, amount, level]) => `
+                <tr>
+                    <td style="width: 8%">${item}</td>
+                    <th class="${level === 0 ? '' : level === 1 ? 'ps-4 fw-normal' : 'ps-5 fw-normal small'}" style="width: 67%">${label}</th>
+                    <td style="width: 25%" class="text-end">${amount === null ? '' : formatCurrencyForPDF(amount)}</td>
+                </tr>`).join('');
+
+    const deductedMonths = computation.tdsProjection.schedule.filter(month => month.status === 'actual' && month.actual > 0);
+    const signatory = orgDetails.contactPerson || 'Accounts Officer';
+    const designation = orgDetails.contactDesignation || 'Drawing and Disbursing Officer';
+
+    return `
+        <div class="form-page">
+            <div class="text-center mb-3">
+                <h3 class="mb-1">FORM No. 16</h3>
+                <p class="mb-1">[See rule 31(1)(a)]</p>
+                <h4 class="mb-1">PART B</h4>
+                <h5 class="mb-3">Annexure: Details of Salary Paid and any other income and tax deducted</h5>
+            </div>
+
+            <table class="table table-bordered table-sm mb-3">
+                <tr>
+                    <th style="width: 50%">Name and address of the Employer/Specified Bank</th>
+                    <th>Name and designation of the Employee</th>
+                </tr>
+                <tr>
+                    <td>${orgDetails.name || 'Border Security Force'}${orgDetails.department ? `, ${orgDetails.department}` : ''}<br>${orgDetails.address || ''}</td>
+                    <td>${computation.name || 'N/A'}, ${computation.rank || ''}<br>Regt. No. ${regtNo}</td>
+                </tr>
+                <tr>
+                    <th>PAN of the Deductor</th>
+                    <th>TAN of the Deductor</th>
+                </tr>
+                <tr>
+                    <td>${orgDetails.pan || 'PANNOTREQD'}</td>
+                    <td>${orgDetails.tan}</td>
+                </tr>
+                <tr>
+                    <th>PAN of the Employee</th>
+                    <th>Assessment Year</th>
+                </tr>
+                <tr>
+                    <td>${computation.pan || 'N/A'}</td>
+                    <td>${assessmentStartYear}-${String(assessmentStartYear + 1).slice(-2)}</td>
+                </tr>
+                <tr>
+                    <th>Period with the Employer</th>
+                    <th>Whether opting out of taxation under section 115BAC(1A)</th>
+                </tr>
+                <tr>
+                    <td>From ${formatDate(period.from)} to ${formatDate(period.to)}</td>
+                    <td>${computation.regime === 'old' ? 'Yes' : 'No'}</td>
+                </tr>
+            </table>
+
+            <table class="table table-bordered table-sm">
+                ${renderRows(salaryRows)}
+            </table>
+        </div>
+
+        <div class="form-page">
+            <h5 class="mb-3">FORM No. 16, PART B (continued): ${computation.name || ''} (${regtNo}), AY ${assessmentStartYear}-${String(assessmentStartYear + 1).slice(-2)}</h5>
+            <table class="table table-bordered table-sm">
+                ${renderRows(taxRows)}
+            </table>
+        </div>
+
+        <div class="form-page">
+            <h5 class="mb-3">Details of tax deducted at source</h5>
+            <table class="table table-bordered table-sm">
+                <thead>
+                    <tr>
+                        <th>Month</th>
+                        <th class="text-end">Deducted from Salary</th>
+                        <th class="text-end">Other Deductions</th>
+                        <th class="text-end">Total</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${deductedMonths.map(month => `
+                    <tr>
+                        <td>${month.month}</td>
+                        <td class="text-end">${formatCurrencyForPDF(month.salaryTDS)}</td>
+                        <td class="text-end">${formatCurrencyForPDF(month.manualTDS)}</td>
+                        <td class="text-end">${formatCurrencyForPDF(month.actual)}</td>
+                    </tr>`).join('')}
+                    ${computation.tdsProjection.otherDeductions > 0 ? `
+                    <tr>
+                        <td colspan="3">Tax deducted by other employer(s) and other unscheduled deductions</td>
+                        <td class="text-end">${formatCurrencyForPDF(computation.tdsProjection.otherDeductions)}</td>
+                    </tr>` : ''}
+                </tbody>
+                <tfoot>
+                    <tr>
+                        <th colspan="3">Total tax deducted</th>
+                        <th class="text-end">${formatCurrencyForPDF(computation.taxAlreadyDeducted)}</th>
+                    </tr>
+                    <tr>
+                        <th colspan="3">${computation.excessDeduction > 0 ? 'Tax deducted in excess' : 'Balance tax payable'}</th>
+                        <th class="text-end">${formatCurrencyForPDF(computation.excessDeduction > 0 ? computation.excessDeduction : computation.totalTax)}</th>
+                    </tr>
+                </tfoot>
+            </table>
+
+            <h5 class="mt-4 mb-3">Verification</h5>
+            <p>
+                I, ${signatory}, working in the capacity of ${designation}, do hereby certify that the information
+                given above is true, complete and correct and is based on the books of account, documents,
+                TDS statements, and other available records.
+            </p>
+
+            <div class="mt-5 mb-5">
+                <div class="row">
+                    <div class="col-md-6">
+                        <p>Place: ${orgDetails.address || ''}</p>
+                        <p>Date: ${new Date().toLocaleDateString()}</p>
+                    </div>
+                    <div class="col-md-6 text-end">
+                        <p>Signature of the person responsible for deduction of tax</p>
+                        <br>
+                        <p>Full Name: ${signatory}</p>
+                        <p>Designation: ${designation}</p>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+}
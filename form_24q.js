@@ -0,0 +1,630 @@
+/**
+ * Form 24Q - Quarterly statement of tax deducted from salary, written as an NSDL e-TDS text file
+ * for the File Validation Utility (FVU)
+ * The statement is built from the salary months and the tax deducted in each month of the quarter,
+ * grouped under the challans the tax was deposited with; the Q4 statement adds the Annexure II
+ * salary details for the year. Records are caret-delimited in the order of the NSDL file format
+ * for regular 24Q statements: file header (FH), batch header (BH), challan details (CD),
+ * deductee details (DD) and salary details (SD)
+ */
+const Form24Q = {
+    fieldSeparator: '^',
+
+    /**
+     * Calendar months (0 = January) in each quarter of the fiscal year
+     */
+    quarters: {
+        Q1: [3, 4, 5],
+        Q2: [6, 7, 8],
+        Q3: [9, 10, 11],
+        Q4: [0, 1, 2]
+    },
+
+    /**
+     * NSDL deductor type codes by employer category
+     */
+    deductorTypes: {
+        'central-government': 'A',
+        'state-government': 'S',
+        'other': 'K'
+    },
+
+    /**
+     * Month labels (e.g. 'Apr 2025') of a quarter
+     * @param {string} fiscalYear - Fiscal year in YYYY-YYYY format
+     * @param {string} quarter - Q1 to Q4
+     * @returns {Array} Month labels in order
+     */
+    quarterMonths: function(fiscalYear, quarter) {
+        return FiscalCalendar.getMonths(fiscalYear)
+            .filter(month => this.quarters[quarter].includes(month.month))
+            .map(month => month.label);
+    },
+
+    /**
+     * Build the statement for a quarter from the tax computations and the challans held by DataManager
+     * Each month's deductee records are spread over the challans recorded for that month (see allocate)
+     * @param {string} fiscalYear - Fiscal year in YYYY-YYYY format
+     * @param {string} quarter - Q1 to Q4
+     * @returns {Object} { fiscalYear, quarter, deductor, challans: [{ challan, deductees }], unmatched, salaryDetails, totals }
+     */
+    buildStatement: function(fiscalYear, quarter) {
+        const labels = this.quarterMonths(fiscalYear, quarter);
+        const computations = TaxEngine.computeAll(fiscalYear);
+
+        // Tax deducted in each month of the quarter, from the salary tax column and manual deductions;
+        // a manual deduction can fall in a month whose salary is still projected, which has no amount paid
+        const deductees = [];
+        for (const regtNo in computations) {
+            const computation = computations[regtNo];
+            const paidMonths = computation.months.slice(0, computation.actualMonthsCount);
+
+            computation.tdsProjection.schedule
+                .filter(entry => entry.actual > 0 && labels.includes(entry.month))
+                .forEach(entry => {
+                    const parsed = FiscalCalendar.parseMonth(entry.month);
+                    const salaryMonth = paidMonths.find(month => month.month === entry.month);
+
+                    deductees.push({
+                        regtNo,
+                        name: computation.name || '',
+                        pan: String(computation.pan || '').trim().toUpperCase(),
+                        month: entry.month,
+                        amountPaid: salaryMonth ? parseFloat(salaryMonth.details.total) || 0 : 0,
+                        taxDeducted: entry.actual,
+                        paymentDate: new Date(parsed.year, parsed.month + 1, 0)
+                    });
+                });
+        }
+
+        const challans = DataManager.loadChallans()
+            .filter(challan => challan.fiscalYear === fiscalYear && labels.includes(challan.month))
+            .sort((a, b) => labels.indexOf(a.month) - labels.indexOf(b.month) ||
+                String(a.depositDate).localeCompare(String(b.depositDate)));
+
+        const groups = challans.map(challan => ({ challan, deductees: [] }));
+        const unmatched = [];
+        labels.forEach(label => {
+            const monthGroups = groups.filter(group => group.challan.month === label);
+            const monthDeductees = deductees.filter(deductee => deductee.month === label);
+
+            if (monthGroups.length === 0) {
+                unmatched.push(...monthDeductees);
+            } else {
+                this.allocate(monthDeductees, monthGroups);
+            }
+        });
+
+        // Annexure II covers everyone paid salary during the year and is filed with the Q4 statement
+        const salaryDetails = quarter === 'Q4'
+            ? Object.keys(computations)
+                .filter(regtNo => computations[regtNo].actualMonthsCount > 0)
+                .map(regtNo => this.buildSalaryDetail(fiscalYear, computations[regtNo]))
+            : [];
+
+        return {
+            fiscalYear,
+            quarter,
+            months: labels,
+            deductor: DataManager.getOrganizationDetails() || {},
+            challans: groups,
+            unmatched,
+            salaryDetails,
+            totals: {
+                deposited: challans.reduce((sum, challan) => sum + (parseFloat(challan.amount) || 0), 0),
+                deducted: deductees.reduce((sum, deductee) => sum + deductee.taxDeducted, 0),
+                deductees: groups.reduce((sum, group) => sum + group.deductees.length, 0) + unmatched.length,
+                grossTotalIncome: salaryDetails.reduce((sum, detail) => sum + detail.figures.incomeFromSalary, 0)
+            }
+        };
+    },
+
+    /**
+     * Fill a month's challans, earliest deposit first, up to the amount each deposited
+     * A deductee whose tax runs past the remaining deposit of a challan is split into one record per
+     * challan, with the amount paid split in the same proportion. Tax left over once every challan is
+     * full stays on the last challan, so the short deposit is reported by validate
+     * @param {Array} deductees - Deductee records of the month
+     * @param {Array} groups - The month's challan groups ({ challan, deductees }), in deposit order
+     */
+    allocate: function(deductees, groups) {
+        const capacity = groups.map(group => parseFloat(group.challan.amount) || 0);
+        let index = 0;
+
+        deductees.forEach(deductee => {
+            let remainingTax = deductee.taxDeducted;
+            let remainingPaid = deductee.amountPaid;
+
+            while (remainingTax > 0) {
+                while (index < groups.length - 1 && capacity[index] <= 0) index++;
+
+                const isLast = index === groups.length - 1;
+                const taxDeducted = isLast ? remainingTax : Math.min(remainingTax, capacity[index]);
+                const amountPaid = taxDeducted === remainingTax
+                    ? remainingPaid
+                    : Math.round(deductee.amountPaid * taxDeducted / deductee.taxDeducted * 100) / 100;
+
+                groups[index].deductees.push({ ...deductee, taxDeducted, amountPaid });
+                capacity[index] -= taxDeducted;
+                remainingTax -= taxDeducted;
+                remainingPaid -= amountPaid;
+            }
+        });
+    },
+
+    /**
+     * Annexure II salary details of one employee, using the Form 16 Part B figures
+     * @param {string} fiscalYear - Fiscal year
+     * @param {Object} computation - TaxEngine computation
+     * @returns {Object} { regtNo, name, pan, period, figures, deductions, computation, tdsCurrent, tdsPrevious }
+     */
+    buildSalaryDetail: function(fiscalYear, computation) {
+        const allowed = section => (computation.chapterVIA.items.find(item => item.section === section) || {}).allowed || 0;
+        const previousTDS = computation.previousEmployment.tds;
+
+        return {
+            regtNo: computation.regtNo,
+            name: computation.name || '',
+            pan: String(computation.pan || '').trim().toUpperCase(),
+            period: getForm16Period(fiscalYear, computation),
+            figures: getForm16Figures(computation),
+            deductions: {
+                '80C': allowed('80C'),
+                '80CCD(1B)': allowed('80CCD(1B)'),
+                '80D': allowed('80D'),
+                '80E': allowed('80E'),
+                '80G': allowed('80G'),
+                '80TTA': allowed('80TTA')
+            },
+            computation,
+            tdsCurrent: computation.taxAlreadyDeducted - previousTDS,
+            tdsPrevious: previousTDS
+        };
+    },
+
+    /**
+     * Check a statement before the file is written
+     * @param {Object} statement - Statement from buildStatement
+     * @returns {Array} Issues ({ level: 'error'|'warning', message }); the file is not written while there are errors
+     */
+    validate: function(statement) {
+        const issues = [];
+        const deductor = statement.deductor;
+        const isGovernment = (deductor.employerCategory || 'central-government') !== 'other';
+        const error = message => issues.push({ level: 'error', message });
+        const warning = message => issues.push({ level: 'warning', message });
+
+        // Deductor
+        if (!isValidTAN(deductor.tan)) {
+            error('The TAN of the deductor is missing or invalid (Settings > Organization Details).');
+        }
+        if (deductor.pan === 'PANNOTREQD' || !deductor.pan) {
+            if (!isGovernment) error('A deductor other than Government must quote its PAN.');
+        } else if (!isValidPAN(deductor.pan)) {
+            error(`The PAN of the deductor (${deductor.pan}) is invalid.`);
+        }
+        if (!deductor.contactPerson) {
+            error('The name of the person responsible for deduction (Contact Person) is missing.');
+        }
+        if (!/^\d{2}$/.test(deductor.stateCode || '')) {
+            error('The state code of the deductor is missing.');
+        }
+        if (!/^[1-9]\d{5}$/.test(deductor.pin || '')) {
+            error('The PIN code of the deductor is missing.');
+        }
+        if (isGovernment && !/^\d{7}$/.test(deductor.ain || '')) {
+            warning('Government deductors should quote the AIN allotted for Form 24G.');
+        }
+
+        if (statement.challans.length === 0 && statement.unmatched.length === 0) {
+            error(`No tax was deducted or deposited in ${statement.quarter} of FY ${statement.fiscalYear}.`);
+        }
+
+        // Deductees
+        const allDeductees = statement.challans.flatMap(group => group.deductees).concat(statement.unmatched);
+        const invalidPans = new Set();
+        allDeductees.forEach(deductee => {
+            if (!isValidPAN(deductee.pan) && !invalidPans.has(deductee.regtNo)) {
+                invalidPans.add(deductee.regtNo);
+                error(`${deductee.name} (${deductee.regtNo}) has ${deductee.pan ? `an invalid PAN (${deductee.pan})` : 'no PAN'}.`);
+            }
+        });
+
+        const unmatchedMonths = [...new Set(statement.unmatched.map(deductee => deductee.month))];
+        unmatchedMonths.forEach(month => {
+            const total = statement.unmatched.filter(deductee => deductee.month === month)
+                .reduce((sum, deductee) => sum + deductee.taxDeducted, 0);
+            error(`No challan is recorded for ${month}; tax of ${formatCurrency(total)} deducted that month has no deposit.`);
+        });
+
+        // Challans and their totals
+        statement.challans.forEach(({ challan, deductees }) => {
+            const label = `Challan ${ChallanRegister.reference(challan)} of ${challan.month}`;
+            const amount = parseFloat(challan.amount) || 0;
+            const deducted = deductees.reduce((sum, deductee) => sum + deductee.taxDeducted, 0);
+            const depositDate = parseDate(challan.depositDate);
+
+            if (!/^\d{7}$/.test(challan.bsrCode || '')) {
+                error(`${label}: the ${challan.bookEntry ? 'Form 24G receipt number' : 'BSR code'} must be seven digits.`);
+            }
+            if (!/^\d{1,5}$/.test(challan.challanSerial || '')) {
+                error(`${label}: the ${challan.bookEntry ? 'DDO serial number' : 'challan serial number'} must be up to five digits.`);
+            }
+            if (!depositDate || isNaN(depositDate.getTime())) {
+                error(`${label}: the date of deposit is missing.`);
+            }
+            if (deducted > amount) {
+                error(`${label}: deductee records total ${formatCurrency(deducted)}, more than the ${formatCurrency(amount)} deposited.`);
+            } else if (deducted < amount) {
+                warning(`${label}: ${formatCurrency(amount - deducted)} of the deposit is not allocated to any deductee.`);
+            }
+        });
+
+        // Annexure II
+        statement.salaryDetails.forEach(detail => {
+            if (!isValidPAN(detail.pan) && !invalidPans.has(detail.regtNo)) {
+                invalidPans.add(detail.regtNo);
+                error(`${detail.name} (${detail.regtNo}) has ${detail.pan ? `an invalid PAN (${detail.pan})` : 'no PAN'}.`);
+            }
+
+            const unscheduled = detail.computation.tdsProjection.otherDeductions - detail.tdsPrevious;
+            if (unscheduled > 0) {
+                warning(`${detail.name} (${detail.regtNo}): ${formatCurrency(unscheduled)} of tax deducted is not tied to a month and appears in Annexure II only.`);
+            }
+            if (detail.computation.totalTax > 0) {
+                warning(`${detail.name} (${detail.regtNo}): tax of ${formatCurrency(detail.computation.totalTax)} for the year is still to be deducted.`);
+            }
+        });
+
+        return issues;
+    },
+
+    /**
+     * Write the statement as an FVU input text file
+     * @param {Object} statement - Validated statement
+     * @returns {string} File contents, one record per line
+     */
+    writeFile: function(statement) {
+        const lines = [];
+        const addRecord = fields => {
+            lines.push([lines.length + 1].concat(fields).join(this.fieldSeparator));
+        };
+        const groups = statement.challans;
+        let deducteeCount = 0;
+
+        addRecord(this.fileHeader(statement));
+        addRecord(this.batchHeader(statement));
+
+        groups.forEach((group, index) => {
+            addRecord(this.challanDetail(group, index + 1));
+            group.deductees.forEach(deductee => {
+                deducteeCount++;
+                addRecord(this.deducteeDetail(statement, deductee, group.challan, index + 1, deducteeCount));
+            });
+        });
+
+        statement.salaryDetails.forEach((detail, index) => {
+            addRecord(this.salaryDetail(statement, detail, index + 1));
+        });
+
+        return lines.join('\r\n') + '\r\n';
+    },
+
+    /**
+     * File header (FH) fields after the line number
+     * @param {Object} statement - Statement
+     * @returns {Array} Fields
+     */
+    fileHeader: function(statement) {
+        return [
+            'FH',                                   // Record type
+            'NS1',                                  // File type
+            'R',                                    // Upload type: regular
+            this.fileDate(new Date()),              // File creation date
+            1,                                      // File sequence number
+            'D',                                    // Uploader type: deductor
+            statement.deductor.tan.toUpperCase(),   // TAN of deductor
+            1,                                      // Number of batches
+            'BSF Income Tax Calculator',            // Return preparation utility
+            '', '', '', '', '', '', '', ''          // Record hash, FVU version, file hash, SAM/SCM versions and hashes, consolidated hash
+        ];
+    },
+
+    /**
+     * Batch header (BH) fields after the line number
+     * @param {Object} statement - Statement
+     * @returns {Array} Fields
+     */
+    batchHeader: function(statement) {
+        const deductor = statement.deductor;
+        const startYear = parseInt(statement.fiscalYear);
+        const isGovernment = (deductor.employerCategory || 'central-government') !== 'other';
+        const address = this.addressLines(deductor.address);
+        const phone = this.splitPhone(deductor.phone);
+        const isQ4 = statement.quarter === 'Q4';
+
+        return [
+            'BH',                                                   // Record type
+            1,                                                      // Batch number
+            statement.challans.length,                              // Count of challan records
+            '24Q',                                                  // Form number
+            '', '', '', '', '', '', '', '',                         // Transaction type, batch updation indicator, original/previous RRR, RRR, date of RRR, last TAN
+            deductor.tan.toUpperCase(),                             // TAN of deductor
+            '',                                                     // Receipt number (e-TDS)
+            deductor.pan || 'PANNOTREQD',                           // PAN of deductor
+            `${startYear + 1}${String(startYear + 2).slice(-2)}`,   // Assessment year
+            `${startYear}${String(startYear + 1).slice(-2)}`,       // Financial year
+            statement.quarter,                                      // Period
+            this.text(deductor.name, 75),                           // Name of deductor
+            this.text(deductor.department, 75),                     // Branch / division
+            ...address,                                             // Address lines 1 to 5
+            deductor.stateCode,                                     // State
+            deductor.pin,                                           // PIN code
+            this.text(deductor.email, 75),                          // Email
+            phone.std,                                              // STD code
+            phone.number,                                           // Telephone
+            'N',                                                    // Change of address since last return
+            this.deductorTypes[deductor.employerCategory] || 'A',   // Deductor type
+            this.text(deductor.contactPerson, 75),                  // Name of person responsible for deduction
+            this.text(deductor.contactDesignation || 'DDO', 20), // Designation (20 characters)
+            ...address,                                             // Responsible person's address lines 1 to 5
+            deductor.stateCode,                                     // State
+            deductor.pin,                                           // PIN code
+            this.text(deductor.email, 75),                          // Email
+            '',                                                     // Mobile number
+            phone.std,                                              // STD code
+            phone.number,                                           // Telephone
+            'N',                                                    // Change of address of responsible person
+            this.amount(statement.totals.deposited),                // Batch total of deposit amount as per challans
+            '',                                                     // Unmatched challan count
+            isQ4 ? statement.salaryDetails.length : '',             // Count of salary detail records
+            isQ4 ? this.amount(statement.totals.grossTotalIncome) : '', // Batch total of gross total income
+            'N',                                                    // AO approval
+            '',                                                     // AO approval number
+            '',                                                     // Last deductor type
+            deductor.employerCategory === 'state-government' ? deductor.stateCode : '', // State name (State Government)
+            isGovernment ? deductor.paoCode || '' : '',             // PAO code
+            isGovernment ? deductor.ddoCode || '' : '',             // DDO code
+            '', '',                                                 // Ministry name, ministry name (other)
+            '',                                                     // PAN of responsible person
+            '', '',                                                 // PAO and DDO registration numbers
+            '', '', '',                                             // Deductor's alternate STD code, telephone and email
+            '', '', '',                                             // Responsible person's alternate STD code, telephone and email
+            isGovernment ? deductor.ain || '' : '',                 // Account Office Identification Number (AIN)
+            '',                                                     // GSTN
+            ''                                                      // Record hash
+        ];
+    },
+
+    /**
+     * Challan detail (CD) fields after the line number
+     * @param {Object} group - { challan, deductees }
+     * @param {number} challanNo - Challan record number within the batch
+     * @returns {Array} Fields
+     */
+    challanDetail: function(group, challanNo) {
+        const challan = group.challan;
+        const deposited = parseFloat(challan.amount) || 0;
+        const deducted = group.deductees.reduce((sum, deductee) => sum + deductee.taxDeducted, 0);
+
+        return [
+            'CD',                                   // Record type
+            1,                                      // Batch number
+            challanNo,                              // Challan record number
+            group.deductees.length,                 // Count of deductee records
+            'N',                                    // NIL challan indicator
+            '', '', '', '',                         // Challan updation indicator, fillers
+            '',                                     // Last bank challan number
+            challan.bookEntry ? '' : challan.challanSerial, // Bank challan number (TIN challan serial)
+            '',                                     // Last transfer voucher number
+            challan.bookEntry ? challan.challanSerial : '', // DDO serial number (book entry)
+            '',                                     // Last BSR code
+            challan.bsrCode,                        // BSR code, or Form 24G receipt number for book entry
+            '',                                     // Last date of deposit
+            this.fileDate(parseDate(challan.depositDate)), // Date of deposit
+            '',                                     // Last DDO serial number
+            '',                                     // Section code (not used in 24Q)
+            this.amount(deposited),                 // Oltas income tax
+            this.amount(0),                         // Oltas surcharge
+            this.amount(0),                         // Oltas cess
+            this.amount(0),                         // Oltas interest
+            this.amount(0),                         // Oltas others
+            this.amount(deposited),                 // Total deposit as per challan
+            '',                                     // Last total deposit
+            this.amount(deducted),                  // Total tax deposited as per deductee records
+            this.amount(deducted),                  // TDS income tax
+            this.amount(0),                         // TDS surcharge
+            this.amount(0),                         // TDS cess
+            this.amount(deducted),                  // Total income tax deducted at source
+            this.amount(0),                         // TDS interest
+            this.amount(0),                         // TDS others
+            '',                                     // Cheque / DD number
+            challan.bookEntry ? 'Y' : 'N',          // Book entry / cash indicator
+            '',                                     // Remarks
+            this.amount(0),                         // Late filing fee
+            '200',                                  // Minor head of challan (TDS payable by taxpayer)
+            ''                                      // Record hash
+        ];
+    },
+
+    /**
+     * Deductee detail (DD) fields after the line number
+     * @param {Object} statement - Statement
+     * @param {Object} deductee - Deductee record
+     * @param {Object} challan - Challan the tax was deposited with
+     * @param {number} challanNo - Challan record number
+     * @param {number} deducteeNo - Deductee record number within the batch
+     * @returns {Array} Fields
+     */
+    deducteeDetail: function(statement, deductee, challan, challanNo, deducteeNo) {
+        const isGovernment = (statement.deductor.employerCategory || 'central-government') !== 'other';
+
+        return [
+            'DD',                                   // Record type
+            1,                                      // Batch number
+            challanNo,                              // Challan record number
+            deducteeNo,                             // Deductee record number
+            'O',                                    // Mode: original
+            '',                                     // Employee serial number
+            '',                                     // Deductee code (not used in 24Q)
+            '',                                     // Last PAN
+            deductee.pan,                           // PAN of employee
+            '',                                     // Last PAN reference number
+            this.text(deductee.regtNo, 10),         // PAN reference number (regiment number)
+            this.text(deductee.name, 75),           // Name of employee
+            this.amount(deductee.taxDeducted),      // TDS income tax
+            this.amount(0),                         // TDS surcharge
+            this.amount(0),                         // TDS cess
+            this.amount(deductee.taxDeducted),      // Total income tax deducted
+            '',                                     // Last total income tax deducted
+            this.amount(deductee.taxDeducted),      // Total tax deposited
+            '',                                     // Last total tax deposited
+            '',                                     // Total value of purchase (not used in 24Q)
+            this.amount(deductee.amountPaid),       // Amount of payment
+            this.fileDate(deductee.paymentDate),    // Date of payment
+            this.fileDate(deductee.paymentDate),    // Date of deduction
+            this.fileDate(parseDate(challan.depositDate)), // Date of deposit
+            '',                                     // Rate of deduction (not used in 24Q)
+            '',                                     // Grossing up indicator
+            challan.bookEntry ? 'Y' : 'N',          // Book entry / cash indicator
+            '',                                     // Date of furnishing TDS certificate
+            '', '', '',                             // Remarks (reason for lower or no deduction)
+            isGovernment ? '92A' : '92B',           // Section under which payment is made
+            '',                                     // Certificate number for lower deduction
+            '', '', '', '',                         // Fillers
+            ''                                      // Record hash
+        ];
+    },
+
+    /**
+     * Salary detail (SD, Annexure II) fields after the line number, in the order of Form 16 Part B
+     * @param {Object} statement - Statement
+     * @param {Object} detail - Salary detail from buildSalaryDetail
+     * @param {number} recordNo - Salary detail record number
+     * @returns {Array} Fields
+     */
+    salaryDetail: function(statement, detail, recordNo) {
+        const computation = detail.computation;
+        const figures = detail.figures;
+        const previous = computation.previousEmployment;
+        const totalTDS = detail.tdsCurrent + detail.tdsPrevious;
+        const amount = value => this.amount(value);
+
+        return [
+            'SD',                                   // Record type
+            1,                                      // Batch number
+            recordNo,                               // Salary detail record number
+            'A',                                    // Mode: add
+            '',                                     // Employee serial number
+            detail.pan,                             // PAN of employee
+            this.text(detail.regtNo, 10),           // PAN reference number (regiment number)
+            'G',                                    // Category of employee
+            this.text(detail.name, 75),             // Name of employee
+            this.fileDate(detail.period.from),      // Employed from
+            this.fileDate(detail.period.to),        // Employed to
+            computation.regime === 'old' ? 'Y' : 'N', // Opting out of section 115BAC(1A)
+            amount(figures.salary17_1),             // Salary u/s 17(1)
+            amount(0),                              // Perquisites u/s 17(2)
+            amount(0),                              // Profits in lieu of salary u/s 17(3)
+            amount(figures.salary17_1),             // Gross salary
+            amount(0),                              // Travel concession u/s 10(5)
+            amount(0),                              // Gratuity u/s 10(10)
+            amount(0),                              // Commuted pension u/s 10(10A)
+            amount(computation.leaveEncashmentExemption.exempt), // Leave encashment u/s 10(10AA)
+            amount(figures.hraExempt),              // House rent allowance u/s 10(13A)
+            amount(figures.otherExempt),            // Other exemptions u/s 10
+            amount(figures.totalExemptions),        // Total exemption u/s 10
+            previous.records.length,                // Number of previous employers
+            amount(previous.grossSalary),           // Salary from previous employers
+            amount(computation.standardDeduction),  // Standard deduction u/s 16(ia)
+            amount(0),                              // Entertainment allowance u/s 16(ii)
+            amount(computation.professionalTax),    // Tax on employment u/s 16(iii)
+            amount(figures.incomeFromSalary),       // Income chargeable under the head Salaries
+            amount(0),                              // Income from house property
+            amount(0),                              // Income from other sources
+            amount(figures.incomeFromSalary),       // Gross total income
+            amount(detail.deductions['80C']),       // Deduction u/s 80C, 80CCC and 80CCD(1)
+            amount(detail.deductions['80CCD(1B)']), // Deduction u/s 80CCD(1B)
+            amount(computation.employerNPSDeduction), // Deduction u/s 80CCD(2)
+            amount(detail.deductions['80D']),       // Deduction u/s 80D
+            amount(detail.deductions['80E']),       // Deduction u/s 80E
+            amount(detail.deductions['80G']),       // Deduction u/s 80G
+            amount(detail.deductions['80TTA']),     // Deduction u/s 80TTA
+            amount(0),                              // Other Chapter VI-A deductions
+            amount(figures.chapterVIATotal),        // Total Chapter VI-A deductions
+            amount(computation.taxableIncome),      // Total taxable income
+            amount(computation.tax),                // Income tax on total income
+            amount(computation.rebate87A + computation.marginalRelief87AB), // Rebate u/s 87A
+            amount(computation.surcharge - computation.surchargeMarginalRelief), // Surcharge
+            amount(computation.educationCess),      // Health and education cess
+            amount(computation.section89Relief),    // Relief u/s 89
+            amount(computation.netTaxLiability),    // Net tax payable
+            amount(detail.tdsCurrent),              // TDS by the current employer
+            amount(detail.tdsPrevious),             // TDS by previous employers
+            amount(totalTDS),                       // Total TDS
+            amount(computation.netTaxLiability - totalTDS), // Shortfall (+) or excess (-)
+            'N',                                    // Tax deducted at a higher rate for want of PAN
+            'N',                                    // Rent paid exceeds one lakh
+            '', '', '', '', '', '', '', '',         // Landlord PANs and names
+            'N',                                    // Interest on housing loan
+            '', '', '', '', '', '', '', '',         // Lender PANs and names
+            'N',                                    // Contribution to superannuation fund
+            '', '', '', '', '',                     // Superannuation fund details
+            ''                                      // Record hash
+        ];
+    },
+
+    /**
+     * Address lines for the batch header: up to five lines of 25 characters, split at commas and line breaks
+     * @param {string} address - Address as entered
+     * @returns {Array} Five address lines
+     */
+    addressLines: function(address) {
+        const parts = String(address || '').split(/[,\n]/).map(part => part.trim()).filter(part => part);
+        const lines = parts.slice(0, 4);
+        if (parts.length > 4) lines.push(parts.slice(4).join(', '));
+
+        while (lines.length < 5) lines.push('');
+        return lines.map(line => this.text(line, 25));
+    },
+
+    /**
+     * Split a phone number entered as 'STD-number'
+     * @param {string} phone - Phone number
+     * @returns {Object} { std, number }
+     */
+    splitPhone: function(phone) {
+        const parts = String(phone || '').replace(/[^\d-]/g, '').split('-').filter(part => part);
+        return parts.length > 1
+            ? { std: parts[0].replace(/^0/, ''), number: parts.slice(1).join('') }
+            : { std: '', number: parts[0] || '' };
+    },
+
+    /**
+     * Text field without the field separator, trimmed to a maximum length
+     * @param {string} value - Text
+     * @param {number} maxLength - Maximum length
+     * @returns {string} Field value
+     */
+    text: function(value, maxLength) {
+        return String(value || '').replace(/[\^\r\n]/g, ' ').trim().slice(0, maxLength);
+    },
+
+    /**
+     * Amount field with two decimals
+     * @param {number} value - Amount
+     * @returns {string} Field value
+     */
+    amount: function(value) {
+        return (Math.round((parseFloat(value) || 0) * 100) / 100).toFixed(2);
+    },
+
+    /**
+     * Date field as DDMMYYYY
+     * @param {Date} date - Date
+     * @returns {string} Field value
+     */
+    fileDate: function(date) {
+        return formatDate(date, 'DD-MM-YYYY').replace(/-/g, '');
+    }
+};
@@ -5,6 +5,8 @@
 // Initialize on page load
 document.addEventListener('DOMContentLoaded', function() {
     loadTaxDeductions();
+    populatePreviousEmployerFiscalYears();
+    loadPreviousEmployers();
     
     // Check if regiment number is provided in URL
     const urlParams = new URLSearchParams(window.location.search);
@@ -13,6 +15,8 @@ document.addEventListener('DOMContentLoaded', function() {
     if (regtNoParam) {
         const regtNoInput = document.getElementById('regtNo');
         regtNoInput.value = regtNoParam;
+        document.getElementById('prevRegtNo').value = regtNoParam;
+        document.getElementById('transferRegtNo').value = regtNoParam;
         
         // Fetch employee details if available
         const salaryData = DataManager.loadSalaryData();
@@ -29,8 +33,14 @@ document.addEventListener('DOMContentLoaded', function() {
         addTaxDeduction();
     });
     
+    document.getElementById('previousEmployerForm').addEventListener('submit', function(e) {
+        e.preventDefault();
+        addPreviousEmployer();
+    });
+    
     document.getElementById('searchInput').addEventListener('input', function() {
         loadTaxDeductions();
+        loadPreviousEmployers();
     });
 });
 
@@ -161,6 +171,289 @@ function clearForm() {
     document.getElementById('taxForm').reset();
 }
 
+// Fill the previous employer fiscal year select with the active year and the years before it
+function populatePreviousEmployerFiscalYears() {
+    const select = document.getElementById('prevFiscalYear');
+    const activeFiscalYear = DataManager.getActiveFiscalYear();
+    const activeStartYear = parseInt(activeFiscalYear);
+    
+    for (let year = activeStartYear; year >= activeStartYear - 3; year--) {
+        const option = document.createElement('option');
+        option.value = `${year}-${year + 1}`;
+        option.textContent = `${year}-${year + 1}`;
+        option.selected = option.value === activeFiscalYear;
+        select.appendChild(option);
+    }
+}
+
+// Load previous employer records (Form 12B)
+function loadPreviousEmployers() {
+    const searchInput = document.getElementById('searchInput').value.toLowerCase();
+    const records = DataManager.loadPreviousEmployers();
+    
+    const filteredRecords = searchInput ?
+        records.filter(record => record.regtNo.toLowerCase().includes(searchInput)) :
+        records;
+    
+    const listContainer = document.getElementById('previousEmployersList');
+    
+    if (filteredRecords.length === 0) {
+        listContainer.innerHTML = '<p class="text-center">No previous employer records found.</p>';
+        return;
+    }
+    
+    let html = `
+        <table class="table table-striped table-hover">
+            <thead class="table-dark">
+                <tr>
+                    <th>Regt. No.</th>
+                    <th>FY</th>
+                    <th>Employer</th>
+                    <th>TAN</th>
+                    <th>Period</th>
+                    <th>Gross Salary</th>
+                    <th>Exemptions</th>
+                    <th>Professional Tax</th>
+                    <th>TDS</th>
+                    <th>Actions</th>
+                </tr>
+            </thead>
+            <tbody>
+    `;
+    
+    filteredRecords.forEach(record => {
+        const originalIndex = records.indexOf(record);
+        const period = record.periodFrom || record.periodTo
+            ? `${formatDate(record.periodFrom) || '?'} to ${formatDate(record.periodTo) || '?'}`
+            : '-';
+        
+        html += `
+            <tr>
+                <td>${record.regtNo}</td>
+                <td>${record.fiscalYear}</td>
+                <td>${record.employerName}</td>
+                <td>${record.tan || '-'}</td>
+                <td>${period}</td>
+                <td>${formatCurrency(record.grossSalary)}</td>
+                <td>${formatCurrency(record.exemptions)}</td>
+                <td>${formatCurrency(record.professionalTax)}</td>
+                <td>${formatCurrency(record.tds)}</td>
+                <td>
+                    <button class="btn-delete" onclick="deletePreviousEmployer(${originalIndex})">Delete</button>
+                </td>
+            </tr>
+        `;
+    });
+    
+    html += '</tbody></table>';
+    listContainer.innerHTML = html;
+}
+
+// Add a previous employer record (Form 12B)
+function addPreviousEmployer() {
+    const record = {
+        regtNo: document.getElementById('prevRegtNo').value.trim(),
+        fiscalYear: document.getElementById('prevFiscalYear').value,
+        employerName: document.getElementById('prevEmployerName').value.trim(),
+        tan: document.getElementById('prevEmployerTan').value.trim().toUpperCase(),
+        periodFrom: document.getElementById('prevPeriodFrom').value,
+        periodTo: document.getElementById('prevPeriodTo').value,
+        grossSalary: parseFloat(document.getElementById('prevGrossSalary').value) || 0,
+        exemptions: parseFloat(document.getElementById('prevExemptions').value) || 0,
+        professionalTax: parseFloat(document.getElementById('prevProfessionalTax').value) || 0,
+        tds: parseFloat(document.getElementById('prevTds').value) || 0,
+        date: new Date().toISOString().split('T')[0]
+    };
+    
+    if (!record.regtNo) {
+        alert('Please enter a Regiment Number');
+        return;
+    }
+    
+    if (!record.employerName) {
+        alert('Please enter the previous employer');
+        return;
+    }
+    
+    if (record.grossSalary <= 0) {
+        alert('Please enter a valid gross salary (greater than 0)');
+        return;
+    }
+    
+    if (record.exemptions > record.grossSalary) {
+        alert('Exempt allowances cannot exceed the gross salary');
+        return;
+    }
+    
+    if (record.periodFrom && record.periodTo && record.periodFrom > record.periodTo) {
+        alert('The employment period ends before it starts');
+        return;
+    }
+    
+    const records = DataManager.loadPreviousEmployers();
+    records.push(record);
+    DataManager.savePreviousEmployers(records);
+    
+    // Clear tax summary cache since previous employer income affects tax calculations
+    DataManager.clearTaxSummaryCache();
+    
+    clearPreviousEmployerForm();
+    loadPreviousEmployers();
+    alert('Previous employer record added successfully!');
+}
+
+// Delete a previous employer record
+function deletePreviousEmployer(index) {
+    if (!confirm('Are you sure you want to delete this previous employer record?')) return;
+    
+    const records = DataManager.loadPreviousEmployers();
+    
+    if (index >= 0 && index < records.length) {
+        records.splice(index, 1);
+        DataManager.savePreviousEmployers(records);
+        
+        // Clear tax summary cache since previous employer income affects tax calculations
+        DataManager.clearTaxSummaryCache();
+        
+        loadPreviousEmployers();
+    }
+}
+
+// Clear the previous employer form, keeping the selected fiscal year
+function clearPreviousEmployerForm() {
+    const fiscalYear = document.getElementById('prevFiscalYear').value;
+    document.getElementById('previousEmployerForm').reset();
+    document.getElementById('prevFiscalYear').value = fiscalYear;
+}
+
+// Transfer file read by the last preview and the fingerprint of its signing key, held until the import is confirmed
+let pendingTransferFile = null;
+let pendingTransferFingerprint = '';
+
+// Export the employee tax file for a man posted out
+function exportTransferFile() {
+    const regtNo = document.getElementById('transferRegtNo').value.trim();
+    
+    if (!regtNo) {
+        alert('Please enter a Regiment Number');
+        return;
+    }
+    
+    TransferFile.create(regtNo).then(file => {
+        const blob = new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `tax_file_${regtNo}_${file.fiscalYear}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }).catch(error => {
+        console.error('Error exporting employee tax file:', error);
+        alert(`Error exporting employee tax file: ${error.message}`);
+    });
+}
+
+// Read an employee tax file and show what will be imported
+function previewTransferFile() {
+    const fileInput = document.getElementById('transferFile');
+    const file = fileInput.files[0];
+    
+    if (!file) {
+        alert('Please select an employee tax file to preview.');
+        return;
+    }
+    
+    const reader = new FileReader();
+    reader.onload = function(e) {
+        let transferFile;
+        try {
+            transferFile = JSON.parse(e.target.result);
+        } catch (error) {
+            console.error('Error parsing employee tax file:', error);
+            alert('The selected file is not valid JSON.');
+            return;
+        }
+        
+        TransferFile.preview(transferFile).then(result => {
+            pendingTransferFile = result.valid ? transferFile : null;
+            pendingTransferFingerprint = result.fingerprint;
+            renderTransferPreview(transferFile, result);
+        }).catch(error => {
+            console.error('Error checking employee tax file:', error);
+            alert('Error checking the employee tax file. Please try again.');
+        });
+    };
+    
+    reader.onerror = function() {
+        alert('Error reading the file. Please try again.');
+    };
+    
+    reader.readAsText(file);
+}
+
+// Render the transfer file preview with its conflicts
+function renderTransferPreview(file, result) {
+    const container = document.getElementById('transferPreview');
+    const conflicts = result.conflicts.map(conflict => `
+        <div class="alert alert-${conflict.level === 'error' ? 'danger' : 'warning'} py-2 mb-2">${escapeHtml(conflict.message)}</div>
+    `).join('');
+    
+    if (!file || !file.summary || !file.employee || !file.issuer) {
+        container.innerHTML = conflicts;
+        return;
+    }
+    
+    const summary = file.summary;
+    container.innerHTML = `
+        <table class="table table-sm mb-2">
+            <tbody>
+                <tr><th>Employee</th><td>${escapeHtml(file.employee.regtNo)} ${escapeHtml(file.employee.rank)} ${escapeHtml(file.employee.name)}</td></tr>
+                <tr><th>PAN</th><td>${escapeHtml(file.employee.pan || '-')}</td></tr>
+                <tr><th>Issued by</th><td>${escapeHtml(file.issuer.name)}${file.issuer.tan ? ` (TAN ${escapeHtml(file.issuer.tan)})` : ''}</td></tr>
+                <tr><th>Issued on</th><td>${formatDate(new Date(file.createdAt), 'DD-MMM-YYYY HH:mm')}</td></tr>
+                <tr><th>FY</th><td>${escapeHtml(file.fiscalYear)}</td></tr>
+                <tr><th>Period</th><td>${formatDate(summary.periodFrom) || '?'} to ${formatDate(summary.periodTo) || '?'} (${summary.months.length} months)</td></tr>
+                <tr><th>Gross Salary</th><td>${formatCurrency(summary.grossSalary)}</td></tr>
+                <tr><th>Exemptions</th><td>${formatCurrency(summary.exemptions)}</td></tr>
+                <tr><th>TDS</th><td>${formatCurrency(summary.tds)}</td></tr>
+                <tr><th>Signature</th><td>${result.signatureValid ? (result.trustedUnit ? `Valid, signed by ${escapeHtml(result.trustedUnit.name)}` : 'Valid, but the signing unit is not trusted') : 'Not valid'}</td></tr>
+                ${result.fingerprint ? `<tr><th>Key Fingerprint</th><td><code>${TransferFile.formatFingerprint(result.fingerprint)}</code></td></tr>` : ''}
+            </tbody>
+        </table>
+        ${conflicts}
+        <div class="d-flex gap-2">
+            <button class="btn btn-primary" onclick="importTransferFile()" ${result.valid ? '' : 'disabled'}>Import as Previous Unit</button>
+            <button class="btn btn-outline-secondary" onclick="cancelTransferImport()">Cancel</button>
+        </div>
+    `;
+}
+
+// Import the previewed transfer file as a previous unit record
+function importTransferFile() {
+    if (!pendingTransferFile) return;
+    
+    try {
+        const record = TransferFile.importFile(pendingTransferFile, pendingTransferFingerprint);
+        cancelTransferImport();
+        loadPreviousEmployers();
+        alert(`Imported ${record.employerName} for ${record.regtNo} as a previous unit record.`);
+    } catch (error) {
+        console.error('Error importing employee tax file:', error);
+        alert('Error importing the employee tax file. Please try again.');
+    }
+}
+
+// Discard the previewed transfer file
+function cancelTransferImport() {
+    pendingTransferFile = null;
+    pendingTransferFingerprint = '';
+    document.getElementById('transferFile').value = '';
+    document.getElementById('transferPreview').innerHTML = '';
+}
+
 // Process XLSX file
 function processTaxXLSX() {
     const fileInput = document.getElementById('taxFile');
@@ -292,119 +292,10 @@ function search() {
     displayTable(filteredData);
 }
 
-// Function to calculate average salary and other details for tax purposes
-function calculateEmployeeData() {
-    // Load bill claims
-    let billClaims = [];
-    try {
-        billClaims = DataManager.loadBillClaims();
-    } catch (error) {
-        console.error('Error loading bill claims:', error);
-    }
-    
-    // Calculate average salary and process manual claims
-    const employeeData = {};
-    
-    // Process monthly salary data first
-    uniqueData.forEach(row => {
-        const regtNo = row[0];
-        if (!regtNo) return;
-        
-        // Find all matching rows in the full dataset
-        const allEntries = csvData.filter(r => r[0] === regtNo);
-        
-        // Calculate average monthly salary
-        let totalSalary = 0;
-        allEntries.forEach(entry => {
-            totalSalary += safeParseNumber(entry[29]); // Column AD for salary
-        });
-        
-        const avgMonthlySalary = allEntries.length > 0 ? totalSalary / allEntries.length : 0;
-        const annualSalary = Math.round(avgMonthlySalary * 12);
-        
-        // Get retirement date if set
-        let retirementDate = null;
-        try {
-            retirementDate = DataManager.getRetirementDate(regtNo);
-        } catch (error) {
-            console.error(`Error loading retirement date for ${regtNo}:`, error);
-        }
-        
-        // Calculate months of service this fiscal year
-        let monthsOfService = 12;
-        if (retirementDate) {
-            const retDate = parseDate(retirementDate);
-            if (retDate) {
-                const fiscalYearStart = new Date();
-                fiscalYearStart.setMonth(3); // April is month 3 (0-indexed)
-                fiscalYearStart.setDate(1); // 1st of April
-                
-                const fiscalYearEnd = new Date(fiscalYearStart);
-                fiscalYearEnd.setFullYear(fiscalYearStart.getFullYear() + 1);
-                fiscalYearEnd.setDate(0); // Last day of March
-                
-                if (retDate >= fiscalYearStart && retDate <= fiscalYearEnd) {
-                    // Calculate months between April 1 and retirement
-                    monthsOfService = (
-                        (retDate.getFullYear() - fiscalYearStart.getFullYear()) * 12 + 
-                        retDate.getMonth() - fiscalYearStart.getMonth() + 
-                        (retDate.getDate() >= 15 ? 1 : 0) // Count current month if retiring after 15th
-                    );
-                } else if (retDate < fiscalYearStart) {
-                    monthsOfService = 0;
-                }
-            }
-        }
-        
-        // Process manual claims for this employee
-        const empClaims = billClaims.filter(claim => claim.regtNo === regtNo);
-        
-        const additionalTaxableIncome = empClaims
-            .filter(claim => claim.billType !== 'Recovery' && claim.billType !== 'Tax Deduction' && claim.taxable)
-            .reduce((sum, claim) => sum + claim.amount, 0);
-            
-        const recoveries = empClaims
-            .filter(claim => claim.billType === 'Recovery')
-            .reduce((sum, claim) => sum + claim.amount, 0);
-            
-        const manualTaxDeductions = empClaims
-            .filter(claim => claim.billType === 'Tax Deduction')
-            .reduce((sum, claim) => sum + claim.amount, 0);
-        
-        // Get standard deduction from settings or use default
-        const standardDeduction = DataManager.getTaxParameters().standardDeduction || 75000;
-        
-        // Calculate pro-rated salary if retiring this year
-        const proRatedSalary = monthsOfService < 12 ? Math.round(avgMonthlySalary * monthsOfService) : annualSalary;
-        
-        // Calculate taxable income
-        const taxableIncome = proRatedSalary + additionalTaxableIncome - recoveries - standardDeduction;
-        
-        // Calculate tax
-        const tax = calculateTax(Math.max(0, taxableIncome));
-        const educationCessRate = DataManager.getTaxParameters().educationCess || 4;
-        const educationCess = Math.round(tax * (educationCessRate / 100));
-        const totalTax = Math.max(0, tax + educationCess - manualTaxDeductions);
-        
-        // Store data
-        employeeData[regtNo] = {
-            rank: row[2] || '',
-            name: row[4] || '',
-            totalSalary: proRatedSalary,
-            standardDeduction: standardDeduction,
-            additionalIncome: additionalTaxableIncome,
-            recoveries: recoveries,
-            taxableIncome: Math.max(0, taxableIncome),
-            tax: tax,
-            educationCess: educationCess,
-            manualTaxDeductions: manualTaxDeductions,
-            totalTax: totalTax,
-            monthsOfService: monthsOfService,
-            monthlyDeduction: monthsOfService > 0 ? Math.round(totalTax / monthsOfService) : 0
-        };
-    });
-    
-    return employeeData;
+// Function to get the education cess rate the tax summary was computed with
+function getEducationCessRate(taxSummary, taxParams) {
+    const computed = Object.values(taxSummary).find(summary => summary.educationCessRate !== undefined);
+    return computed ? computed.educationCessRate : (taxParams.educationCess ?? 4);
 }
 
 // Function to display table with calculated values
@@ -428,25 +319,46 @@ function displayTable(data) {
     // Get tax parameters
     const taxParams = DataManager.getTaxParameters();
     const fiscalYear = taxParams.fiscalYear || getCurrentIndianFiscalYear();
+    const cessRate = getEducationCessRate(taxSummary, taxParams);
+
+    // Flag employees whose tax deducted already exceeds their liability
+    const excessEmployees = data.map(row => row[0]).filter((regtNo, i, all) =>
+        regtNo && all.indexOf(regtNo) === i && taxSummary[regtNo] && taxSummary[regtNo].excessDeduction > 0);
+
+    let tableHTML = excessEmployees.length > 0 ? `
+        <div class="alert alert-danger">
+            Tax deducted in excess for ${excessEmployees.map(regtNo => `${regtNo} (₹${taxSummary[regtNo].excessDeduction.toLocaleString()})`).join(', ')}.
+            Reduce their monthly tax deduction to zero for the rest of the year.
+        </div>` : '';
 
-    let tableHTML = `
+    tableHTML += `
         <table class="table table-striped table-hover">
             <thead>
                 <tr>
                     <th>Regt. No.</th>
                     <th>Rank</th>
                     <th>Name</th>
-                    <th>Total Salary</th>
+                    <th>Tax Regime</th>
+                    <th>Gross Salary</th>
+                    <th>Exempt Allowances</th>
+                    <th>Taxable Salary</th>
                     <th>Standard Deduction</th>
                     <th>Additional Taxable Income</th>
                     <th>CSV Recovery</th>
                     <th>Manual Recoveries</th>
                     <th>Total Recoveries</th>
+                    <th>Chapter VI-A Deductions</th>
+                    <th>Employer NPS Contribution</th>
+                    <th>Deduction u/s 80CCD(2)</th>
                     <th>Taxable Income</th>
                     <th>Income Tax</th>
                     <th>Under Section 87A Rebate</th>
+                    <th>Relief Under Section 87A(b)</th>
                     <th>Net Tax</th>
-                    <th>Education & Health Cess (4%)</th>
+                    <th>Surcharge</th>
+                    <th>Marginal Relief on Surcharge</th>
+                    <th>Education & Health Cess (${cessRate}%)</th>
+                    <th>Relief under Section 89</th>
                     <th>Manual Tax Deductions</th>
                     <th>CSV file I-Tax</th>
                     <th>Total Tax for FY ${fiscalYear}</th>
@@ -464,24 +376,34 @@ function displayTable(data) {
             const empData = taxSummary[regtNo];
             
             tableHTML += `
-                <tr class="data-row">
+                <tr class="data-row ${empData.excessDeduction > 0 ? 'table-danger' : ''}">
                     <td>${regtNo}</td>
                     <td>${empData.rank || ''}</td>
                     <td>${empData.name || ''}</td>
-                    <td>₹${(empData.annualSalary || 0).toLocaleString()}</td>
+                    <td>${empData.regimeLabel || ''}</td>
+                    <td>₹${(empData.grossSalary || 0).toLocaleString()}</td>
+                    <td>₹${(empData.exemptSalary || 0).toLocaleString()}</td>
+                    <td>₹${(empData.taxableSalary || 0).toLocaleString()}</td>
                     <td>₹${(empData.standardDeduction || 0).toLocaleString()}</td>
                     <td>₹${(empData.additionalIncome || 0).toLocaleString()}</td>
                     <td>₹${(empData.csvRecovery || 0).toLocaleString()}</td>
                     <td>₹${(empData.manualRecoveries || 0).toLocaleString()}</td>
                     <td>₹${(empData.totalRecoveries || 0).toLocaleString()}</td>
+                    <td>₹${(empData.chapterVIADeduction || 0).toLocaleString()}</td>
+                    <td>₹${(empData.employerNPSContribution || 0).toLocaleString()}</td>
+                    <td>₹${(empData.employerNPSDeduction || 0).toLocaleString()}</td>
                     <td>₹${(empData.taxableIncome || 0).toLocaleString()}</td>
                     <td>₹${(empData.tax || 0).toLocaleString()}</td>
-                    <td>₹${(empData.marginalRelief || 0).toLocaleString()}</td>
+                    <td>₹${(empData.rebate87A || 0).toLocaleString()}</td>
+                    <td>₹${(empData.marginalRelief87AB || 0).toLocaleString()}</td>
                     <td>₹${(empData.netTax || 0).toLocaleString()}</td>
+                    <td>₹${(empData.surcharge || 0).toLocaleString()}</td>
+                    <td>₹${(empData.surchargeMarginalRelief || 0).toLocaleString()}</td>
                     <td>₹${(empData.educationCess || 0).toLocaleString()}</td>
+                    <td>₹${(empData.section89Relief || 0).toLocaleString()}</td>
                     <td>₹${(empData.manualTaxDeductions || 0).toLocaleString()}</td>
                     <td>₹${(empData.csvFileTax || 0).toLocaleString()}</td>
-                    <td>₹${(empData.totalTax || 0).toLocaleString()}</td>
+                    <td>₹${(empData.totalTax || 0).toLocaleString()}${empData.excessDeduction > 0 ? ' <span class="badge bg-danger">Excess TDS</span>' : ''}</td>
                     <td>₹${(empData.monthlyDeduction || 0).toLocaleString()}</td>
                 </tr>`;
         } else {
@@ -491,7 +413,7 @@ function displayTable(data) {
                     <td>${regtNo}</td>
                     <td>${row[2] || ''}</td>
                     <td>${row[4] || ''}</td>
-                    <td colspan="15" class="text-center">
+                    <td colspan="25" class="text-center">
                         <a href="calculation_sheet.html" class="btn btn-sm btn-primary">
                             Go to Calculation Sheet to generate tax data
                         </a>
@@ -566,8 +488,6 @@ function downloadTaxInfo() {
     const taxParams = DataManager.getTaxParameters();
     const fiscalYear = taxParams.fiscalYear || getCurrentIndianFiscalYear();
 
-    let csvContent = `Regiment No,Name,Rank,PAN,Total Salary,Standard Deduction,Additional Taxable Income,CSV Recovery,Manual Recoveries,Total Recoveries,Taxable Income,Income Tax,Under Section 87A Rebate,Net Tax,Education & Health Cess (4%),Manual Tax Deductions,CSV file I-Tax,Total Tax for FY ${fiscalYear},Monthly Tax Deduction\n`;
-
     // Get tax summary data from calculation sheet
     let taxSummary = {};
     try {
@@ -576,6 +496,9 @@ function downloadTaxInfo() {
         console.error('Error loading tax summary:', error);
         taxSummary = {};
     }
+    const cessRate = getEducationCessRate(taxSummary, taxParams);
+
+    let csvContent = `Regiment No,Name,Rank,PAN,Tax Regime,Gross Salary,Exempt Allowances,Taxable Salary,Standard Deduction,Additional Taxable Income,CSV Recovery,Manual Recoveries,Total Recoveries,Chapter VI-A Deductions,Employer NPS Contribution,Deduction u/s 80CCD(2),Taxable Income,Income Tax,Under Section 87A Rebate,Relief Under Section 87A(b),Net Tax,Surcharge,Marginal Relief on Surcharge,Education & Health Cess (${cessRate}%),Relief under Section 89,Manual Tax Deductions,CSV file I-Tax,Total Tax for FY ${fiscalYear},Monthly Tax Deduction\n`;
 
     // Process all regiment numbers from salary data
     Object.keys(salaryDataMap).forEach(regtNo => {
@@ -592,17 +515,27 @@ function downloadTaxInfo() {
             const empData = taxSummary[regtNo];
             
             csvContent += `${regtNo},${empData.name || ''},${empData.rank || ''},${empData.pan || ''},`;
-            csvContent += `${formatValue(empData.annualSalary)},`;
+            csvContent += `${empData.regimeLabel || ''},`;
+            csvContent += `${formatValue(empData.grossSalary)},`;
+            csvContent += `${formatValue(empData.exemptSalary)},`;
+            csvContent += `${formatValue(empData.taxableSalary)},`;
             csvContent += `${formatValue(empData.standardDeduction)},`;
             csvContent += `${formatValue(empData.additionalIncome)},`;
             csvContent += `${formatValue(empData.csvRecovery)},`;
             csvContent += `${formatValue(empData.manualRecoveries)},`;
             csvContent += `${formatValue(empData.totalRecoveries)},`;
+            csvContent += `${formatValue(empData.chapterVIADeduction)},`;
+            csvContent += `${formatValue(empData.employerNPSContribution)},`;
+            csvContent += `${formatValue(empData.employerNPSDeduction)},`;
             csvContent += `${formatValue(empData.taxableIncome)},`;
             csvContent += `${formatValue(empData.tax)},`;
-            csvContent += `${formatValue(empData.marginalRelief)},`;
+            csvContent += `${formatValue(empData.rebate87A)},`;
+            csvContent += `${formatValue(empData.marginalRelief87AB)},`;
             csvContent += `${formatValue(empData.netTax)},`;
+            csvContent += `${formatValue(empData.surcharge)},`;
+            csvContent += `${formatValue(empData.surchargeMarginalRelief)},`;
             csvContent += `${formatValue(empData.educationCess)},`;
+            csvContent += `${formatValue(empData.section89Relief)},`;
             csvContent += `${formatValue(empData.manualTaxDeductions)},`;
             csvContent += `${formatValue(empData.csvFileTax)},`;
             csvContent += `${formatValue(empData.totalTax)},`;
@@ -610,7 +543,7 @@ function downloadTaxInfo() {
         } else {
             // If no tax data, show a simpler row with just basic information
             csvContent += `${regtNo},${firstEntry.name || ''},${firstEntry.rank || ''},${firstEntry.pan || ''},`;
-            csvContent += `0,0,0,0,0,0,0,0,0,0,0,0,0,0,0\n`;
+            csvContent += `,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0,0\n`;
         }
     });
 
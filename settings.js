@@ -10,12 +10,18 @@ document.addEventListener('DOMContentLoaded', function() {
     // Load and set organization details
     loadOrganizationDetails();
     
+    // Load this unit's signing key fingerprint and the trusted units
+    loadTransferSigning();
+    
     // Load backup settings and history
     loadBackupSettings();
     loadBackupHistory();
     
-    // Setup tax slab rate row handlers
-    setupTaxSlabHandlers();
+    // Setup tax and surcharge slab row handlers for both regimes
+    setupTaxSlabHandlers('taxSlabTable');
+    setupTaxSlabHandlers('oldTaxSlabTable');
+    setupTaxSlabHandlers('surchargeSlabTable');
+    setupTaxSlabHandlers('oldSurchargeSlabTable');
     
     // Add event listeners
     document.getElementById('taxParametersForm').addEventListener('submit', function(e) {
@@ -23,11 +29,39 @@ document.addEventListener('DOMContentLoaded', function() {
         saveTaxParameters();
     });
     
+    // Switching the edited fiscal year loads that year's parameters
+    document.getElementById('parameterFiscalYear').addEventListener('change', function() {
+        fillTaxParameterForm(DataManager.getTaxParameters(this.value));
+    });
+    
+    document.getElementById('restoreDefaultTaxParameters').addEventListener('click', restoreDefaultTaxParameters);
+    
+    document.getElementById('addProjectionRule').addEventListener('click', function() {
+        addProjectionRuleRow({ type: 'increment', month: 6, component: 'basicPay', rate: 3 });
+    });
+    
+    document.querySelectorAll('.add-slab-btn').forEach(button => {
+        button.addEventListener('click', function() {
+            addTaxSlabRow(this.getAttribute('data-table'));
+        });
+    });
+    
+    document.querySelectorAll('.remove-slab-btn').forEach(button => {
+        button.addEventListener('click', function() {
+            removeTaxSlabRow(this.getAttribute('data-table'));
+        });
+    });
+    
     document.getElementById('organizationForm').addEventListener('submit', function(e) {
         e.preventDefault();
         saveOrganizationDetails();
     });
     
+    document.getElementById('trustedUnitForm').addEventListener('submit', function(e) {
+        e.preventDefault();
+        addTrustedUnit();
+    });
+    
     // Backup and restore event listeners
     document.getElementById('exportAllData').addEventListener('click', createBackup);
     document.getElementById('importDataBtn').addEventListener('click', function() {
@@ -55,124 +89,305 @@ document.addEventListener('DOMContentLoaded', function() {
 
 // Load tax parameters
 function loadTaxParameters() {
-    const params = DataManager.getTaxParameters();
+    const activeFiscalYear = DataManager.getActiveFiscalYear();
     
-    document.getElementById('standardDeduction').value = params.standardDeduction || 75000;
-    document.getElementById('educationCess').value = params.educationCess || 4;
+    // Fill both fiscal year selectors; parameters are edited for the active year first
+    populateFiscalYearSelect(document.getElementById('fiscalYear'), activeFiscalYear);
+    populateFiscalYearSelect(document.getElementById('parameterFiscalYear'), activeFiscalYear);
     
-    // Load tax slab rates
-    if (params.taxSlabs && params.taxSlabs.length > 0) {
-        const slabTable = document.getElementById('taxSlabTable').getElementsByTagName('tbody')[0];
-        const slabRows = slabTable.getElementsByTagName('tr');
-        
-        for (let i = 0; i < Math.min(slabRows.length, params.taxSlabs.length); i++) {
-            const row = slabRows[i];
-            const inputs = row.getElementsByTagName('input');
-            
-            // Set min value (readonly)
-            inputs[0].value = params.taxSlabs[i].min;
-            
-            // Set max value (editable except for last row)
-            if (i < params.taxSlabs.length - 1) {
-                inputs[1].value = params.taxSlabs[i].max;
-                inputs[1].disabled = false;
-            } else {
-                inputs[1].value = "";
-                inputs[1].disabled = true;
-                inputs[1].placeholder = "No limit";
-            }
-            
-            // Set rate (%)
-            inputs[2].value = params.taxSlabs[i].rate;
-        }
+    fillTaxParameterForm(DataManager.getTaxParameters(activeFiscalYear));
+}
+
+// Fill a fiscal year select with known years and select one of them
+function populateFiscalYearSelect(select, selectedYear) {
+    if (!select) return;
+    
+    // Built-in years, stored years and the years around the current one
+    const currentStartYear = parseInt(getCurrentIndianFiscalYear());
+    const years = new Set([
+        ...Object.keys(DataManager.defaultTaxParameterSets),
+        ...Object.keys(DataManager.loadTaxParameterSets()),
+        selectedYear
+    ]);
+    for (let year = currentStartYear - 1; year <= currentStartYear + 1; year++) {
+        years.add(`${year}-${year + 1}`);
     }
     
+    select.innerHTML = '';
+    Array.from(years).sort().forEach(year => {
+        const option = document.createElement('option');
+        option.value = year;
+        option.textContent = year;
+        option.selected = year === selectedYear;
+        select.appendChild(option);
+    });
+}
+
+// Fill the tax parameter form with one fiscal year's parameters
+function fillTaxParameterForm(params) {
+    document.getElementById('standardDeduction').value = params.standardDeduction ?? 75000;
+    document.getElementById('educationCess').value = params.educationCess ?? 4;
+    
+    // Load tax slab rates
+    fillTaxSlabTable('taxSlabTable', params.taxSlabs);
+    
     // Load tax rebate parameters
-    if (document.getElementById('taxRebateLimit')) {
-        document.getElementById('taxRebateLimit').value = params.taxRebateLimit || 1200000;
-    }
+    document.getElementById('taxRebateLimit').value = params.taxRebateLimit || 1200000;
+    document.getElementById('maxRebateAmount').value = params.maxRebateAmount || 60000;
+    fillTaxSlabTable('surchargeSlabTable', params.surchargeSlabs);
+    
+    // Load old regime parameters
+    const oldRegime = params.oldRegime || {};
+    document.getElementById('oldStandardDeduction').value = oldRegime.standardDeduction ?? 50000;
+    fillTaxSlabTable('oldTaxSlabTable', oldRegime.taxSlabs);
+    document.getElementById('oldTaxRebateLimit').value = oldRegime.taxRebateLimit || 500000;
+    document.getElementById('oldMaxRebateAmount').value = oldRegime.maxRebateAmount || 12500;
+    fillTaxSlabTable('oldSurchargeSlabTable', oldRegime.surchargeSlabs);
+    
+    // Load Chapter VI-A limits (blank means no limit)
+    const chapterVIALimits = params.chapterVIALimits || {};
+    document.querySelectorAll('.chapter-via-limit').forEach(input => {
+        const limit = chapterVIALimits[input.getAttribute('data-section')];
+        input.value = limit === null || limit === undefined ? '' : limit;
+    });
     
-    if (document.getElementById('maxRebateAmount')) {
-        document.getElementById('maxRebateAmount').value = params.maxRebateAmount || 60000;
-    }
+    document.getElementById('leaveEncashmentExemptionLimit').value = params.leaveEncashmentExemptionLimit ?? 2500000;
+    const employerNPS = params.employerNPS || {};
+    const npsLimits = employerNPS.deductionLimits || {};
+    document.getElementById('npsContributionRate').value = employerNPS.contributionRate ?? 14;
+    document.getElementById('npsLimitNew').value = npsLimits.new ?? 14;
+    document.getElementById('npsLimitOld').value = npsLimits.old ?? 10;
+    document.getElementById('npsLimitGovernment').value = npsLimits.government ?? 14;
+    const rounding = params.rounding || {};
+    document.getElementById('roundingTotalIncome').value = rounding.totalIncome || 10;
+    document.getElementById('roundingTax').value = rounding.tax || 10;
+    document.getElementById('roundingInstallment').value = rounding.installment || 10;
+    fillPayComponentRuleTable(params.payComponentRules || {});
+    
+    document.querySelector('#projectionRuleTable tbody').innerHTML = '';
+    (params.projectionRules || []).forEach(rule => addProjectionRuleRow(rule));
+}
+
+// Add a salary projection rule row (increment or DA revision)
+function addProjectionRuleRow(rule) {
+    const tbody = document.querySelector('#projectionRuleTable tbody');
+    const row = document.createElement('tr');
+    const months = FiscalCalendar.getMonths(DataManager.getActiveFiscalYear());
+    
+    row.innerHTML = `
+        <td>
+            <select class="form-select form-select-sm projection-type">
+                <option value="increment" ${rule.type !== 'da' ? 'selected' : ''}>Increment</option>
+                <option value="da" ${rule.type === 'da' ? 'selected' : ''}>DA rate</option>
+            </select>
+        </td>
+        <td>
+            <select class="form-select form-select-sm projection-month">
+                ${months.map(month => `<option value="${month.month}" ${parseInt(rule.month) === month.month ? 'selected' : ''}>${FiscalCalendar.monthNamesLong[month.month]}</option>`).join('')}
+            </select>
+        </td>
+        <td>
+            <select class="form-select form-select-sm projection-component" ${rule.type === 'da' ? 'disabled' : ''}>
+                ${DataManager.payComponents.map(component => `<option value="${component.key}" ${(rule.component || 'basicPay') === component.key ? 'selected' : ''}>${component.label}</option>`).join('')}
+            </select>
+        </td>
+        <td><input type="number" class="form-control form-control-sm projection-rate" min="0" step="0.01" value="${rule.rate ?? ''}"></td>
+        <td><button type="button" class="btn btn-sm btn-outline-danger">Remove</button></td>
+    `;
+    
+    // A DA rule always applies to DA as a percentage of basic pay
+    row.querySelector('.projection-type').addEventListener('change', function() {
+        row.querySelector('.projection-component').disabled = this.value === 'da';
+    });
+    row.querySelector('button').addEventListener('click', function() {
+        row.remove();
+    });
     
-    const fiscalYearSelect = document.getElementById('fiscalYear');
-    if (fiscalYearSelect) {
-        // Get current fiscal year using the utility function
-        let defaultFiscalYear = getCurrentIndianFiscalYear();
+    tbody.appendChild(row);
+}
+
+// Read the salary projection rules from their table
+function readProjectionRuleTable() {
+    return Array.from(document.querySelectorAll('#projectionRuleTable tbody tr')).map(row => {
+        const type = row.querySelector('.projection-type').value;
+        return {
+            type: type,
+            month: parseInt(row.querySelector('.projection-month').value),
+            component: type === 'da' ? 'da' : row.querySelector('.projection-component').value,
+            rate: parseFloat(row.querySelector('.projection-rate').value)
+        };
+    });
+}
+
+// Build the pay component taxability table from the rules of one fiscal year
+function fillPayComponentRuleTable(rules) {
+    const tbody = document.querySelector('#payComponentRuleTable tbody');
+    tbody.innerHTML = '';
+    
+    DataManager.payComponents.forEach(component => {
+        const rule = rules[component.key] || {};
+        const treatment = rule.treatment || 'taxable';
+        const row = document.createElement('tr');
+        row.setAttribute('data-component', component.key);
+        row.innerHTML = `
+            <td>${component.label}</td>
+            <td>
+                <select class="form-select form-select-sm rule-treatment">
+                    <option value="taxable" ${treatment === 'taxable' ? 'selected' : ''}>Taxable</option>
+                    <option value="exempt" ${treatment === 'exempt' ? 'selected' : ''}>Exempt</option>
+                    <option value="capped" ${treatment === 'capped' ? 'selected' : ''}>Exempt up to cap</option>
+                </select>
+            </td>
+            <td><input type="number" class="form-control form-control-sm rule-cap" min="0" value="${rule.cap ?? ''}" ${treatment === 'capped' ? '' : 'disabled'}></td>
+            <td>
+                <select class="form-select form-select-sm rule-cap-period" ${treatment === 'capped' ? '' : 'disabled'}>
+                    <option value="monthly" ${rule.capPeriod !== 'annual' ? 'selected' : ''}>Monthly</option>
+                    <option value="annual" ${rule.capPeriod === 'annual' ? 'selected' : ''}>Annual</option>
+                </select>
+            </td>
+            <td>
+                <select class="form-select form-select-sm rule-applies-to" ${treatment === 'taxable' ? 'disabled' : ''}>
+                    <option value="both" ${rule.appliesTo !== 'old' ? 'selected' : ''}>Both regimes</option>
+                    <option value="old" ${rule.appliesTo === 'old' ? 'selected' : ''}>Old regime only</option>
+                </select>
+            </td>
+        `;
         
-        const storedFiscalYear = params.fiscalYear || defaultFiscalYear;
+        // Only the inputs that matter for the chosen treatment are editable
+        row.querySelector('.rule-treatment').addEventListener('change', function() {
+            row.querySelector('.rule-cap').disabled = this.value !== 'capped';
+            row.querySelector('.rule-cap-period').disabled = this.value !== 'capped';
+            row.querySelector('.rule-applies-to').disabled = this.value === 'taxable';
+        });
         
-        // Create options for fiscal years if not already present
-        if (fiscalYearSelect.options.length === 0) {
-            const currentYearNum = parseInt(storedFiscalYear.split('-')[0]);
-            for (let year = currentYearNum - 2; year <= currentYearNum + 2; year++) {
-                const option = document.createElement('option');
-                option.value = `${year}-${year + 1}`;
-                option.textContent = `${year}-${year + 1}`;
-                fiscalYearSelect.appendChild(option);
-            }
-        }
+        tbody.appendChild(row);
+    });
+}
+
+// Read the pay component rules from the taxability table
+function readPayComponentRuleTable() {
+    const rules = {};
+    
+    document.querySelectorAll('#payComponentRuleTable tbody tr').forEach(row => {
+        const treatment = row.querySelector('.rule-treatment').value;
+        const cap = row.querySelector('.rule-cap').value.trim();
         
-        // Set selected fiscal year
-        Array.from(fiscalYearSelect.options).forEach(option => {
-            if (option.value === storedFiscalYear) {
-                option.selected = true;
-            }
-        });
+        rules[row.getAttribute('data-component')] = {
+            treatment: treatment,
+            cap: treatment === 'capped' && cap !== '' ? (parseFloat(cap) || 0) : null,
+            capPeriod: row.querySelector('.rule-cap-period').value,
+            appliesTo: row.querySelector('.rule-applies-to').value
+        };
+    });
+    
+    return rules;
+}
+
+// Every capped component needs a cap
+function validatePayComponentRules(rules) {
+    const missing = DataManager.payComponents.filter(component =>
+        rules[component.key] && rules[component.key].treatment === 'capped' && rules[component.key].cap === null);
+    
+    if (missing.length > 0) {
+        alert(`Please enter an exemption cap for: ${missing.map(component => component.label).join(', ')}`);
+        return false;
     }
+    
+    return true;
 }
 
 // Save tax parameters
 function saveTaxParameters() {
-    const standardDeduction = parseInt(document.getElementById('standardDeduction').value) || 75000;
-    const educationCess = parseFloat(document.getElementById('educationCess').value) || 4;
-    const fiscalYear = document.getElementById('fiscalYear').value;
+    const activeFiscalYear = document.getElementById('fiscalYear').value;
+    const parameterFiscalYear = document.getElementById('parameterFiscalYear').value;
+    const standardDeduction = parseInt(document.getElementById('standardDeduction').value) || 0;
+    // A blank rate falls back to 4%; an entered 0 is kept
+    const cessInput = parseFloat(document.getElementById('educationCess').value);
+    const educationCess = isNaN(cessInput) ? 4 : cessInput;
     const taxRebateLimit = parseInt(document.getElementById('taxRebateLimit').value) || 1200000;
     const maxRebateAmount = parseInt(document.getElementById('maxRebateAmount').value) || 60000;
     
-    // Get tax slab rates from the table
-    const taxSlabs = [];
-    const slabTable = document.getElementById('taxSlabTable').getElementsByTagName('tbody')[0];
-    const slabRows = slabTable.getElementsByTagName('tr');
+    // Get tax and surcharge slab rates from the tables
+    const taxSlabs = readTaxSlabTable('taxSlabTable');
+    const oldTaxSlabs = readTaxSlabTable('oldTaxSlabTable');
+    const surchargeSlabs = readTaxSlabTable('surchargeSlabTable');
+    const oldSurchargeSlabs = readTaxSlabTable('oldSurchargeSlabTable');
     
-    for (let i = 0; i < slabRows.length; i++) {
-        const row = slabRows[i];
-        const inputs = row.getElementsByTagName('input');
-        
-        const min = parseInt(inputs[0].value) || 0;
-        let max = null;
-        
-        // For all rows except the last one, get the max value
-        if (i < slabRows.length - 1) {
-            max = parseInt(inputs[1].value) || 0;
-        }
-        
-        const rate = parseFloat(inputs[2].value) || 0;
-        
-        taxSlabs.push({
-            min: min,
-            max: max,
-            rate: rate
-        });
+    // Validate slabs using the common validation function
+    const slabTables = ['taxSlabTable', 'oldTaxSlabTable', 'surchargeSlabTable', 'oldSurchargeSlabTable'];
+    if (!slabTables.every(tableId => validateTaxSlabs(tableId))) {
+        return;
+    }
+    
+    // Pay component taxability rules
+    const payComponentRules = readPayComponentRuleTable();
+    if (!validatePayComponentRules(payComponentRules)) {
+        return;
     }
     
-    // Validate tax slabs using the common validation function
-    if (!validateTaxSlabs()) {
+    // Salary projection rules need a rate
+    const projectionRules = readProjectionRuleTable();
+    if (projectionRules.some(rule => isNaN(rule.rate) || rule.rate < 0)) {
+        alert('Please enter a rate for every salary projection rule');
         return;
     }
     
+    // Chapter VI-A limits (blank means no limit)
+    const chapterVIALimits = {};
+    document.querySelectorAll('.chapter-via-limit').forEach(input => {
+        const value = input.value.trim();
+        chapterVIALimits[input.getAttribute('data-section')] = value === '' ? null : (parseInt(value) || 0);
+    });
+    
+    // Keep any values this form does not edit from the year's current set
+    const currentParams = DataManager.getTaxParameters(parameterFiscalYear);
     const params = {
+        ...currentParams,
         standardDeduction: standardDeduction,
         educationCess: educationCess,
-        fiscalYear: fiscalYear,
         taxSlabs: taxSlabs,
         taxRebateLimit: taxRebateLimit,
-        maxRebateAmount: maxRebateAmount
+        maxRebateAmount: maxRebateAmount,
+        surchargeSlabs: surchargeSlabs,
+        oldRegime: {
+            ...currentParams.oldRegime,
+            standardDeduction: parseInt(document.getElementById('oldStandardDeduction').value) || 0,
+            taxSlabs: oldTaxSlabs,
+            taxRebateLimit: parseInt(document.getElementById('oldTaxRebateLimit').value) || 500000,
+            maxRebateAmount: parseInt(document.getElementById('oldMaxRebateAmount').value) || 12500,
+            surchargeSlabs: oldSurchargeSlabs
+        },
+        chapterVIALimits: chapterVIALimits,
+        leaveEncashmentExemptionLimit: parseInt(document.getElementById('leaveEncashmentExemptionLimit').value) || 0,
+        payComponentRules: payComponentRules,
+        projectionRules: projectionRules,
+        employerNPS: {
+            contributionRate: parseFloat(document.getElementById('npsContributionRate').value) || 0,
+            deductionLimits: {
+                new: parseFloat(document.getElementById('npsLimitNew').value) || 0,
+                old: parseFloat(document.getElementById('npsLimitOld').value) || 0,
+                government: parseFloat(document.getElementById('npsLimitGovernment').value) || 0
+            }
+        },
+        rounding: {
+            totalIncome: parseInt(document.getElementById('roundingTotalIncome').value) || 1,
+            tax: parseInt(document.getElementById('roundingTax').value) || 1,
+            installment: parseInt(document.getElementById('roundingInstallment').value) || 1
+        }
     };
     
-    DataManager.saveTaxParameters(params);
-    alert('Tax parameters saved successfully!');
+    DataManager.saveTaxParameterSet(parameterFiscalYear, params);
+    DataManager.setActiveFiscalYear(activeFiscalYear);
+    
+    // Clear tax summary cache since the parameters affect every tax calculation
+    DataManager.clearTaxSummaryCache();
+    alert(`Tax parameters for FY ${parameterFiscalYear} saved successfully!`);
+}
+
+// Reset the form to the built-in parameters of the fiscal year being edited (not saved until submitted)
+function restoreDefaultTaxParameters() {
+    const parameterFiscalYear = document.getElementById('parameterFiscalYear').value;
+    fillTaxParameterForm(DataManager.getDefaultTaxParameters(parameterFiscalYear));
 }
 
 // Load organization details
@@ -182,7 +397,17 @@ function loadOrganizationDetails() {
     document.getElementById('orgName').value = details.name || 'Border Security Force';
     document.getElementById('orgDepartment').value = details.department || 'Accounts Department';
     document.getElementById('orgAddress').value = details.address || '';
+    document.getElementById('employerCategory').value = details.employerCategory || 'central-government';
+    document.getElementById('orgTan').value = details.tan || '';
+    document.getElementById('orgPan').value = details.pan || '';
+    document.getElementById('orgStateCode').value = details.stateCode || '';
+    document.getElementById('orgPin').value = details.pin || '';
+    document.getElementById('orgPhone').value = details.phone || '';
+    document.getElementById('orgAin').value = details.ain || '';
+    document.getElementById('orgPaoCode').value = details.paoCode || '';
+    document.getElementById('orgDdoCode').value = details.ddoCode || '';
     document.getElementById('contactPerson').value = details.contactPerson || '';
+    document.getElementById('contactDesignation').value = details.contactDesignation || '';
     document.getElementById('contactEmail').value = details.email || '';
 }
 
@@ -191,21 +416,140 @@ function saveOrganizationDetails() {
     const name = document.getElementById('orgName').value.trim();
     const department = document.getElementById('orgDepartment').value.trim();
     const address = document.getElementById('orgAddress').value.trim();
+    const employerCategory = document.getElementById('employerCategory').value;
+    const tan = document.getElementById('orgTan').value.trim().toUpperCase();
+    const pan = document.getElementById('orgPan').value.trim().toUpperCase();
+    const stateCode = document.getElementById('orgStateCode').value.trim();
+    const pin = document.getElementById('orgPin').value.trim();
+    const phone = document.getElementById('orgPhone').value.trim();
+    const ain = document.getElementById('orgAin').value.trim();
+    const paoCode = document.getElementById('orgPaoCode').value.trim().toUpperCase();
+    const ddoCode = document.getElementById('orgDdoCode').value.trim().toUpperCase();
     const contactPerson = document.getElementById('contactPerson').value.trim();
+    const contactDesignation = document.getElementById('contactDesignation').value.trim();
     const email = document.getElementById('contactEmail').value.trim();
     
+    if (tan && !isValidTAN(tan)) {
+        alert('Please enter a valid TAN (four letters, five digits and a letter)');
+        return;
+    }
+    
+    // Government deductors without a PAN quote PANNOTREQD
+    if (pan && pan !== 'PANNOTREQD' && !isValidPAN(pan)) {
+        alert('Please enter a valid PAN (five letters, four digits and a letter) or PANNOTREQD');
+        return;
+    }
+    
+    if (stateCode && !/^\d{2}$/.test(stateCode)) {
+        alert('Please enter the two-digit state code');
+        return;
+    }
+    
+    if (pin && !/^[1-9]\d{5}$/.test(pin)) {
+        alert('Please enter a valid six-digit PIN code');
+        return;
+    }
+    
+    if (ain && !/^\d{7}$/.test(ain)) {
+        alert('Please enter the seven-digit AIN');
+        return;
+    }
+    
     const details = {
         name: name,
         department: department,
         address: address,
+        tan: tan,
+        pan: pan,
+        stateCode: stateCode,
+        pin: pin,
+        phone: phone,
+        ain: ain,
+        paoCode: paoCode,
+        ddoCode: ddoCode,
+        employerCategory: employerCategory,
         contactPerson: contactPerson,
+        contactDesignation: contactDesignation,
         email: email
     };
     
     DataManager.saveOrganizationDetails(details);
+    
+    // Clear tax summary cache since the employer category sets the 10(10AA) and 80CCD(2) limits
+    DataManager.clearTaxSummaryCache();
     alert('Organization details saved successfully!');
 }
 
+// Show this unit's key fingerprint and the units whose transfer files are accepted
+function loadTransferSigning() {
+    TransferFile.unitFingerprint().then(fingerprint => {
+        document.getElementById('unitKeyFingerprint').textContent = TransferFile.formatFingerprint(fingerprint);
+    }).catch(error => {
+        console.error('Error loading the transfer signing key:', error);
+        document.getElementById('unitKeyFingerprint').textContent = 'Signing is not available in this browser';
+    });
+    
+    const tableBody = document.querySelector('#trustedUnitsTable tbody');
+    const units = DataManager.loadTrustedUnits();
+    
+    if (units.length === 0) {
+        tableBody.innerHTML = '<tr><td colspan="3" class="text-muted">No trusted units</td></tr>';
+        return;
+    }
+    
+    tableBody.innerHTML = units.map((unit, index) => `
+        <tr>
+            <td>${escapeHtml(unit.name)}</td>
+            <td><code class="small">${TransferFile.formatFingerprint(unit.fingerprint)}</code></td>
+            <td class="text-end">
+                <button type="button" class="btn btn-sm btn-outline-danger" onclick="removeTrustedUnit(${index})">Remove</button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+// Add a unit whose transfer files are accepted
+function addTrustedUnit() {
+    const name = document.getElementById('trustedUnitName').value.trim();
+    const fingerprint = TransferFile.parseFingerprint(document.getElementById('trustedUnitFingerprint').value);
+    
+    if (!name) {
+        alert('Please enter the unit name.');
+        return;
+    }
+    
+    if (!fingerprint) {
+        alert('The fingerprint must be 64 hexadecimal digits (0-9, A-F); spaces are ignored.');
+        return;
+    }
+    
+    const units = DataManager.loadTrustedUnits();
+    const existing = units.find(unit => unit.fingerprint === fingerprint);
+    if (existing) {
+        alert(`This fingerprint is already trusted as ${existing.name}.`);
+        return;
+    }
+    
+    units.push({ name, fingerprint, addedAt: new Date().toISOString() });
+    DataManager.saveTrustedUnits(units);
+    
+    document.getElementById('trustedUnitForm').reset();
+    loadTransferSigning();
+}
+
+// Stop accepting transfer files from a unit
+function removeTrustedUnit(index) {
+    const units = DataManager.loadTrustedUnits();
+    const unit = units[index];
+    if (!unit) return;
+    
+    showConfirmationModal(`Stop accepting employee tax files signed by ${unit.name}?`, function() {
+        units.splice(index, 1);
+        DataManager.saveTrustedUnits(units);
+        loadTransferSigning();
+    });
+}
+
 // Load backup settings
 function loadBackupSettings() {
     const settings = DataManager.getScheduledBackupSettings();
@@ -516,40 +860,101 @@ function showConfirmationModal(message, confirmCallback) {
 // Format date helper function is now in utils.js
 
 /**
- * Validate tax slabs to ensure they form a valid progressive structure
- * @returns {boolean} - True if valid, false otherwise
+ * Read tax slabs from a slab table
+ * @param {string} tableId - ID of the slab table
+ * @returns {Array} - Tax slabs ({ min, max, rate }); the last slab has no maximum
  */
-function validateTaxSlabs() {
-    const slabTable = document.getElementById('taxSlabTable');
-    if (!slabTable) return true; // Nothing to validate
-    
-    const tbody = slabTable.getElementsByTagName('tbody')[0];
-    if (!tbody) return true;
-    
-    const rows = tbody.getElementsByTagName('tr');
-    if (!rows || rows.length === 0) return true;
-    
-    // Collect all slab data
+function readTaxSlabTable(tableId) {
     const slabs = [];
+    const slabTable = document.getElementById(tableId);
+    if (!slabTable) return slabs;
+    
+    const rows = slabTable.getElementsByTagName('tbody')[0].getElementsByTagName('tr');
     for (let i = 0; i < rows.length; i++) {
-        const row = rows[i];
-        const inputs = row.getElementsByTagName('input');
+        const inputs = rows[i].getElementsByTagName('input');
+        if (inputs.length < 3) continue;
         
-        if (inputs.length >= 3) {
-            const min = parseInt(inputs[0].value) || 0;
-            let max = null;
-            
-            // For all rows except the last one, get the max value
-            if (i < rows.length - 1) {
-                max = parseInt(inputs[1].value) || 0;
-            }
-            
-            const rate = parseFloat(inputs[2].value) || 0;
-            
-            slabs.push({ min, max, rate });
+        const min = parseInt(inputs[0].value) || 0;
+        let max = null;
+        
+        // For all rows except the last one, get the max value
+        if (i < rows.length - 1) {
+            max = parseInt(inputs[1].value) || 0;
         }
+        
+        const rate = parseFloat(inputs[2].value) || 0;
+        
+        slabs.push({ min, max, rate });
     }
     
+    return slabs;
+}
+
+/**
+ * Fill a slab table with tax slabs, rebuilding its rows to match the number of slabs
+ * Tables marked data-first-min-editable (surcharge slabs) let the first threshold be edited
+ * @param {string} tableId - ID of the slab table
+ * @param {Array} slabs - Tax slabs ({ min, max, rate })
+ */
+function fillTaxSlabTable(tableId, slabs) {
+    const slabTable = document.getElementById(tableId);
+    if (!slabTable || !slabs || slabs.length === 0) return;
+    
+    const firstMinEditable = slabTable.getAttribute('data-first-min-editable') === 'true';
+    const tbody = slabTable.getElementsByTagName('tbody')[0];
+    tbody.innerHTML = slabs.map((slab, i) => {
+        // The last slab has no upper limit
+        const maxInput = i < slabs.length - 1
+            ? `<input type="number" class="form-control form-control-sm slab-max" value="${slab.max}" min="0">`
+            : '<input type="number" class="form-control form-control-sm slab-max" value="" min="0" disabled placeholder="No limit">';
+        
+        return `
+            <tr>
+                <td><input type="number" class="form-control form-control-sm slab-min" value="${slab.min}" min="0" ${i === 0 && firstMinEditable ? '' : 'readonly'}></td>
+                <td>${maxInput}</td>
+                <td><input type="number" class="form-control form-control-sm slab-rate" value="${slab.rate}" min="0" max="100" step="0.1"></td>
+            </tr>`;
+    }).join('');
+}
+
+/**
+ * Add a slab above the open-ended top slab of a slab table
+ * @param {string} tableId - ID of the slab table
+ */
+function addTaxSlabRow(tableId) {
+    const slabs = readTaxSlabTable(tableId);
+    const topSlab = slabs[slabs.length - 1];
+    
+    // Close the current top slab and open a new one above it
+    topSlab.max = topSlab.min + 100000;
+    slabs.push({ min: topSlab.max, max: null, rate: topSlab.rate });
+    
+    fillTaxSlabTable(tableId, slabs);
+}
+
+/**
+ * Remove the top slab of a slab table, leaving the one below it open-ended
+ * @param {string} tableId - ID of the slab table
+ */
+function removeTaxSlabRow(tableId) {
+    const slabs = readTaxSlabTable(tableId);
+    if (slabs.length <= 1) return;
+    
+    slabs.pop();
+    slabs[slabs.length - 1].max = null;
+    
+    fillTaxSlabTable(tableId, slabs);
+}
+
+/**
+ * Validate tax slabs to ensure they form a valid progressive structure
+ * @param {string} tableId - ID of the slab table (defaults to the new regime table)
+ * @returns {boolean} - True if valid, false otherwise
+ */
+function validateTaxSlabs(tableId = 'taxSlabTable') {
+    const slabs = readTaxSlabTable(tableId);
+    if (slabs.length === 0) return true; // Nothing to validate
+    
     // Validation checks
     let isValid = true;
     let errorMessage = '';
@@ -581,34 +986,20 @@ function validateTaxSlabs() {
 
 /**
  * Setup event handlers for tax slab table to ensure min values get updated based on previous max values
+ * The handler is delegated to the table so it keeps working when rows are rebuilt
+ * @param {string} tableId - ID of the slab table (defaults to the new regime table)
  */
-function setupTaxSlabHandlers() {
-    const slabTable = document.getElementById('taxSlabTable');
+function setupTaxSlabHandlers(tableId = 'taxSlabTable') {
+    const slabTable = document.getElementById(tableId);
     if (!slabTable) return;
     
-    const tbody = slabTable.getElementsByTagName('tbody')[0];
-    if (!tbody) return;
-    
-    const rows = tbody.getElementsByTagName('tr');
-    if (!rows || rows.length === 0) return;
-    
-    // Add change event listeners to all max value inputs to update the next row's min value
-    for (let i = 0; i < rows.length - 1; i++) { // Skip the last row
-        const currentRow = rows[i];
-        const nextRow = rows[i + 1];
+    // When a max value changes, update the next row's min value
+    slabTable.addEventListener('input', function(event) {
+        if (!event.target.classList.contains('slab-max')) return;
         
-        const maxInputs = currentRow.getElementsByClassName('slab-max');
-        const nextMinInputs = nextRow.getElementsByClassName('slab-min');
-        
-        if (maxInputs.length > 0 && nextMinInputs.length > 0) {
-            const maxInput = maxInputs[0];
-            const nextMinInput = nextMinInputs[0];
-            
-            // When the max value changes, update the next row's min value
-            maxInput.addEventListener('input', function() {
-                const newMax = parseInt(this.value) || 0;
-                nextMinInput.value = newMax;
-            });
+        const nextRow = event.target.closest('tr').nextElementSibling;
+        if (nextRow) {
+            nextRow.querySelector('.slab-min').value = parseInt(event.target.value) || 0;
         }
-    }
+    });
 }
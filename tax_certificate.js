@@ -27,8 +27,7 @@ function generateTaxCertificate(regtNo, financialYear = null) {
         
         // Get the financial year
         if (!financialYear) {
-            const taxParams = DataManager.getTaxParameters();
-            financialYear = taxParams.fiscalYear || getCurrentIndianFiscalYear();
+            financialYear = DataManager.getActiveFiscalYear();
         }
         
         // Get organization details
@@ -38,99 +37,25 @@ function generateTaxCertificate(regtNo, financialYear = null) {
             contactPerson: 'Accounts Officer'
         };
         
-        // Retirement date
-        const retirementDate = DataManager.getRetirementDate(regtNo);
-        
-        // Get extended data for 12 months
-        const extendedData = extendTo12Months(employeeData, retirementDate);
+        // Compute tax with the shared TaxEngine using the parameters of the certificate's fiscal year
+        const computation = TaxEngine.computeForEmployee(regtNo, {
+            salaryMonths: employeeData,
+            fiscalYear: financialYear
+        });
         
         // Get first month's details for employee info
         const firstMonth = employeeData[0].details;
         
-        // Get bill claims for this employee
-        const billClaims = DataManager.loadBillClaims().filter(claim => claim.regtNo === regtNo);
-        
-        // Get manual recoveries (new system)
-        const manualRecoveries = DataManager.loadManualRecoveries().filter(recovery => recovery.regtNo === regtNo);
-        
-        // Get manual tax deductions
-        const taxDeductions = DataManager.loadTaxDeductions().filter(deduction => deduction.regtNo === regtNo);
-        
-        // Calculate totals from extended data
-        const annualSalary = extendedData.reduce((sum, entry) => sum + entry.details.total, 0);
-        
-        // Get CSV file recoveries and tax deductions
-        const csvRecovery = extendedData.reduce((sum, entry) => sum + (entry.details.recovery || 0), 0);
-        const csvFileTax = extendedData.reduce((sum, entry) => sum + (entry.details.tax || 0), 0);
-        
-        // Calculate additional income from bill claims
-        const additionalIncome = billClaims
-            .filter(claim => claim.billType !== 'Recovery' && claim.billType !== 'Tax Deduction' && claim.taxable)
-            .reduce((sum, claim) => sum + claim.amount, 0);
-        
-        // Get manual recoveries amount
-        const manualRecoveriesAmount = manualRecoveries.reduce((sum, recovery) => sum + recovery.amount, 0);
-        
-        // Get legacy recoveries from bill claims
-        const legacyRecoveries = billClaims
-            .filter(claim => claim.billType === 'Recovery')
-            .reduce((sum, claim) => sum + claim.amount, 0);
-        
-        // Total manual recoveries
-        const totalManualRecoveries = manualRecoveriesAmount + legacyRecoveries;
-        
-        // Total recoveries
-        const totalRecoveries = totalManualRecoveries + csvRecovery;
-        
-        // Get manual tax deductions
-        const manualTaxDeductions = billClaims
-            .filter(claim => claim.billType === 'Tax Deduction')
-            .reduce((sum, claim) => sum + claim.amount, 0) + 
-            taxDeductions.reduce((sum, deduction) => sum + deduction.amount, 0);
-        
-        // Get tax parameters
-        const taxParams = DataManager.getTaxParameters();
-        const standardDeduction = taxParams.standardDeduction || 75000;
-        const educationCessRate = taxParams.educationCess || 4;
-        
-        // Calculate taxable income
-        const taxableIncome = Math.max(0, annualSalary + additionalIncome - totalRecoveries - standardDeduction);
-        
-        // Calculate tax
-        const tax = calculateTax(taxableIncome);
-        const marginalRelief = calculateMarginalRelief(taxableIncome, tax);
-        const netTax = tax - marginalRelief;
-        const educationCess = Math.round(netTax * (educationCessRate / 100));
-        
-        // Total tax after deductions
-        const totalTax = Math.max(0, netTax + educationCess - manualTaxDeductions - csvFileTax);
-        
         // Create the certificate content
         createTaxCertificatePDF(
             regtNo,
             firstMonth,
             financialYear,
             orgDetails,
-            {
-                annualSalary,
-                additionalIncome,
-                csvRecovery,
-                manualRecoveriesAmount,
-                legacyRecoveries,
-                totalRecoveries,
-                standardDeduction,
-                taxableIncome,
-                tax,
-                marginalRelief,
-                netTax,
-                educationCess,
-                csvFileTax,
-                manualTaxDeductions,
-                totalTax
-            },
-            billClaims,
-            taxDeductions,
-            manualRecoveries
+            computation,
+            computation.records.billClaims,
+            computation.records.taxDeductions,
+            computation.records.manualRecoveries
         );
     } catch (error) {
         console.error('Error generating tax certificate:', error);
@@ -144,7 +69,7 @@ function generateTaxCertificate(regtNo, financialYear = null) {
  * @param {Object} employeeData - Employee data (from first month)
  * @param {string} financialYear - Financial year
  * @param {Object} orgDetails - Organization details
- * @param {Object} financialData - Financial calculations
+ * @param {Object} financialData - TaxEngine computation
  * @param {Array} claims - Bill claims
  * @param {Array} deductions - Manual tax deductions
  * @param {Array} manualRecoveries - Manual recoveries
@@ -159,66 +84,12 @@ function createTaxCertificatePDF(
     deductions,
     manualRecoveries = []
 ) {
-    // Create a container for the certificate preview
-    const previewContainer = document.createElement('div');
-    previewContainer.id = 'certificate-preview';
-    previewContainer.style.position = 'fixed';
-    previewContainer.style.top = '0';
-    previewContainer.style.left = '0';
-    previewContainer.style.width = '100%';
-    previewContainer.style.height = '100%';
-    previewContainer.style.backgroundColor = 'rgba(0,0,0,0.8)';
-    previewContainer.style.zIndex = '9999';
-    previewContainer.style.display = 'flex';
-    previewContainer.style.justifyContent = 'center';
-    previewContainer.style.alignItems = 'center';
-    previewContainer.style.padding = '20px';
-    
-    // Create the certificate container
-    const certificateContainer = document.createElement('div');
-    certificateContainer.style.backgroundColor = 'white';
-    certificateContainer.style.padding = '40px';
-    certificateContainer.style.borderRadius = '8px';
-    certificateContainer.style.maxWidth = '800px';
-    certificateContainer.style.maxHeight = '80vh';
-    certificateContainer.style.overflow = 'auto';
-    certificateContainer.style.position = 'relative';
-    certificateContainer.id = 'certificate-content';
-    
-    // Create close button
-    const closeButton = document.createElement('button');
-    closeButton.textContent = 'Close';
-    closeButton.className = 'btn btn-secondary';
-    closeButton.style.position = 'absolute';
-    closeButton.style.top = '10px';
-    closeButton.style.right = '10px';
-    closeButton.onclick = function() {
-        document.body.removeChild(previewContainer);
-    };
-    
-    // Create download button
-    const downloadButton = document.createElement('button');
-    downloadButton.textContent = 'Download PDF';
-    downloadButton.className = 'btn btn-primary';
-    downloadButton.style.position = 'absolute';
-    downloadButton.style.top = '10px';
-    downloadButton.style.right = '100px';
-    downloadButton.onclick = function() {
-        downloadPDF();
-    };
-    
-    // Add buttons to certificate container
-    certificateContainer.appendChild(closeButton);
-    certificateContainer.appendChild(downloadButton);
-    
     // Get tax period
     const [startYear, endYear] = financialYear.split('-');
     const taxPeriod = `April 1, ${startYear} to March 31, ${endYear}`;
     
     // Create certificate content
-    const certificateContent = document.createElement('div');
-    certificateContent.className = 'p-3'; // Add padding for better styling
-    certificateContent.innerHTML = `
+    const certificateHTML = `
         <div class="text-center mb-4">
             <h3 class="mb-1">${orgDetails.name || 'Border Security Force'}</h3>
             <h4 class="mb-3">${orgDetails.department || 'Accounts Department'}</h4>
@@ -247,6 +118,10 @@ function createTaxCertificatePDF(
                     <th>Tax Period</th>
                     <td>${taxPeriod}</td>
                 </tr>
+                <tr>
+                    <th>Tax Regime</th>
+                    <td colspan="3">${financialData.regimeLabel || 'New Regime'}</td>
+                </tr>
             </table>
         </div>
         
@@ -255,13 +130,52 @@ function createTaxCertificatePDF(
             <table class="table table-bordered">
                 <tr>
                     <th style="width: 70%">Annual Salary (Gross)</th>
-                    <td style="width: 30%">${formatCurrencyForPDF(financialData.annualSalary)}</td>
+                    <td style="width: 30%">${formatCurrencyForPDF(financialData.grossSalary)}</td>
+                </tr>
+                ${financialData.prorations.map(proration => `
+                <tr>
+                    <th class="ps-4">
+                        Includes ${proration.month} salary prorated for ${proration.daysServed} of ${proration.daysInMonth} days served (${proration.reason === 'joining' ? `service from ${financialData.serviceStartDate}` : proration.reason === 'retirement' ? `retirement on ${financialData.retirementDate}` : `service from ${financialData.serviceStartDate} to ${financialData.retirementDate}`})
+                        <div class="small fw-normal">${proration.items.map(item => `${item.label}: ${formatCurrencyForPDF(item.prorated)} of ${formatCurrencyForPDF(item.full)}`).join('; ')}</div>
+                    </th>
+                    <td>- ${formatCurrencyForPDF(proration.reduction)}</td>
+                </tr>`).join('')}
+                ${financialData.salaryExemptions.map(item => `
+                <tr>
+                    <th class="ps-4">Less: ${item.label} (exempt)</th>
+                    <td>${formatCurrencyForPDF(item.exempt)}</td>
+                </tr>`).join('')}
+                <tr>
+                    <th>Exempt Allowances</th>
+                    <td>${formatCurrencyForPDF(financialData.exemptSalary)}</td>
+                </tr>
+                <tr>
+                    <th>Taxable Salary</th>
+                    <td>${formatCurrencyForPDF(financialData.taxableSalary)}</td>
                 </tr>
                 ${financialData.additionalIncome > 0 ? `
                 <tr>
                     <th>Additional Taxable Income (Bill Claims)</th>
                     <td>${formatCurrencyForPDF(financialData.additionalIncome)}</td>
                 </tr>` : ''}
+                ${financialData.leaveEncashmentExemption.exempt > 0 ? `
+                <tr>
+                    <th>Less: Leave Encashment Exempt u/s ${financialData.leaveEncashmentExemption.section}</th>
+                    <td>${formatCurrencyForPDF(financialData.leaveEncashmentExemption.exempt)}</td>
+                </tr>
+                <tr>
+                    <td colspan="2" class="small">${financialData.leaveEncashmentExemption.reason}</td>
+                </tr>` : ''}
+                ${financialData.employerNPSContribution > 0 ? `
+                <tr>
+                    <th>Add: Employer's NPS Contribution</th>
+                    <td>${formatCurrencyForPDF(financialData.employerNPSContribution)}</td>
+                </tr>` : ''}
+                ${financialData.previousEmployment.taxableSalary > 0 ? `
+                <tr>
+                    <th>Add: Taxable Salary from Previous Employers (Form 12B)</th>
+                    <td>${formatCurrencyForPDF(financialData.previousEmployment.taxableSalary)}</td>
+                </tr>` : ''}
                 <tr>
                     <th>Standard Deduction</th>
                     <td>${formatCurrencyForPDF(financialData.standardDeduction)}</td>
@@ -271,6 +185,21 @@ function createTaxCertificatePDF(
                     <th>Total Recoveries</th>
                     <td>${formatCurrencyForPDF(financialData.totalRecoveries)}</td>
                 </tr>` : ''}
+                ${financialData.chapterVIADeduction > 0 ? `
+                <tr>
+                    <th>Deductions under Chapter VI-A</th>
+                    <td>${formatCurrencyForPDF(financialData.chapterVIADeduction)}</td>
+                </tr>` : ''}
+                ${financialData.employerNPSDeduction > 0 ? `
+                <tr>
+                    <th>Deduction u/s 80CCD(2) (Employer's NPS Contribution)</th>
+                    <td>${formatCurrencyForPDF(financialData.employerNPSDeduction)}</td>
+                </tr>` : ''}
+                ${financialData.professionalTax > 0 ? `
+                <tr>
+                    <th>Professional Tax u/s 16(iii)</th>
+                    <td>${formatCurrencyForPDF(financialData.professionalTax)}</td>
+                </tr>` : ''}
                 <tr>
                     <th>Net Taxable Income</th>
                     <td class="fw-bold">${formatCurrencyForPDF(financialData.taxableIncome)}</td>
@@ -278,6 +207,47 @@ function createTaxCertificatePDF(
             </table>
         </div>
         
+        ${financialData.previousEmployment.records.length > 0 ? `
+        <div class="mb-4">
+            <h5>Income from Previous Employers (Form 12B)</h5>
+            <table class="table table-bordered table-sm">
+                <thead>
+                    <tr>
+                        <th>Employer</th>
+                        <th>TAN</th>
+                        <th>Period</th>
+                        <th>Gross Salary</th>
+                        <th>Exempt u/s 10</th>
+                        <th>Professional Tax</th>
+                        <th>TDS</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${financialData.previousEmployment.records.map(record => `
+                    <tr>
+                        <td>${record.employerName}</td>
+                        <td>${record.tan || 'N/A'}</td>
+                        <td>${record.periodFrom ? new Date(record.periodFrom).toLocaleDateString() : 'N/A'} - ${record.periodTo ? new Date(record.periodTo).toLocaleDateString() : 'N/A'}</td>
+                        <td>${formatCurrencyForPDF(record.grossSalary)}</td>
+                        <td>${formatCurrencyForPDF(record.exemptions)}</td>
+                        <td>${formatCurrencyForPDF(record.professionalTax)}</td>
+                        <td>${formatCurrencyForPDF(record.tds)}</td>
+                    </tr>
+                    `).join('')}
+                </tbody>
+                <tfoot>
+                    <tr>
+                        <th colspan="3">Total (taxable salary ${formatCurrencyForPDF(financialData.previousEmployment.taxableSalary)})</th>
+                        <th>${formatCurrencyForPDF(financialData.previousEmployment.grossSalary)}</th>
+                        <th>${formatCurrencyForPDF(financialData.previousEmployment.exemptions)}</th>
+                        <th>${formatCurrencyForPDF(financialData.previousEmployment.professionalTax)}</th>
+                        <th>${formatCurrencyForPDF(financialData.previousEmployment.tds)}</th>
+                    </tr>
+                </tfoot>
+            </table>
+        </div>
+        ` : ''}
+        
         <div class="mb-4">
             <h5>Tax Calculation</h5>
             <table class="table table-bordered">
@@ -285,30 +255,84 @@ function createTaxCertificatePDF(
                     <th style="width: 70%">Income Tax (Before Relief)</th>
                     <td style="width: 30%">${formatCurrencyForPDF(financialData.tax)}</td>
                 </tr>
-                ${financialData.marginalRelief > 0 ? `
+                ${financialData.rebate87A > 0 ? `
                 <tr>
                     <th>Under Section 87A Rebate</th>
-                    <td>${formatCurrencyForPDF(financialData.marginalRelief)}</td>
+                    <td>${formatCurrencyForPDF(financialData.rebate87A)}</td>
+                </tr>` : ''}
+                ${financialData.marginalRelief87AB > 0 ? `
+                <tr>
+                    <th>Relief Under Section 87A(b)</th>
+                    <td>${formatCurrencyForPDF(financialData.marginalRelief87AB)}</td>
                 </tr>` : ''}
                 <tr>
                     <th>Income Tax (After Relief)</th>
                     <td>${formatCurrencyForPDF(financialData.netTax)}</td>
                 </tr>
+                ${financialData.surcharge > 0 ? `
+                <tr>
+                    <th>Surcharge (${financialData.surchargeRate}%)</th>
+                    <td>${formatCurrencyForPDF(financialData.surcharge)}</td>
+                </tr>` : ''}
+                ${financialData.surchargeMarginalRelief > 0 ? `
+                <tr>
+                    <th>Marginal Relief on Surcharge</th>
+                    <td>${formatCurrencyForPDF(financialData.surchargeMarginalRelief)}</td>
+                </tr>` : ''}
                 <tr>
-                    <th>Education & Health Cess (4%)</th>
+                    <th>Education & Health Cess (${financialData.educationCessRate}%)</th>
                     <td>${formatCurrencyForPDF(financialData.educationCess)}</td>
                 </tr>
-                ${(financialData.csvFileTax > 0 || financialData.manualTaxDeductions > 0) ? `
+                ${financialData.roundingAdjustment ? `
+                <tr>
+                    <th>Rounded off u/s 288B</th>
+                    <td>${formatCurrencyForPDF(financialData.roundingAdjustment)}</td>
+                </tr>` : ''}
+                ${financialData.section89Relief > 0 ? `
+                <tr>
+                    <th>Relief under Section 89 (Form 10E)</th>
+                    <td>${formatCurrencyForPDF(financialData.section89Relief)}</td>
+                </tr>` : ''}
+                ${financialData.taxAlreadyDeducted > 0 ? `
                 <tr>
                     <th>Tax Deductions Already Made</th>
-                    <td>${formatCurrencyForPDF(financialData.csvFileTax + financialData.manualTaxDeductions)}</td>
+                    <td>${formatCurrencyForPDF(financialData.taxAlreadyDeducted)}</td>
                 </tr>` : ''}
+                ${financialData.excessDeduction > 0 ? `
+                <tr>
+                    <th>Tax Deducted in Excess</th>
+                    <td class="fw-bold">${formatCurrencyForPDF(financialData.excessDeduction)}</td>
+                </tr>` : `
                 <tr>
                     <th>Total Tax Payable</th>
-                    <td class="fw-bold">${formatCurrencyForPDF(financialData.totalTax)}</td>
+                    <td class="fw-bold">${formatCurrencyForPDF(Math.max(0, financialData.totalTax))}</td>
+                </tr>`}
+            </table>
+        </div>
+        
+        ${financialData.hraExemption && financialData.hraExemption.exempt > 0 ? `
+        <div class="mb-4">
+            <h5>HRA Exemption u/s 10(13A)</h5>
+            <table class="table table-bordered table-sm">
+                <tr>
+                    <th style="width: 70%">Actual HRA Received</th>
+                    <td style="width: 30%">${formatCurrencyForPDF(financialData.hraExemption.hraReceived)}</td>
+                </tr>
+                <tr>
+                    <th>Rent Paid in excess of 10% of Salary</th>
+                    <td>${formatCurrencyForPDF(financialData.hraExemption.rentInExcess)}</td>
+                </tr>
+                <tr>
+                    <th>${financialData.hraExemption.metro ? '50% of Salary (Metro)' : '40% of Salary (Non-Metro)'}</th>
+                    <td>${formatCurrencyForPDF(financialData.hraExemption.salaryLimit)}</td>
+                </tr>
+                <tr>
+                    <th>Exempt HRA (least of the above, month by month)</th>
+                    <td class="fw-bold">${formatCurrencyForPDF(financialData.hraExemption.exempt)}</td>
                 </tr>
             </table>
         </div>
+        ` : ''}
         
         ${manualRecoveries.length > 0 ? `
         <div class="mb-4">
@@ -438,6 +462,83 @@ function createTaxCertificatePDF(
         </div>
     `;
     
+    showCertificatePreview(certificateHTML, `Tax_Certificate_${regtNo}_${financialYear}.pdf`);
+}
+
+/**
+ * Show a certificate in a preview overlay with Close, Print and Download PDF buttons
+ * Markup split into .form-page blocks prints one block per page and starts a new page in the PDF
+ * @param {string} contentHTML - Certificate markup
+ * @param {string} fileName - File name of the downloaded PDF
+ */
+function showCertificatePreview(contentHTML, fileName) {
+    // Create a container for the certificate preview
+    const previewContainer = document.createElement('div');
+    previewContainer.id = 'certificate-preview';
+    previewContainer.style.position = 'fixed';
+    previewContainer.style.top = '0';
+    previewContainer.style.left = '0';
+    previewContainer.style.width = '100%';
+    previewContainer.style.height = '100%';
+    previewContainer.style.backgroundColor = 'rgba(0,0,0,0.8)';
+    previewContainer.style.zIndex = '9999';
+    previewContainer.style.display = 'flex';
+    previewContainer.style.justifyContent = 'center';
+    previewContainer.style.alignItems = 'center';
+    previewContainer.style.padding = '20px';
+    
+    // Create the certificate container
+    const certificateContainer = document.createElement('div');
+    certificateContainer.style.backgroundColor = 'white';
+    certificateContainer.style.padding = '40px';
+    certificateContainer.style.borderRadius = '8px';
+    certificateContainer.style.maxWidth = '800px';
+    certificateContainer.style.maxHeight = '80vh';
+    certificateContainer.style.overflow = 'auto';
+    certificateContainer.style.position = 'relative';
+    certificateContainer.id = 'certificate-content';
+    
+    // Toolbar with the preview buttons, kept out of the PDF
+    const toolbar = document.createElement('div');
+    toolbar.style.position = 'absolute';
+    toolbar.style.top = '10px';
+    toolbar.style.right = '10px';
+    
+    // Create print button
+    const printButton = document.createElement('button');
+    printButton.textContent = 'Print';
+    printButton.className = 'btn btn-outline-primary me-2';
+    printButton.onclick = function() {
+        printCertificate(contentHTML, fileName.replace(/\.pdf$/, ''));
+    };
+    
+    // Create download button
+    const downloadButton = document.createElement('button');
+    downloadButton.textContent = 'Download PDF';
+    downloadButton.className = 'btn btn-primary me-2';
+    downloadButton.onclick = function() {
+        downloadPDF();
+    };
+    
+    // Create close button
+    const closeButton = document.createElement('button');
+    closeButton.textContent = 'Close';
+    closeButton.className = 'btn btn-secondary';
+    closeButton.onclick = function() {
+        document.body.removeChild(previewContainer);
+    };
+    
+    // Add buttons to certificate container
+    toolbar.appendChild(printButton);
+    toolbar.appendChild(downloadButton);
+    toolbar.appendChild(closeButton);
+    certificateContainer.appendChild(toolbar);
+    
+    // Create certificate content
+    const certificateContent = document.createElement('div');
+    certificateContent.className = 'p-3'; // Add padding for better styling
+    certificateContent.innerHTML = contentHTML;
+    
     // Add certificate content to container
     certificateContainer.appendChild(certificateContent);
     
@@ -450,13 +551,8 @@ function createTaxCertificatePDF(
     // Function to download PDF
     function downloadPDF() {
         // Check if required libraries are loaded
-        if (typeof html2canvas === 'undefined') {
-            alert('PDF generation library (html2canvas) not loaded. Please make sure you have internet connection to load the required libraries.');
-            return;
-        }
-        
-        if (typeof jsPDF === 'undefined') {
-            alert('PDF generation library (jsPDF) not loaded. Please make sure you have internet connection to load the required libraries.');
+        if (!CertificatePDF.isAvailable()) {
+            alert('PDF generation library (jsPDF with AutoTable) not loaded. Please make sure you have internet connection to load the required libraries.');
             return;
         }
         
@@ -472,78 +568,69 @@ function createTaxCertificatePDF(
         loadingMsg.style.padding = '20px';
         loadingMsg.style.zIndex = '10000';
         certificateContainer.appendChild(loadingMsg);
-        
-        try {
-            // Use html2canvas and jsPDF to generate PDF
-            setTimeout(() => {
-                const element = document.getElementById('certificate-content');
-                
-                // Remove buttons from the content before converting to PDF
-                const closeBtn = element.querySelector('button:first-child');
-                const downloadBtn = element.querySelector('button:nth-child(2)');
-                const tempCloseBtn = closeBtn.cloneNode(true);
-                const tempDownloadBtn = downloadBtn.cloneNode(true);
-                
-                element.removeChild(closeBtn);
-                element.removeChild(downloadBtn);
-                
-                html2canvas(element, {
-                    scale: 2,
-                    logging: false,
-                    useCORS: true,
-                    allowTaint: true
-                }).then(canvas => {
-                    try {
-                        const imgData = canvas.toDataURL('image/png');
-                        
-                        // Create PDF using jsPDF
-                        const { jsPDF } = window.jspdf;
-                        const pdf = new jsPDF('p', 'mm', 'a4');
-                        const imgWidth = 210; // A4 width in mm
-                        const imgHeight = canvas.height * imgWidth / canvas.width;
-                        
-                        pdf.addImage(imgData, 'PNG', 0, 0, imgWidth, imgHeight);
-                        pdf.save(`Tax_Certificate_${regtNo}_${financialYear}.pdf`);
-                        
-                        // Add back the buttons
-                        element.insertBefore(tempDownloadBtn, element.firstChild);
-                        element.insertBefore(tempCloseBtn, element.firstChild);
-                        
-                        // Remove loading message
-                        element.removeChild(loadingMsg);
-                    } catch (error) {
-                        console.error('Error creating PDF:', error);
-                        alert('Error creating PDF. Please try again.');
-                        
-                        // Add back the buttons
-                        element.insertBefore(tempDownloadBtn, element.firstChild);
-                        element.insertBefore(tempCloseBtn, element.firstChild);
-                        
-                        // Remove loading message
-                        element.removeChild(loadingMsg);
-                    }
-                }).catch(err => {
-                    console.error('Error generating canvas:', err);
-                    alert('Error generating certificate image. Please try again.');
-                    
-                    // Add back the buttons
-                    element.insertBefore(tempDownloadBtn, element.firstChild);
-                    element.insertBefore(tempCloseBtn, element.firstChild);
-                    
-                    // Remove loading message
-                    element.removeChild(loadingMsg);
-                });
-            }, 500);
-        } catch (error) {
-            console.error('Error in PDF generation:', error);
-            alert('Error in PDF generation. Please try again.');
-            
-            // Remove loading message
+        downloadButton.disabled = true;
+        
+        // Lay the certificate out as PDF text and tables rather than a screenshot
+        const orgDetails = DataManager.getOrganizationDetails() || {};
+        CertificatePDF.create(certificateContent, {
+            header: orgDetails.name || '',
+            title: fileName.replace(/\.pdf$/, '').replace(/_/g, ' '),
+            footer: 'Computer-generated document'
+        }).then(pdf => {
+            pdf.save(fileName);
+        }).catch(error => {
+            console.error('Error creating PDF:', error);
+            alert(`Error creating PDF: ${error.message}`);
+        }).finally(() => {
+            downloadButton.disabled = false;
             if (certificateContainer.contains(loadingMsg)) {
                 certificateContainer.removeChild(loadingMsg);
             }
-        }
+        });
+    }
+}
+
+/**
+ * Print certificate markup in its own window, one .form-page block per printed page
+ * @param {string} contentHTML - Certificate markup
+ * @param {string} title - Document title
+ */
+function printCertificate(contentHTML, title) {
+    const printWindow = window.open('', '_blank');
+    
+    if (!printWindow) {
+        alert('Please allow pop-ups for this site to print the certificate.');
+        return;
     }
+    
+    // Reuse the page's stylesheets so the certificate prints as previewed
+    const stylesheets = Array.from(document.querySelectorAll('link[rel="stylesheet"]'))
+        .map(link => `<link rel="stylesheet" href="${link.href}">`)
+        .join('');
+    
+    printWindow.document.write(`
+        <!DOCTYPE html>
+        <html lang="en" data-bs-theme="light">
+        <head>
+            <meta charset="UTF-8">
+            <title>${title}</title>
+            ${stylesheets}
+            <style>
+                body { background: white; color: black; padding: 20px; }
+                .form-page { page-break-after: always; }
+                .form-page:last-child { page-break-after: auto; }
+            </style>
+        </head>
+        <body>${contentHTML}</body>
+        </html>
+    `);
+    printWindow.document.close();
+    
+    // Print once the stylesheets have loaded
+    printWindow.onload = function() {
+        printWindow.focus();
+        printWindow.print();
+    };
 }
 
 /**
@@ -0,0 +1,947 @@
+/**
+ * Tax Engine - Single source of truth for employee income tax computation
+ * Every page and export renders the computation object produced here, so the
+ * home page, calculation sheet, CSV downloads and certificates always agree
+ */
+const TaxEngine = {
+    /**
+     * New regime slabs used when stored parameters carry no valid slabs
+     */
+    defaultTaxSlabs: [
+        { min: 0, max: 400000, rate: 0 },
+        { min: 400000, max: 800000, rate: 5 },
+        { min: 800000, max: 1200000, rate: 10 },
+        { min: 1200000, max: 1600000, rate: 15 },
+        { min: 1600000, max: 2000000, rate: 20 },
+        { min: 2000000, max: 2400000, rate: 25 },
+        { min: 2400000, max: null, rate: 30 }
+    ],
+
+    /**
+     * New regime surcharge slabs (by total income) used when stored parameters carry none
+     */
+    defaultSurchargeSlabs: [
+        { min: 5000000, max: 10000000, rate: 10 },
+        { min: 10000000, max: 20000000, rate: 15 },
+        { min: 20000000, max: null, rate: 25 }
+    ],
+
+    /**
+     * Old regime parameters used when stored parameters predate regime support
+     */
+    defaultOldRegime: {
+        standardDeduction: 50000,
+        taxSlabs: [
+            { min: 0, max: 250000, rate: 0 },
+            { min: 250000, max: 500000, rate: 5 },
+            { min: 500000, max: 1000000, rate: 20 },
+            { min: 1000000, max: null, rate: 30 }
+        ],
+        taxRebateLimit: 500000,
+        maxRebateAmount: 12500,
+        surchargeSlabs: [
+            { min: 5000000, max: 10000000, rate: 10 },
+            { min: 10000000, max: 20000000, rate: 15 },
+            { min: 20000000, max: 50000000, rate: 25 },
+            { min: 50000000, max: null, rate: 37 }
+        ]
+    },
+
+    /**
+     * Chapter VI-A sections available to old regime employees
+     * Limits come from taxParameters.chapterVIALimits (null means no cap)
+     */
+    chapterVIASections: [
+        { key: '80C', label: '80C / 80CCC / 80CCD(1) (GPF, PLI, LIC, PPF, ELSS)', defaultLimit: 150000 },
+        { key: '80CCD(1B)', label: '80CCD(1B) (Additional NPS)', defaultLimit: 50000 },
+        { key: '80D', label: '80D (Medical Insurance)', defaultLimit: 75000 },
+        { key: '80E', label: '80E (Education Loan Interest)', defaultLimit: null },
+        { key: '80G', label: '80G (Donations, qualifying amount)', defaultLimit: null },
+        { key: '80TTA', label: '80TTA (Savings Bank Interest)', defaultLimit: 10000 }
+    ],
+
+    /**
+     * Bill claim types that are salary arrears and may relate to earlier fiscal years (Section 89)
+     */
+    arrearBillTypes: ['Pay Arrear', 'HRA ARREAR', 'RHA ARREAR', 'Other Arrear'],
+
+    /**
+     * Display names for the tax regimes
+     */
+    regimeLabels: {
+        new: 'New Regime',
+        old: 'Old Regime'
+    },
+
+    /**
+     * Compute the full, itemised tax computation for one employee
+     * @param {Object} input - Computation input
+     * @param {string} input.regtNo - Regiment number
+     * @param {Array} input.salaryMonths - Salary month entries ({ month, details })
+     * @param {Array} input.billClaims - Bill claims for this employee
+     * @param {Array} input.manualRecoveries - Manual recoveries for this employee
+     * @param {Array} input.taxDeductions - Manual tax deductions for this employee
+     * @param {Array} input.previousEmployers - Previous employer records (Form 12B) for this employee
+     * @param {string|null} input.retirementDate - Retirement date, if set
+     * @param {string|null} input.serviceStartDate - Joining or transfer-in date, if set
+     * @param {Object} input.profile - Employee profile ({ regime, chapterVIA, section89, hra })
+     * @param {Object} input.params - Tax parameters for the fiscal year (defaults to the active fiscal year's)
+     * @param {string} input.employerCategory - 'central-government', 'state-government' or 'other' (defaults to the organization's)
+     * @returns {Object|null} Itemised computation, or null if there is no salary data
+     */
+    computeEmployee: function(input) {
+        const salaryMonths = input.salaryMonths || [];
+        if (salaryMonths.length === 0) return null;
+
+        const billClaims = input.billClaims || [];
+        const manualRecoveries = input.manualRecoveries || [];
+        const taxDeductions = input.taxDeductions || [];
+        const params = input.params || DataManager.getTaxParameters();
+        const profile = input.profile || {};
+        const regime = profile.regime === 'old' ? 'old' : 'new';
+        const firstMonth = salaryMonths[0].details;
+        const fiscalYear = params.fiscalYear || DataManager.getActiveFiscalYear();
+        const employerCategory = input.employerCategory ||
+            DataManager.getOrganizationDetails().employerCategory || 'central-government';
+
+        // Place the uploaded months on the fiscal year calendar and project the rest of the year,
+        // applying the configured increments and DA revisions and the employee's month overrides
+        const schedule = FiscalCalendar.buildSchedule(salaryMonths, fiscalYear, {
+            retirementDate: input.retirementDate || null,
+            serviceStartDate: input.serviceStartDate || null,
+            projectionRules: params.projectionRules,
+            monthOverrides: profile.monthOverrides
+        });
+        const months = schedule.actual.concat(schedule.projected);
+        const monthsCount = months.length;
+        const actualMonthsCount = schedule.actual.length;
+
+        // Salary figures from the (extended) monthly data; annualSalary is the gross salary
+        const annualSalary = this.sumDetails(months, 'total');
+        const csvRecovery = this.sumDetails(months, 'recovery');
+
+        // Only the uploaded months have actually had tax deducted from salary
+        const csvFileTax = this.sumDetails(months.slice(0, actualMonthsCount), 'tax');
+
+        // Additional taxable income from bill claims
+        const taxableClaims = billClaims.filter(claim =>
+            claim.billType !== 'Recovery' && claim.billType !== 'Tax Deduction' && claim.taxable);
+        const additionalIncome = this.sumAmounts(taxableClaims);
+
+        // Salary and TDS from previous employers in the same fiscal year (Form 12B)
+        const previousEmployment = this.summarisePreviousEmployment(input.previousEmployers || [], fiscalYear);
+
+        // Leave encashment on retirement is exempt under Section 10(10AA) in both regimes
+        const leaveEncashmentExemption = this.calculateLeaveEncashmentExemption(
+            taxableClaims, input.retirementDate || null, fiscalYear, params, employerCategory);
+
+        // Recoveries: dedicated manual recoveries plus legacy "Recovery" bill claims
+        const legacyRecoveryClaims = billClaims.filter(claim => claim.billType === 'Recovery');
+        const manualRecoveriesAmount = this.sumAmounts(manualRecoveries);
+        const legacyRecoveries = this.sumAmounts(legacyRecoveryClaims);
+        const totalManualRecoveries = manualRecoveriesAmount + legacyRecoveries;
+        const totalRecoveries = csvRecovery + totalManualRecoveries;
+
+        // Tax already deducted outside the salary file: dedicated storage plus legacy bill claims
+        const legacyTaxDeductionClaims = billClaims.filter(claim => claim.billType === 'Tax Deduction');
+        const manualTaxDeductions = this.sumAmounts(taxDeductions) + this.sumAmounts(legacyTaxDeductionClaims);
+
+        // Compute both regimes so they can be compared; the employee's choice drives the totals.
+        // Exempt pay components can differ by regime, so each regime has its own income before deductions.
+        const salaryContributions80C = this.sumDetails(months, 'gpf') + this.sumDetails(months, 'cpf') +
+            this.sumDetails(months, 'cgegis') + this.sumDetails(months, 'pli');
+        // Employer's NPS contribution is taxable salary, deductible under Section 80CCD(2) in both regimes
+        const employerNPS = this.calculateEmployerNPS(months, params, employerCategory);
+        // HRA exemption under Section 10(13A) is only available under the old regime
+        const hraExemption = this.calculateHRAExemption(months, profile.hra);
+        const hraStatutoryExemptions = hraExemption.rentPaid > 0
+            ? [{ component: 'hra', label: 'HRA u/s 10(13A)', amount: hraExemption.hraReceived, exempt: hraExemption.exempt }]
+            : [];
+
+        const regimes = {};
+        ['new', 'old'].forEach(regimeKey => {
+            const salary = this.calculateSalaryExemptions(months, params.payComponentRules, regimeKey,
+                regimeKey === 'old' ? hraStatutoryExemptions : []);
+            // Professional tax is deductible under Section 16(iii) only under the old regime
+            const professionalTax = regimeKey === 'old' ? previousEmployment.professionalTax : 0;
+            const regimeGrossIncome = salary.taxable + employerNPS.contribution + previousEmployment.taxableSalary +
+                additionalIncome - leaveEncashmentExemption.exempt - totalRecoveries - professionalTax;
+            regimes[regimeKey] = {
+                salary,
+                professionalTax,
+                ...this.computeRegimeTax(regimeKey, regimeGrossIncome, profile.chapterVIA, salaryContributions80C, params,
+                    employerNPS.deductions[regimeKey])
+            };
+        });
+        const selected = regimes[regime];
+
+        // Section 89(1) relief for arrears relating to earlier fiscal years
+        const section89 = this.computeSection89({
+            fiscalYear,
+            regime,
+            taxableIncome: selected.taxableIncome,
+            totalTaxLiability: selected.totalTaxLiability,
+            taxableClaims,
+            months,
+            section89: profile.section89,
+            params
+        });
+        const netTaxLiability = selected.totalTaxLiability - section89.relief;
+
+        // Balance after tax deducted to date, spread over the months remaining in the year
+        const tdsProjection = this.projectTDS({
+            months,
+            actualMonthsCount,
+            taxDeductions,
+            otherDeductions: this.sumAmounts(legacyTaxDeductionClaims) + previousEmployment.tds,
+            netTaxLiability,
+            installmentRounding: (params.rounding || {}).installment
+        });
+        const taxAlreadyDeducted = tdsProjection.deductedToDate;
+        // A negative balance is tax deducted in excess of the liability; it is reported, not hidden,
+        // and no further monthly deduction is planned
+        const totalTax = tdsProjection.balance;
+        const excessDeduction = Math.max(0, -tdsProjection.balance);
+        const monthlyDeduction = tdsProjection.monthlyDeduction;
+
+        return {
+            regtNo: input.regtNo,
+            name: firstMonth.name,
+            rank: firstMonth.rank,
+            pan: firstMonth.pan,
+            fiscalYear,
+            retirementDate: input.retirementDate || null,
+            serviceStartDate: input.serviceStartDate || null,
+            regime,
+            regimeLabel: this.regimeLabels[regime],
+            months,
+            monthsCount,
+            actualMonthsCount,
+            calendar: {
+                months: schedule.calendar.map(month => ({ label: month.label, status: month.status })),
+                missing: schedule.missing,
+                outside: schedule.outside.map(entry => entry.month),
+                unrecognised: schedule.unrecognised.map(entry => entry.month)
+            },
+            prorations: schedule.prorations,
+            remainingMonths: tdsProjection.remainingMonths,
+            annualSalary,
+            grossSalary: selected.salary.gross,
+            exemptSalary: selected.salary.exempt,
+            taxableSalary: selected.salary.taxable,
+            salaryExemptions: selected.salary.items,
+            hraExemption: regime === 'old' ? hraExemption : null,
+            additionalIncome,
+            employerNPS,
+            employerNPSContribution: employerNPS.contribution,
+            employerNPSDeduction: selected.employerNPSDeduction,
+            leaveEncashmentExemption,
+            previousEmployment,
+            professionalTax: selected.professionalTax,
+            csvRecovery,
+            manualRecoveriesAmount,
+            legacyRecoveries,
+            manualRecoveries: totalManualRecoveries,
+            totalRecoveries,
+            grossIncome: selected.grossIncome,
+            standardDeduction: selected.standardDeduction,
+            chapterVIA: selected.chapterVIA,
+            chapterVIADeduction: selected.chapterVIA.total,
+            taxableIncome: selected.taxableIncome,
+            tax: selected.tax,
+            rebate87A: selected.rebate87A,
+            marginalRelief87AB: selected.marginalRelief87AB,
+            netTax: selected.netTax,
+            surchargeRate: selected.surchargeRate,
+            surcharge: selected.surcharge,
+            surchargeMarginalRelief: selected.surchargeMarginalRelief,
+            taxWithSurcharge: selected.taxWithSurcharge,
+            educationCessRate: selected.educationCessRate,
+            educationCess: selected.educationCess,
+            roundingAdjustment: selected.roundingAdjustment,
+            totalTaxLiability: selected.totalTaxLiability,
+            section89,
+            section89Relief: section89.relief,
+            netTaxLiability,
+            manualTaxDeductions,
+            csvFileTax,
+            taxAlreadyDeducted,
+            totalTax,
+            excessDeduction,
+            monthlyDeduction,
+            tdsProjection,
+            regimeComparison: {
+                new: regimes.new,
+                old: regimes.old,
+                recommended: regimes.old.totalTaxLiability < regimes.new.totalTaxLiability ? 'old' : 'new',
+                savings: Math.abs(regimes.new.totalTaxLiability - regimes.old.totalTaxLiability)
+            },
+            records: {
+                billClaims,
+                taxableClaims,
+                legacyRecoveryClaims,
+                legacyTaxDeductionClaims,
+                manualRecoveries,
+                taxDeductions,
+                previousEmployers: previousEmployment.records
+            }
+        };
+    },
+
+    /**
+     * Compute the tax on an income under one regime
+     * @param {string} regime - 'new' or 'old'
+     * @param {number} grossIncome - Income after recoveries, before standard deduction
+     * @param {Object} declarations - Chapter VI-A declarations by section (old regime only)
+     * @param {number} salaryContributions80C - GPF, CPF, CGEGIS and PLI deducted from salary
+     * @param {Object} params - Tax parameters
+     * @param {number} employerNPSDeduction - Section 80CCD(2) deduction for the employer's NPS contribution
+     * @returns {Object} Regime computation (deductions, taxable income, tax, rebate, relief, surcharge, cess)
+     */
+    computeRegimeTax: function(regime, grossIncome, declarations, salaryContributions80C, params, employerNPSDeduction = 0) {
+        const regimeParams = this.getRegimeParameters(params, regime);
+
+        // Chapter VI-A deductions are only available under the old regime
+        const standardDeduction = regimeParams.standardDeduction;
+        const chapterVIA = regime === 'old'
+            ? this.calculateChapterVIA(declarations, salaryContributions80C, params.chapterVIALimits)
+            : { items: [], total: 0 };
+
+        // Section 80CCD(2) is the one Chapter VI-A deduction allowed under the new regime, so it is kept apart
+        const taxableIncome = Math.max(0, grossIncome - standardDeduction - chapterVIA.total - employerNPSDeduction);
+
+        return {
+            regime,
+            regimeLabel: this.regimeLabels[regime],
+            grossIncome,
+            standardDeduction,
+            chapterVIA,
+            employerNPSDeduction,
+            ...this.computeTaxOnIncome(regime, taxableIncome, params)
+        };
+    },
+
+    /**
+     * Split the salary into gross, exempt and taxable parts using the pay component rules
+     * @param {Array} months - Salary months
+     * @param {Object} rules - Rules by pay component ({ treatment: 'taxable'|'exempt'|'capped', cap, capPeriod: 'monthly'|'annual', appliesTo: 'both'|'old' })
+     * @param {string} regime - 'new' or 'old'
+     * @param {Array} statutoryExemptions - Exemptions worked out under a section of the Act; they replace the rule of their component
+     * @returns {Object} { gross, exempt, taxable, items } where items lists each exempt component
+     */
+    calculateSalaryExemptions: function(months, rules, regime, statutoryExemptions = []) {
+        const gross = this.sumDetails(months, 'total');
+        const items = [];
+
+        DataManager.payComponents.forEach(component => {
+            if (statutoryExemptions.some(item => item.component === component.key)) return;
+
+            const rule = (rules || {})[component.key] || {};
+            if (rule.treatment !== 'exempt' && rule.treatment !== 'capped') return;
+            if (rule.appliesTo === 'old' && regime !== 'old') return;
+
+            const amount = this.sumDetails(months, component.key);
+            let exempt = Math.max(0, amount);
+
+            // Capped components are exempt up to the cap per month or per year
+            if (rule.treatment === 'capped') {
+                const cap = parseFloat(rule.cap) || 0;
+                exempt = rule.capPeriod === 'annual'
+                    ? Math.min(exempt, cap)
+                    : months.reduce((sum, month) =>
+                        sum + Math.min(Math.max(0, parseFloat(month.details[component.key]) || 0), cap), 0);
+            }
+
+            if (exempt > 0) {
+                items.push({ component: component.key, label: component.label, amount, exempt });
+            }
+        });
+
+        statutoryExemptions.filter(item => item.exempt > 0).forEach(item => items.push(item));
+
+        // Exemptions can never exceed the gross salary
+        const exempt = Math.min(gross, items.reduce((sum, item) => sum + item.exempt, 0));
+
+        return { gross, exempt, taxable: gross - exempt, items };
+    },
+
+    /**
+     * Project TDS for the rest of the fiscal year: tax deducted to date (salary tax column of the
+     * uploaded months plus manual deductions) is set against the liability and the balance is
+     * spread evenly over the months still to be paid
+     * @param {Object} input - Projection input
+     * @param {Array} input.months - Salary months, uploaded months first and projected months after
+     * @param {number} input.actualMonthsCount - Number of uploaded (already paid) months
+     * @param {Array} input.taxDeductions - Manual tax deductions ({ month, amount })
+     * @param {number} input.otherDeductions - Tax deducted outside the monthly schedule (legacy claims, previous employers)
+     * @param {number} input.netTaxLiability - Tax liability for the year after all relief
+     * @param {number} input.installmentRounding - Multiple installments are rounded down to; the remainder goes to the final month
+     * @returns {Object} { schedule, deductedToDate, balance, remainingMonths, monthlyDeduction, finalInstallment, unscheduledBalance, otherDeductions }
+     */
+    projectTDS: function(input) {
+        const monthKey = label => {
+            const parsed = FiscalCalendar.parseMonth(label);
+            return parsed ? parsed.month : FiscalCalendar.parseMonthName(label);
+        };
+        const scheduleKeys = input.months.map(entry => monthKey(entry.month));
+
+        // Manual deductions are recorded by month name; any that match no schedule month stay unscheduled
+        const manualByMonth = {};
+        let unmatchedManual = 0;
+        input.taxDeductions.forEach(deduction => {
+            const key = monthKey(deduction.month);
+            const amount = parseFloat(deduction.amount) || 0;
+            if (scheduleKeys.includes(key)) {
+                manualByMonth[key] = (manualByMonth[key] || 0) + amount;
+            } else {
+                unmatchedManual += amount;
+            }
+        });
+
+        const schedule = input.months.map((entry, index) => {
+            const isActual = index < input.actualMonthsCount;
+            const salaryTDS = isActual ? parseFloat(entry.details.tax) || 0 : 0;
+            const manualTDS = manualByMonth[scheduleKeys[index]] || 0;
+
+            // A month name appears once in a fiscal year, so its manual deductions are counted once
+            manualByMonth[scheduleKeys[index]] = 0;
+
+            return {
+                month: entry.month,
+                status: isActual ? 'actual' : 'projected',
+                salaryTDS,
+                manualTDS,
+                actual: salaryTDS + manualTDS,
+                planned: 0
+            };
+        });
+
+        const otherDeductions = unmatchedManual + (input.otherDeductions || 0);
+        const deductedToDate = schedule.reduce((sum, month) => sum + month.actual, 0) + otherDeductions;
+        const balance = input.netTaxLiability - deductedToDate;
+        const remainingMonths = schedule.filter(month => month.status === 'projected').length;
+        // Equal installments rounded down, so the schedule sums exactly to the balance
+        const step = parseFloat(input.installmentRounding) > 0 ? parseFloat(input.installmentRounding) : 1;
+        const monthlyDeduction = remainingMonths > 0
+            ? Math.floor(Math.max(0, balance) / remainingMonths / step) * step
+            : 0;
+        const finalInstallment = remainingMonths > 0
+            ? Math.max(0, balance) - monthlyDeduction * (remainingMonths - 1)
+            : 0;
+
+        const projectedMonths = schedule.filter(month => month.status === 'projected');
+        projectedMonths.forEach((month, index) => {
+            month.planned = index === projectedMonths.length - 1 ? finalInstallment : monthlyDeduction;
+        });
+
+        return {
+            schedule,
+            deductedToDate,
+            balance,
+            remainingMonths,
+            monthlyDeduction,
+            finalInstallment,
+            unscheduledBalance: remainingMonths === 0 ? Math.max(0, balance) : 0,
+            otherDeductions
+        };
+    },
+
+    /**
+     * Total the previous employer records (Form 12B) that belong to a fiscal year
+     * @param {Array} records - Previous employer records for one employee
+     * @param {string} fiscalYear - Fiscal year being computed
+     * @returns {Object} { records, grossSalary, exemptions, taxableSalary, professionalTax, tds }
+     */
+    summarisePreviousEmployment: function(records, fiscalYear) {
+        const yearRecords = records.filter(record => record.fiscalYear === fiscalYear);
+        const total = field => yearRecords.reduce((sum, record) => sum + (parseFloat(record[field]) || 0), 0);
+        const grossSalary = total('grossSalary');
+        const exemptions = Math.min(grossSalary, total('exemptions'));
+
+        return {
+            records: yearRecords,
+            grossSalary,
+            exemptions,
+            taxableSalary: grossSalary - exemptions,
+            professionalTax: total('professionalTax'),
+            tds: total('tds')
+        };
+    },
+
+    /**
+     * Work out the Section 10(10AA) exemption on leave encashment bill claims.
+     * Encashment counts as paid on superannuation when the employee retires on or before the end of the fiscal year;
+     * it is then fully exempt for government servants and exempt up to the configured limit for other employers.
+     * @param {Array} taxableClaims - Taxable bill claims
+     * @param {string|null} retirementDate - Retirement date, if set
+     * @param {string} fiscalYear - Fiscal year being computed
+     * @param {Object} params - Tax parameters for the fiscal year
+     * @param {string} employerCategory - 'central-government', 'state-government' or 'other'
+     * @returns {Object} { amount, exempt, taxable, section, reason } with the reason recorded for audit
+     */
+    calculateLeaveEncashmentExemption: function(taxableClaims, retirementDate, fiscalYear, params, employerCategory) {
+        const amount = this.sumAmounts(taxableClaims.filter(claim => claim.billType === 'LEAVE ENCASH'));
+        const notExempt = reason => ({ amount, exempt: 0, taxable: amount, section: null, reason });
+
+        if (amount === 0) {
+            return notExempt('');
+        }
+
+        const retireDate = retirementDate ? parseDate(retirementDate) : null;
+        if (!retireDate || isNaN(retireDate.getTime())) {
+            return notExempt('No retirement date on record; leave encashment during service is taxable.');
+        }
+
+        const fiscalYearEnd = new Date(parseInt(fiscalYear) + 1, 2, 31);
+        if (retireDate > fiscalYearEnd) {
+            return notExempt(`Retirement on ${formatDate(retireDate)} falls after FY ${fiscalYear}; leave encashment during service is taxable.`);
+        }
+
+        if (employerCategory === 'central-government' || employerCategory === 'state-government') {
+            return {
+                amount,
+                exempt: amount,
+                taxable: 0,
+                section: '10(10AA)(i)',
+                reason: `Leave encashment on superannuation (retired ${formatDate(retireDate)}); fully exempt for a government servant under section 10(10AA)(i).`
+            };
+        }
+
+        const limit = params.leaveEncashmentExemptionLimit ?? 2500000;
+        const exempt = Math.min(amount, limit);
+        return {
+            amount,
+            exempt,
+            taxable: amount - exempt,
+            section: '10(10AA)(ii)',
+            reason: `Leave encashment on superannuation (retired ${formatDate(retireDate)}); exempt up to the limit of ${formatCurrency(limit)} under section 10(10AA)(ii).`
+        };
+    },
+
+    /**
+     * Work out the employer's NPS contribution and its Section 80CCD(2) deduction under each regime.
+     * The employer contributes a percentage of basic pay plus DA in the months the employee subscribes to
+     * NPS (months with a CPF/NPS deduction). The deduction is limited to a percentage of the same salary:
+     * the government limit for government employers, otherwise the regime's limit.
+     * @param {Array} months - Salary months
+     * @param {Object} params - Tax parameters for the fiscal year
+     * @param {string} employerCategory - 'central-government', 'state-government' or 'other'
+     * @returns {Object} { contributionRate, salary, contribution, limits: { new, old }, deductions: { new, old } }
+     */
+    calculateEmployerNPS: function(months, params, employerCategory) {
+        const employerNPS = params.employerNPS || {};
+        const contributionRate = parseFloat(employerNPS.contributionRate) || 0;
+        const deductionLimits = employerNPS.deductionLimits || {};
+        const government = employerCategory === 'central-government' || employerCategory === 'state-government';
+
+        const subscribedMonths = months.filter(entry => (parseFloat(entry.details.cpf) || 0) > 0);
+        const monthSalary = entry => (parseFloat(entry.details.basicPay) || 0) + (parseFloat(entry.details.da) || 0);
+        const salary = subscribedMonths.reduce((sum, entry) => sum + monthSalary(entry), 0);
+        const contribution = subscribedMonths.reduce((sum, entry) =>
+            sum + Math.round(monthSalary(entry) * contributionRate / 100), 0);
+
+        const limits = {};
+        const deductions = {};
+        ['new', 'old'].forEach(regime => {
+            const limitRate = parseFloat(government ? deductionLimits.government : deductionLimits[regime]) || 0;
+            limits[regime] = Math.round(salary * limitRate / 100);
+            deductions[regime] = Math.min(contribution, limits[regime]);
+        });
+
+        return { contributionRate, salary, contribution, limits, deductions };
+    },
+
+    /**
+     * Compute the HRA exemption under Section 10(13A) month by month as the least of:
+     * HRA received, rent paid in excess of 10% of salary, and 50% (metro) or 40% of salary.
+     * Salary for this purpose is basic pay plus DA.
+     * @param {Array} months - Salary months
+     * @param {Object} declaration - Rent declaration ({ metro, rentPaid: { [month]: amount } })
+     * @returns {Object} { metro, items, hraReceived, rentPaid, exempt }
+     */
+    calculateHRAExemption: function(months, declaration) {
+        const rentPaid = (declaration && declaration.rentPaid) || {};
+        const metro = !!(declaration && declaration.metro);
+        const salaryShare = metro ? 0.5 : 0.4;
+
+        const items = months.map(entry => {
+            const details = entry.details;
+            const hraReceived = parseFloat(details.hra) || 0;
+            const salary = (parseFloat(details.basicPay) || 0) + (parseFloat(details.da) || 0);
+            const rent = parseFloat(rentPaid[entry.month]) || 0;
+            const rentInExcess = Math.max(0, rent - salary * 0.1);
+            const salaryLimit = salary * salaryShare;
+
+            return {
+                month: entry.month,
+                hraReceived,
+                salary,
+                rentPaid: rent,
+                rentInExcess,
+                salaryLimit,
+                exempt: rent > 0 ? Math.max(0, Math.min(hraReceived, rentInExcess, salaryLimit)) : 0
+            };
+        });
+        const total = field => items.reduce((sum, item) => sum + item[field], 0);
+
+        return {
+            metro,
+            items,
+            hraReceived: total('hraReceived'),
+            rentPaid: total('rentPaid'),
+            rentInExcess: total('rentInExcess'),
+            salaryLimit: total('salaryLimit'),
+            exempt: Math.round(total('exempt'))
+        };
+    },
+
+    /**
+     * Compute the tax payable on a taxable income under one regime
+     * Total income is rounded under section 288A and the tax liability under section 288B
+     * using the rounding policy in the tax parameters
+     * @param {string} regime - 'new' or 'old'
+     * @param {number} income - Income after all deductions
+     * @param {Object} params - Tax parameters for the fiscal year
+     * @returns {Object} Tax, rebate, relief, surcharge, cess, rounding adjustment and total tax liability
+     */
+    computeTaxOnIncome: function(regime, income, params) {
+        const regimeParams = this.getRegimeParameters(params, regime);
+        const educationCessRate = params.educationCess ?? 4;
+        const rounding = params.rounding || {};
+        const taxableIncome = this.roundTo(income, rounding.totalIncome);
+
+        // Slab tax, Section 87A rebate and (new regime only) 87A(b) marginal relief
+        const tax = this.calculateSlabTax(taxableIncome, regimeParams.taxSlabs);
+        const rebate87A = calculateSection87ARebate(taxableIncome, tax,
+            regimeParams.taxRebateLimit, regimeParams.maxRebateAmount);
+        const marginalRelief87AB = regime === 'new'
+            ? calculateMarginalRelief87AB(taxableIncome, tax - rebate87A, regimeParams.taxRebateLimit)
+            : 0;
+        const netTax = Math.max(0, tax - rebate87A - marginalRelief87AB);
+
+        // Surcharge with marginal relief; cess is levied on tax plus surcharge
+        const surcharge = this.calculateSurcharge(taxableIncome, netTax, regimeParams);
+        const taxWithSurcharge = netTax + surcharge.amount - surcharge.marginalRelief;
+        const educationCess = Math.round(taxWithSurcharge * (educationCessRate / 100));
+        const totalTaxLiability = this.roundTo(taxWithSurcharge + educationCess, rounding.tax);
+
+        return {
+            taxableIncome,
+            tax,
+            rebate87A,
+            marginalRelief87AB,
+            netTax,
+            surchargeRate: surcharge.rate,
+            surcharge: surcharge.amount,
+            surchargeMarginalRelief: surcharge.marginalRelief,
+            taxWithSurcharge,
+            educationCessRate,
+            educationCess,
+            roundingAdjustment: totalTaxLiability - (taxWithSurcharge + educationCess),
+            totalTaxLiability
+        };
+    },
+
+    /**
+     * Compute Section 89(1) relief (Form 10E, Annexure I) for arrears relating to earlier fiscal years
+     * Each earlier year is taxed with its own stored parameter set
+     * @param {Object} input - Section 89 input
+     * @param {string} input.fiscalYear - Fiscal year being computed
+     * @param {string} input.regime - Regime of the fiscal year being computed
+     * @param {number} input.taxableIncome - Taxable income of the year, including arrears
+     * @param {number} input.totalTaxLiability - Tax (with surcharge and cess) on that income
+     * @param {Array} input.taxableClaims - Taxable bill claims (arrears carry arrearFiscalYear)
+     * @param {Array} input.months - Salary months (daArrear is attributed as a whole)
+     * @param {Object} input.section89 - Profile data ({ priorYearIncome, priorYearRegime, daArrearFiscalYear })
+     * @param {Object} input.params - Tax parameters of the fiscal year being computed
+     * @returns {Object} Table A (current year), Table B (earlier years) and the relief
+     */
+    computeSection89: function(input) {
+        const profileData = input.section89 || {};
+        const priorYearIncome = profileData.priorYearIncome || {};
+        const priorYearRegime = profileData.priorYearRegime || {};
+        const isEarlierYear = year => year && parseInt(year) < parseInt(input.fiscalYear);
+
+        // Group arrears by the fiscal year they relate to
+        const arrearsByYear = {};
+        const addArrear = (year, amount, source) => {
+            if (!isEarlierYear(year) || amount <= 0) return;
+            if (!arrearsByYear[year]) arrearsByYear[year] = { amount: 0, sources: [] };
+            arrearsByYear[year].amount += amount;
+            arrearsByYear[year].sources.push({ source, amount });
+        };
+
+        input.taxableClaims
+            .filter(claim => this.arrearBillTypes.includes(claim.billType))
+            .forEach(claim => addArrear(claim.arrearFiscalYear, parseFloat(claim.amount) || 0, claim.billType));
+        addArrear(profileData.daArrearFiscalYear, this.sumDetails(input.months, 'daArrear'), 'DA Arrear');
+
+        const arrears = Object.values(arrearsByYear).reduce((sum, year) => sum + year.amount, 0);
+        if (arrears === 0) {
+            return { applicable: false, arrears: 0, currentYear: null, years: [], priorYearsDifference: 0, complete: true, relief: 0 };
+        }
+
+        // Table A: the current year with and without the arrears
+        const incomeWithoutArrears = Math.max(0, input.taxableIncome - arrears);
+        const taxWithoutArrears = this.computeTaxOnIncome(input.regime, incomeWithoutArrears, input.params).totalTaxLiability;
+        const currentYear = {
+            fiscalYear: input.fiscalYear,
+            incomeWithoutArrears,
+            incomeWithArrears: input.taxableIncome,
+            taxWithoutArrears,
+            taxWithArrears: input.totalTaxLiability,
+            difference: input.totalTaxLiability - taxWithoutArrears
+        };
+
+        // Table B: each earlier year with and without the arrears relating to it
+        const years = Object.keys(arrearsByYear).sort().map(year => {
+            const yearParams = DataManager.getTaxParameters(year);
+            const yearRegime = priorYearRegime[year] === 'old' || (!priorYearRegime[year] && input.regime === 'old') ? 'old' : 'new';
+            const hasIncome = priorYearIncome[year] !== undefined && priorYearIncome[year] !== null && priorYearIncome[year] !== '';
+            const totalIncome = hasIncome ? parseFloat(priorYearIncome[year]) || 0 : 0;
+            const arrearAmount = arrearsByYear[year].amount;
+            const taxWithout = this.computeTaxOnIncome(yearRegime, totalIncome, yearParams).totalTaxLiability;
+            const taxWith = this.computeTaxOnIncome(yearRegime, totalIncome + arrearAmount, yearParams).totalTaxLiability;
+
+            return {
+                fiscalYear: year,
+                regime: yearRegime,
+                hasIncome,
+                totalIncome,
+                arrears: arrearAmount,
+                sources: arrearsByYear[year].sources,
+                incomeWithArrears: totalIncome + arrearAmount,
+                taxWithoutArrears: taxWithout,
+                taxWithArrears: taxWith,
+                difference: taxWith - taxWithout
+            };
+        });
+
+        // Relief can only be worked out once every earlier year's income is known
+        const complete = years.every(year => year.hasIncome);
+        const priorYearsDifference = years.reduce((sum, year) => sum + year.difference, 0);
+        const relief = complete ? Math.max(0, currentYear.difference - priorYearsDifference) : 0;
+
+        return { applicable: true, arrears, currentYear, years, priorYearsDifference, complete, relief };
+    },
+
+    /**
+     * Calculate surcharge on income tax, with marginal relief at each surcharge threshold
+     * Marginal relief caps tax plus surcharge at the tax plus surcharge payable on the
+     * threshold income plus the income above that threshold
+     * @param {number} income - Taxable income
+     * @param {number} netTax - Income tax after rebate and relief
+     * @param {Object} regimeParams - Regime parameters (taxSlabs, surchargeSlabs)
+     * @returns {Object} { rate, amount, marginalRelief }
+     */
+    calculateSurcharge: function(income, netTax, regimeParams) {
+        const slab = this.findSurchargeSlab(income, regimeParams.surchargeSlabs);
+        if (!slab || netTax <= 0) {
+            return { rate: 0, amount: 0, marginalRelief: 0 };
+        }
+
+        const amount = Math.round(netTax * (slab.rate / 100));
+
+        // Tax and surcharge payable on an income exactly at the threshold (at the lower surcharge rate)
+        const thresholdTax = this.calculateSlabTax(slab.min, regimeParams.taxSlabs);
+        const thresholdSlab = this.findSurchargeSlab(slab.min, regimeParams.surchargeSlabs);
+        const thresholdSurcharge = thresholdSlab ? Math.round(thresholdTax * (thresholdSlab.rate / 100)) : 0;
+
+        const maxPayable = thresholdTax + thresholdSurcharge + (income - slab.min);
+        const marginalRelief = Math.min(amount, Math.max(0, netTax + amount - maxPayable));
+
+        return { rate: slab.rate, amount, marginalRelief };
+    },
+
+    /**
+     * Find the surcharge slab that applies to an income (surcharge applies to income exceeding min)
+     * @param {number} income - Taxable income
+     * @param {Array} surchargeSlabs - Surcharge slabs with rates in percent ({ min, max, rate })
+     * @returns {Object|null} Applicable slab, or null if no surcharge applies
+     */
+    findSurchargeSlab: function(income, surchargeSlabs) {
+        return (surchargeSlabs || []).find(slab =>
+            income > slab.min && (slab.max === null || slab.max === undefined || income <= slab.max)) || null;
+    },
+
+    /**
+     * Resolve slabs, standard deduction, rebate limits and surcharge slabs for a regime
+     * New regime values live at the top level of taxParameters, old regime values under oldRegime
+     * @param {Object} params - Tax parameters
+     * @param {string} regime - 'new' or 'old'
+     * @returns {Object} Regime parameters
+     */
+    getRegimeParameters: function(params, regime) {
+        if (regime === 'old') {
+            const oldRegime = params.oldRegime || {};
+            return {
+                standardDeduction: oldRegime.standardDeduction ?? this.defaultOldRegime.standardDeduction,
+                taxSlabs: this.validSlabs(oldRegime.taxSlabs) || this.defaultOldRegime.taxSlabs,
+                taxRebateLimit: oldRegime.taxRebateLimit || this.defaultOldRegime.taxRebateLimit,
+                maxRebateAmount: oldRegime.maxRebateAmount || this.defaultOldRegime.maxRebateAmount,
+                surchargeSlabs: Array.isArray(oldRegime.surchargeSlabs)
+                    ? oldRegime.surchargeSlabs
+                    : this.defaultOldRegime.surchargeSlabs
+            };
+        }
+
+        return {
+            standardDeduction: params.standardDeduction ?? 75000,
+            taxSlabs: this.validSlabs(params.taxSlabs) || this.defaultTaxSlabs,
+            taxRebateLimit: params.taxRebateLimit || 1200000,
+            maxRebateAmount: params.maxRebateAmount || 60000,
+            surchargeSlabs: Array.isArray(params.surchargeSlabs) ? params.surchargeSlabs : this.defaultSurchargeSlabs
+        };
+    },
+
+    /**
+     * Apply Chapter VI-A limits to an employee's declarations
+     * Salary contributions (GPF, CPF, CGEGIS, PLI) count towards 80C automatically
+     * @param {Object} declarations - Declared amounts by section key
+     * @param {number} salaryContributions80C - 80C-eligible contributions deducted from salary
+     * @param {Object} limits - Limits by section key (null means no cap)
+     * @returns {Object} { items: [{ section, label, declared, fromSalary, limit, allowed }], total }
+     */
+    calculateChapterVIA: function(declarations, salaryContributions80C, limits) {
+        declarations = declarations || {};
+        limits = limits || {};
+
+        const items = this.chapterVIASections.map(section => {
+            const declared = Math.max(0, parseFloat(declarations[section.key]) || 0);
+            const fromSalary = section.key === '80C' ? salaryContributions80C : 0;
+            const limit = limits.hasOwnProperty(section.key) ? limits[section.key] : section.defaultLimit;
+            const claimed = declared + fromSalary;
+            const allowed = limit === null || limit === undefined ? claimed : Math.min(claimed, limit);
+
+            return { section: section.key, label: section.label, declared, fromSalary, limit, allowed };
+        });
+
+        return {
+            items,
+            total: items.reduce((sum, item) => sum + item.allowed, 0)
+        };
+    },
+
+    /**
+     * Compute tax for an employee using the data held by DataManager
+     * @param {string} regtNo - Regiment number
+     * @param {Object} overrides - Optional input overrides (salaryMonths, retirementDate, serviceStartDate, profile, fiscalYear, params)
+     * @returns {Object|null} Itemised computation, or null if there is no salary data
+     */
+    computeForEmployee: function(regtNo, overrides = {}) {
+        return this.computeEmployee({
+            regtNo,
+            salaryMonths: overrides.salaryMonths || DataManager.loadSalaryData()[regtNo],
+            billClaims: DataManager.loadBillClaims().filter(claim => claim.regtNo === regtNo),
+            manualRecoveries: DataManager.loadManualRecoveries().filter(recovery => recovery.regtNo === regtNo),
+            taxDeductions: DataManager.loadTaxDeductions().filter(deduction => deduction.regtNo === regtNo),
+            previousEmployers: DataManager.loadPreviousEmployers().filter(record => record.regtNo === regtNo),
+            retirementDate: overrides.hasOwnProperty('retirementDate')
+                ? overrides.retirementDate
+                : DataManager.getRetirementDate(regtNo),
+            serviceStartDate: overrides.hasOwnProperty('serviceStartDate')
+                ? overrides.serviceStartDate
+                : DataManager.getServiceStartDate(regtNo),
+            profile: overrides.profile || DataManager.getEmployeeProfile(regtNo),
+            params: overrides.params || DataManager.getTaxParameters(overrides.fiscalYear)
+        });
+    },
+
+    /**
+     * Compute tax for every employee held by DataManager
+     * @param {string} fiscalYear - Fiscal year whose parameters apply (defaults to the active fiscal year)
+     * @returns {Object} Computations by regiment number
+     */
+    computeAll: function(fiscalYear = null) {
+        const salaryData = DataManager.loadSalaryData();
+        const billClaims = DataManager.loadBillClaims();
+        const manualRecoveries = DataManager.loadManualRecoveries();
+        const taxDeductions = DataManager.loadTaxDeductions();
+        const previousEmployers = DataManager.loadPreviousEmployers();
+        const retirementDates = DataManager.getAllRetirementDates();
+        const serviceStartDates = DataManager.getAllServiceStartDates();
+        const params = DataManager.getTaxParameters(fiscalYear);
+        const profiles = DataManager.loadEmployeeProfiles();
+
+        const computations = {};
+        for (const regtNo in salaryData) {
+            const computation = this.computeEmployee({
+                regtNo,
+                salaryMonths: salaryData[regtNo],
+                billClaims: billClaims.filter(claim => claim.regtNo === regtNo),
+                manualRecoveries: manualRecoveries.filter(recovery => recovery.regtNo === regtNo),
+                taxDeductions: taxDeductions.filter(deduction => deduction.regtNo === regtNo),
+                previousEmployers: previousEmployers.filter(record => record.regtNo === regtNo),
+                retirementDate: retirementDates[regtNo] || null,
+                serviceStartDate: serviceStartDates[regtNo] || null,
+                profile: profiles[regtNo],
+                params
+            });
+
+            if (computation) {
+                computations[regtNo] = computation;
+            }
+        }
+
+        return computations;
+    },
+
+    /**
+     * Calculate slab tax (before rebate and relief) for a taxable income
+     * @param {number} income - Taxable income
+     * @param {Array} slabs - Tax slabs with rates in percent ({ min, max, rate })
+     * @returns {number} Slab tax rounded to the nearest rupee
+     */
+    calculateSlabTax: function(income, slabs) {
+        if (income <= 0 || !Array.isArray(slabs)) return 0;
+
+        let tax = 0;
+        for (const slab of slabs) {
+            if (income > slab.min) {
+                const upper = slab.max || Infinity;
+                tax += (Math.min(income, upper) - slab.min) * (slab.rate / 100);
+            }
+        }
+
+        return Math.round(tax);
+    },
+
+    /**
+     * Return slabs if they are a non-empty array, otherwise null
+     * @param {Array} slabs - Candidate tax slabs
+     * @returns {Array|null} The slabs or null
+     */
+    validSlabs: function(slabs) {
+        return Array.isArray(slabs) && slabs.length > 0 ? slabs : null;
+    },
+
+    /**
+     * Round an amount to the nearest multiple (halves round up, as sections 288A and 288B require)
+     * @param {number} amount - Amount to round
+     * @param {number} multiple - Rounding multiple, e.g. 10 (a missing multiple rounds to the rupee)
+     * @returns {number} Rounded amount
+     */
+    roundTo: function(amount, multiple) {
+        const step = parseFloat(multiple) > 0 ? parseFloat(multiple) : 1;
+        return Math.round(amount / step) * step;
+    },
+
+    /**
+     * Sum a salary detail field across month entries
+     * @param {Array} months - Month entries ({ month, details })
+     * @param {string} field - Detail field name
+     * @returns {number} Sum of the field
+     */
+    sumDetails: function(months, field) {
+        return months.reduce((sum, entry) => sum + (entry.details[field] || 0), 0);
+    },
+
+    /**
+     * Sum the amount field of claims, recoveries or deductions
+     * @param {Array} items - Records with an amount field
+     * @returns {number} Sum of amounts
+     */
+    sumAmounts: function(items) {
+        return items.reduce((sum, item) => sum + (parseFloat(item.amount) || 0), 0);
+    }
+};
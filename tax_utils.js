@@ -3,30 +3,58 @@
  * Centralized tax calculation logic to ensure consistency across the application
  */
 
+/**
+ * Resolve the Section 87A limits, falling back to the tax parameters of the fiscal year
+ * The parameters are only read when a limit is not passed
+ * 
+ * @param {number} rebateLimit - Income up to which the rebate applies (optional)
+ * @param {number} maxRebate - Maximum rebate amount (optional)
+ * @param {string} fiscalYear - Fiscal year whose parameters fill in missing limits (defaults to the active year)
+ * @returns {Object} - { rebateLimit, maxRebate }
+ */
+function getSection87ALimits(rebateLimit, maxRebate, fiscalYear) {
+    let params = {};
+    if ((rebateLimit == null || maxRebate == null) && typeof DataManager !== 'undefined') {
+        params = DataManager.getTaxParameters(fiscalYear);
+    }
+    return {
+        rebateLimit: rebateLimit ?? params.taxRebateLimit ?? 1200000,
+        maxRebate: maxRebate ?? params.maxRebateAmount ?? 60000
+    };
+}
+
 /**
  * Calculate the tax rebate under Section 87A
- * Updated to apply to all income levels with max rebate of ₹60,000
+ * Uses the configured rebate limit and maximum rebate unless limits are passed
+ * (the TaxEngine passes the limits of the regime and fiscal year it is computing)
  * 
  * @param {number} income - Taxable income
  * @param {number} tax - Calculated tax amount
+ * @param {number} rebateLimit - Income up to which the rebate applies (optional)
+ * @param {number} maxRebate - Maximum rebate amount (optional)
+ * @param {string} fiscalYear - Fiscal year of the configured limits (optional)
  * @returns {number} - Rebate amount
  */
-function calculateSection87ARebate(income, tax) {
-    // Apply rebate only if income is up to ₹12,00,000
-    if (income <= 1200000) {
-        // Rebate is the entire tax amount, up to a maximum of ₹60,000
-        return Math.min(tax, 60000);
+function calculateSection87ARebate(income, tax, rebateLimit, maxRebate, fiscalYear) {
+    const limits = getSection87ALimits(rebateLimit, maxRebate, fiscalYear);
+    
+    // Apply rebate only if income is up to the rebate limit
+    if (income <= limits.rebateLimit) {
+        // Rebate is the entire tax amount, up to the maximum rebate
+        return Math.min(tax, limits.maxRebate);
     }
     return 0;
 }
 
 /**
- * Calculate marginal relief under Section 87A(b) for incomes just above ₹12,00,000
+ * Calculate marginal relief under Section 87A(b) for incomes above the rebate limit
  * 
- * For taxpayers with income slightly above ₹12,00,000, marginal relief ensures
- * they don't pay more tax than the amount by which their income exceeds ₹12,00,000
+ * Tax payable on income above the rebate limit cannot exceed the amount by which the
+ * income exceeds that limit, so the relief is the difference between the tax and the
+ * excess income. There is no fixed upper band: relief simply becomes zero once the
+ * excess income is at least the tax.
  * 
- * Example:
+ * Example (rebate limit ₹12,00,000):
  * If Income = ₹12,50,000
  * Tax before marginal relief = ₹67,500
  * Excess income over ₹12,00,000 = ₹50,000
@@ -35,72 +63,41 @@ function calculateSection87ARebate(income, tax) {
  * 
  * @param {number} income - Taxable income
  * @param {number} tax - Calculated tax amount (after Section 87A rebate)
+ * @param {number} rebateLimit - Section 87A rebate limit (optional)
+ * @param {string} fiscalYear - Fiscal year of the configured limit (optional)
  * @returns {number} - Marginal relief amount
  */
-function calculateMarginalRelief87AB(income, tax) {
-    // Apply marginal relief only for incomes just above ₹12,00,000
-    // Typically applies in the range of ₹12,00,001 to ₹13,50,000 (approx.)
-    if (income > 1200000 && income <= 1350000) {
-        // Calculate excess income over 12 lakh
-        const excessIncome = income - 1200000;
-        
-        // Calculate the tax at 12 lakh (with rebate)
-        const taxAt12Lakh = 0; // Would be 0 after Section 87A rebate
-        
-        // Calculate the additional tax due to excess income
-        const additionalTax = tax - taxAt12Lakh;
-        
-        // If additional tax exceeds excess income, provide relief
-        if (additionalTax > excessIncome) {
-            return additionalTax - excessIncome;
-        }
-    }
+function calculateMarginalRelief87AB(income, tax, rebateLimit, fiscalYear) {
+    const limit = rebateLimit ?? getSection87ALimits(undefined, undefined, fiscalYear).rebateLimit;
     
-    return 0;
+    if (income <= limit) return 0;
+    
+    const excessIncome = income - limit;
+    return Math.max(0, tax - excessIncome);
 }
 
 /**
- * Calculate tax using the latest tax regime
+ * Calculate new regime tax after the Section 87A rebate and 87A(b) marginal relief
+ * Uses the configured tax slabs and rebate limits
  * 
  * @param {number} income - Taxable income amount
+ * @param {Object} params - Tax parameters (defaults to the active fiscal year's)
  * @returns {number} - Calculated tax amount
  */
-function calculateTax(income) {
+function calculateTax(income, params = DataManager.getTaxParameters()) {
     if (income <= 0) return 0;
     
-    // Income Tax Slabs
     let tax = 0;
-    
-    // 0-4 Lakh: 0%
-    if (income > 400000) {
-        // 4-8 Lakh: 5%
-        tax += Math.min(income - 400000, 400000) * 0.05;
-        
-        if (income > 800000) {
-            // 8-12 Lakh: 10%
-            tax += Math.min(income - 800000, 400000) * 0.10;
-            
-            if (income > 1200000) {
-                // 12-16 Lakh: 15%
-                tax += Math.min(income - 1200000, 400000) * 0.15;
-                
-                if (income > 1600000) {
-                    // 16-20 Lakh: 20%
-                    tax += Math.min(income - 1600000, 400000) * 0.20;
-                    
-                    if (income > 2000000) {
-                        // 20-24 Lakh: 25%
-                        tax += Math.min(income - 2000000, 400000) * 0.25;
-                        
-                        if (income > 2400000) {
-                            // Above 24 Lakh: 30%
-                            tax += (income - 2400000) * 0.30;
-                        }
-                    }
-                }
-            }
+    for (const slab of params.taxSlabs || []) {
+        if (income > slab.min) {
+            const upper = slab.max || Infinity;
+            tax += (Math.min(income, upper) - slab.min) * (slab.rate / 100);
         }
     }
+    tax = Math.round(tax);
+    
+    const rebate = calculateSection87ARebate(income, tax, params.taxRebateLimit, params.maxRebateAmount, params.fiscalYear);
+    const relief = calculateMarginalRelief87AB(income, tax - rebate, params.taxRebateLimit, params.fiscalYear);
     
-    return Math.round(tax);
-}
\ No newline at end of file
+    return Math.max(0, tax - rebate - relief);
+}
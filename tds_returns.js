@@ -0,0 +1,543 @@
+/**
+ * TDS Returns Script - Keeps the challan register, reconciles deposits with the tax deducted,
+ * exports the Form 24Q quarterly return and reconciles TRACES / 26AS credits
+ */
+
+// Initialize on page load
+document.addEventListener('DOMContentLoaded', function() {
+    populateFiscalYearSelect('challanFiscalYear');
+    populateFiscalYearSelect('returnFiscalYear');
+    populateChallanMonths();
+    loadChallans();
+
+    document.getElementById('challanFiscalYear').addEventListener('change', populateChallanMonths);
+    document.getElementById('challanMonth').addEventListener('change', fillUndepositedAmount);
+    document.getElementById('challanBookEntry').addEventListener('change', updateChallanLabels);
+    document.getElementById('returnFiscalYear').addEventListener('change', function() {
+        document.getElementById('returnSummary').innerHTML = '';
+        document.getElementById('tracesResult').innerHTML = '';
+        loadChallans();
+    });
+    document.getElementById('returnQuarter').addEventListener('change', function() {
+        document.getElementById('returnSummary').innerHTML = '';
+    });
+
+    document.getElementById('challanForm').addEventListener('submit', function(e) {
+        e.preventDefault();
+        addChallan();
+    });
+
+    document.getElementById('validateReturnBtn').addEventListener('click', validateReturn);
+    document.getElementById('exportReturnBtn').addEventListener('click', exportReturn);
+    document.getElementById('reconcileTracesBtn').addEventListener('click', reconcileTracesStatement);
+});
+
+// Fill a fiscal year dropdown with the active fiscal year and the three before it
+function populateFiscalYearSelect(id) {
+    const select = document.getElementById(id);
+    const activeFiscalYear = DataManager.getActiveFiscalYear();
+    const activeStartYear = parseInt(activeFiscalYear);
+
+    for (let year = activeStartYear; year >= activeStartYear - 3; year--) {
+        const option = document.createElement('option');
+        option.value = `${year}-${year + 1}`;
+        option.textContent = `${year}-${year + 1}`;
+        option.selected = option.value === activeFiscalYear;
+        select.appendChild(option);
+    }
+}
+
+// Fill the challan month dropdown with the months of the selected fiscal year
+function populateChallanMonths() {
+    const fiscalYear = document.getElementById('challanFiscalYear').value;
+    const select = document.getElementById('challanMonth');
+
+    select.innerHTML = '<option value="">Select Month</option>' + FiscalCalendar.getMonths(fiscalYear)
+        .map(month => `<option value="${month.label}">${month.label}</option>`)
+        .join('');
+}
+
+// Label the challan identifiers for a TIN challan or a book entry
+function updateChallanLabels() {
+    const bookEntry = document.getElementById('challanBookEntry').checked;
+
+    document.getElementById('challanBsrCodeLabel').textContent = bookEntry ? 'Form 24G Receipt No.' : 'BSR Code';
+    document.getElementById('challanSerialLabel').textContent = bookEntry ? 'DDO Serial No. (Transfer Voucher)' : 'Challan Serial No.';
+}
+
+// Suggest the tax deducted in the selected month that is not yet deposited
+function fillUndepositedAmount() {
+    const fiscalYear = document.getElementById('challanFiscalYear').value;
+    const month = document.getElementById('challanMonth').value;
+
+    if (!month) return;
+
+    const undeposited = ChallanRegister.undepositedFor(fiscalYear, month);
+    document.getElementById('challanAmount').value = undeposited > 0 ? undeposited : '';
+}
+
+// Load the challan register and the reconciliation of the fiscal year selected for the return
+function loadChallans() {
+    loadReconciliation();
+
+    const fiscalYear = document.getElementById('returnFiscalYear').value;
+    const challans = DataManager.loadChallans();
+    const months = FiscalCalendar.getMonths(fiscalYear).map(month => month.label);
+    const yearChallans = challans
+        .filter(challan => challan.fiscalYear === fiscalYear)
+        .sort((a, b) => months.indexOf(a.month) - months.indexOf(b.month));
+
+    const listContainer = document.getElementById('challanList');
+
+    if (yearChallans.length === 0) {
+        listContainer.innerHTML = `<p class="text-center">No challans found for FY ${fiscalYear}.</p>`;
+        return;
+    }
+
+    let html = `
+        <table class="table table-striped table-hover">
+            <thead class="table-dark">
+                <tr>
+                    <th>Month</th>
+                    <th>Mode</th>
+                    <th>BSR Code / 24G Receipt</th>
+                    <th>Challan / DDO Serial</th>
+                    <th>Date of Deposit</th>
+                    <th>Amount</th>
+                    <th>Actions</th>
+                </tr>
+            </thead>
+            <tbody>
+    `;
+
+    yearChallans.forEach(challan => {
+        const originalIndex = challans.indexOf(challan);
+
+        html += `
+            <tr>
+                <td>${challan.month}</td>
+                <td>${challan.bookEntry ? 'Book entry' : 'TIN challan'}</td>
+                <td>${challan.bsrCode}</td>
+                <td>${challan.challanSerial}</td>
+                <td>${formatDate(challan.depositDate)}</td>
+                <td>${formatCurrency(challan.amount)}</td>
+                <td>
+                    <button class="btn-delete" onclick="deleteChallan(${originalIndex})">Delete</button>
+                </td>
+            </tr>
+        `;
+    });
+
+    html += '</tbody></table>';
+    listContainer.innerHTML = html;
+}
+
+// Show the tax deducted and deposited by month, with quarter subtotals
+function loadReconciliation() {
+    const fiscalYear = document.getElementById('returnFiscalYear').value;
+    const container = document.getElementById('reconciliationTable');
+    const reconciliation = ChallanRegister.reconcile(fiscalYear);
+
+    const differenceCell = difference => {
+        if (difference > 0) {
+            return `<td class="text-end text-danger">${formatCurrency(difference)} <span class="badge bg-danger">Undeposited</span></td>`;
+        }
+        if (difference < 0) {
+            return `<td class="text-end text-warning">${formatCurrency(-difference)} <span class="badge bg-warning text-dark">Over-deposited</span></td>`;
+        }
+        return `<td class="text-end">${formatCurrency(0)}</td>`;
+    };
+
+    let html = `
+        <table class="table table-sm table-striped">
+            <thead class="table-dark">
+                <tr>
+                    <th>Month</th>
+                    <th class="text-end">Salary TDS</th>
+                    <th class="text-end">Manual TDS</th>
+                    <th class="text-end">Deducted</th>
+                    <th class="text-end">Deposited</th>
+                    <th class="text-end">Difference</th>
+                    <th>Challans</th>
+                </tr>
+            </thead>
+            <tbody>
+    `;
+
+    reconciliation.quarters.forEach(quarter => {
+        reconciliation.months.filter(row => row.quarter === quarter.quarter).forEach(row => {
+            html += `
+                <tr>
+                    <td>${row.month}</td>
+                    <td class="text-end">${formatCurrency(row.salaryTDS)}</td>
+                    <td class="text-end">${formatCurrency(row.manualTDS)}</td>
+                    <td class="text-end">${formatCurrency(row.deducted)}</td>
+                    <td class="text-end">${formatCurrency(row.deposited)}</td>
+                    ${differenceCell(row.difference)}
+                    <td class="small">${row.challans.map(challan => ChallanRegister.reference(challan)).join('<br>') || '-'}</td>
+                </tr>
+            `;
+        });
+
+        html += `
+                <tr class="fw-bold">
+                    <td>${quarter.quarter}</td>
+                    <td></td>
+                    <td></td>
+                    <td class="text-end">${formatCurrency(quarter.deducted)}</td>
+                    <td class="text-end">${formatCurrency(quarter.deposited)}</td>
+                    ${differenceCell(quarter.difference)}
+                    <td></td>
+                </tr>
+        `;
+    });
+
+    html += `
+            </tbody>
+            <tfoot>
+                <tr class="fw-bold">
+                    <td>FY ${fiscalYear}</td>
+                    <td></td>
+                    <td></td>
+                    <td class="text-end">${formatCurrency(reconciliation.totals.deducted)}</td>
+                    <td class="text-end">${formatCurrency(reconciliation.totals.deposited)}</td>
+                    ${differenceCell(reconciliation.totals.difference)}
+                    <td></td>
+                </tr>
+            </tfoot>
+        </table>
+    `;
+
+    if (reconciliation.unscheduled > 0) {
+        html += `<p class="small text-muted">${formatCurrency(reconciliation.unscheduled)} of tax deducted is not tied to a month (manual deductions for months without salary data, or tax deduction bill claims) and is not reconciled here.</p>`;
+    }
+
+    container.innerHTML = html;
+}
+
+// Add a challan
+function addChallan() {
+    const bookEntry = document.getElementById('challanBookEntry').checked;
+    const challan = {
+        fiscalYear: document.getElementById('challanFiscalYear').value,
+        month: document.getElementById('challanMonth').value,
+        bookEntry: bookEntry,
+        bsrCode: document.getElementById('challanBsrCode').value.trim(),
+        challanSerial: document.getElementById('challanSerial').value.trim(),
+        depositDate: document.getElementById('challanDepositDate').value,
+        amount: parseFloat(document.getElementById('challanAmount').value) || 0,
+        date: new Date().toISOString().split('T')[0]
+    };
+
+    if (!challan.month) {
+        alert('Please select the month of deduction');
+        return;
+    }
+
+    if (!/^\d{7}$/.test(challan.bsrCode)) {
+        alert(bookEntry ? 'Please enter the seven-digit Form 24G receipt number' : 'Please enter the seven-digit BSR code');
+        return;
+    }
+
+    if (!/^\d{1,5}$/.test(challan.challanSerial)) {
+        alert(bookEntry ? 'Please enter the DDO serial number (up to five digits)' : 'Please enter the challan serial number (up to five digits)');
+        return;
+    }
+
+    if (!challan.depositDate) {
+        alert('Please enter the date of deposit');
+        return;
+    }
+
+    if (challan.amount <= 0) {
+        alert('Please enter a valid amount (greater than 0)');
+        return;
+    }
+
+    const challans = DataManager.loadChallans();
+
+    if (challans.some(existing => existing.bsrCode === challan.bsrCode &&
+        existing.challanSerial === challan.challanSerial && existing.depositDate === challan.depositDate)) {
+        alert('This challan has already been recorded');
+        return;
+    }
+
+    challans.push(challan);
+    DataManager.saveChallans(challans);
+
+    clearChallanForm();
+    loadChallans();
+    document.getElementById('returnSummary').innerHTML = '';
+    alert('Challan added successfully!');
+}
+
+// Delete a challan
+function deleteChallan(index) {
+    if (!confirm('Are you sure you want to delete this challan?')) return;
+
+    const challans = DataManager.loadChallans();
+
+    if (index >= 0 && index < challans.length) {
+        challans.splice(index, 1);
+        DataManager.saveChallans(challans);
+        loadChallans();
+        document.getElementById('returnSummary').innerHTML = '';
+    }
+}
+
+// Clear the challan form, keeping the fiscal year
+function clearChallanForm() {
+    document.getElementById('challanMonth').value = '';
+    document.getElementById('challanBsrCode').value = '';
+    document.getElementById('challanSerial').value = '';
+    document.getElementById('challanDepositDate').value = '';
+    document.getElementById('challanAmount').value = '';
+    document.getElementById('challanBookEntry').checked = false;
+    updateChallanLabels();
+}
+
+// Build and check the statement for the selected quarter, and show the result
+function validateReturn() {
+    try {
+        const fiscalYear = document.getElementById('returnFiscalYear').value;
+        const quarter = document.getElementById('returnQuarter').value;
+        const statement = Form24Q.buildStatement(fiscalYear, quarter);
+        const issues = Form24Q.validate(statement);
+
+        renderReturnSummary(statement, issues);
+        return { statement, issues };
+    } catch (error) {
+        console.error('Error validating Form 24Q:', error);
+        alert('An error occurred while preparing Form 24Q. Please try again.');
+        return null;
+    }
+}
+
+// Show the challans, their deductee totals and the validation issues of a statement
+function renderReturnSummary(statement, issues) {
+    const errors = issues.filter(issue => issue.level === 'error');
+    const warnings = issues.filter(issue => issue.level === 'warning');
+
+    let html = `
+        <table class="table table-sm table-striped">
+            <thead class="table-dark">
+                <tr>
+                    <th>Month</th>
+                    <th>Challan</th>
+                    <th>Deductees</th>
+                    <th class="text-end">Tax Deducted</th>
+                    <th class="text-end">Deposited</th>
+                </tr>
+            </thead>
+            <tbody>
+    `;
+
+    statement.challans.forEach(({ challan, deductees }) => {
+        const deducted = deductees.reduce((sum, deductee) => sum + deductee.taxDeducted, 0);
+
+        html += `
+                <tr>
+                    <td>${challan.month}</td>
+                    <td>${ChallanRegister.reference(challan)} / ${formatDate(challan.depositDate)}</td>
+                    <td>${deductees.length}</td>
+                    <td class="text-end">${formatCurrency(deducted)}</td>
+                    <td class="text-end">${formatCurrency(challan.amount)}</td>
+                </tr>
+        `;
+    });
+
+    statement.months.forEach(month => {
+        const unmatched = statement.unmatched.filter(deductee => deductee.month === month);
+        if (unmatched.length === 0) return;
+
+        html += `
+                <tr class="table-danger">
+                    <td>${month}</td>
+                    <td>No challan</td>
+                    <td>${unmatched.length}</td>
+                    <td class="text-end">${formatCurrency(unmatched.reduce((sum, deductee) => sum + deductee.taxDeducted, 0))}</td>
+                    <td class="text-end">${formatCurrency(0)}</td>
+                </tr>
+        `;
+    });
+
+    html += `
+            </tbody>
+            <tfoot>
+                <tr class="fw-bold">
+                    <td colspan="2">Total</td>
+                    <td>${statement.totals.deductees}</td>
+                    <td class="text-end">${formatCurrency(statement.totals.deducted)}</td>
+                    <td class="text-end">${formatCurrency(statement.totals.deposited)}</td>
+                </tr>
+            </tfoot>
+        </table>
+    `;
+
+    if (statement.quarter === 'Q4') {
+        html += `<p class="small">Annexure II: salary details of ${statement.salaryDetails.length} employee(s), gross total income ${formatCurrency(statement.totals.grossTotalIncome)}.</p>`;
+    }
+
+    if (errors.length > 0) {
+        html += `
+            <div class="alert alert-danger">
+                <strong>Correct the following before exporting:</strong>
+                <ul class="mb-0">${errors.map(issue => `<li>${issue.message}</li>`).join('')}</ul>
+            </div>
+        `;
+    } else {
+        html += '<div class="alert alert-success">The statement passed validation and can be exported.</div>';
+    }
+
+    if (warnings.length > 0) {
+        html += `
+            <div class="alert alert-warning">
+                <ul class="mb-0">${warnings.map(issue => `<li>${issue.message}</li>`).join('')}</ul>
+            </div>
+        `;
+    }
+
+    document.getElementById('returnSummary').innerHTML = html;
+}
+
+// Export the Form 24Q text file for the selected quarter once it passes validation
+function exportReturn() {
+    const result = validateReturn();
+    if (!result) return;
+
+    if (result.issues.some(issue => issue.level === 'error')) {
+        alert('The statement has errors; correct them before exporting the file.');
+        return;
+    }
+
+    try {
+        const statement = result.statement;
+        const blob = new Blob([Form24Q.writeFile(statement)], { type: 'text/plain' });
+        const url = URL.createObjectURL(blob);
+
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${statement.deductor.tan.toUpperCase()}_24Q_${statement.quarter}_${statement.fiscalYear}.txt`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    } catch (error) {
+        console.error('Error exporting Form 24Q:', error);
+        alert('An error occurred while exporting Form 24Q. Please try again.');
+    }
+}
+
+// Read the selected TRACES / 26AS file and reconcile its credits with the tax deducted
+function reconcileTracesStatement() {
+    const fileInput = document.getElementById('tracesFile');
+    const fiscalYear = document.getElementById('returnFiscalYear').value;
+
+    if (!fileInput.files || fileInput.files.length === 0) {
+        alert('Please select a statement file');
+        return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = function(e) {
+        try {
+            const statement = TracesStatement.parse(e.target.result, fiscalYear);
+
+            if (statement.entries.length === 0) {
+                renderTracesResult(statement, null, fiscalYear);
+                return;
+            }
+
+            renderTracesResult(statement, TracesStatement.reconcile(statement.entries, fiscalYear), fiscalYear);
+        } catch (error) {
+            console.error('Error reconciling the statement:', error);
+            alert('An error occurred while reading the statement file. Please check the file and try again.');
+        }
+    };
+    reader.readAsText(fileInput.files[0]);
+}
+
+// Show the statement reconciliation, problems first
+function renderTracesResult(statement, reconciliation, fiscalYear) {
+    const container = document.getElementById('tracesResult');
+    let html = '';
+
+    if (statement.errors.length > 0) {
+        html += `
+            <div class="alert alert-${reconciliation ? 'warning' : 'danger'}">
+                <ul class="mb-0">${statement.errors.map(message => `<li>${escapeHtml(message)}</li>`).join('')}</ul>
+            </div>
+        `;
+    }
+
+    if (!reconciliation) {
+        container.innerHTML = html;
+        return;
+    }
+
+    const counts = reconciliation.counts;
+    const problems = reconciliation.rows.length - counts.matched;
+
+    html += `
+        <p>
+            ${statement.format === 'conso' ? 'TRACES consolidated file' : '26AS-style table'}:
+            ${statement.entries.length} credit(s) for ${reconciliation.quarters.join(', ')} of FY ${fiscalYear}${statement.skipped > 0 ? `, ${statement.skipped} row(s) skipped` : ''}.
+        </p>
+        <div class="mb-3">
+            ${Object.keys(TracesStatement.statuses).filter(status => counts[status] > 0).map(status =>
+                `<span class="badge ${TracesStatement.statuses[status].badge} me-1">${TracesStatement.statuses[status].label}: ${counts[status]}</span>`).join('')}
+        </div>
+    `;
+
+    if (problems === 0) {
+        html += '<div class="alert alert-success">Every employee\'s tax is reflected in full in the statement.</div>';
+    }
+
+    if (reconciliation.unscheduled.length > 0) {
+        html += `
+            <div class="alert alert-info">
+                <p class="mb-2">Tax deducted without a month (Tax Deduction bill claims and manual deductions that match no month) is not in the computed quarters. Its credit appears as an excess credit in the quarter it was deposited.</p>
+                <ul class="mb-0">
+                    ${reconciliation.unscheduled.map(entry => `<li>${escapeHtml(entry.regtNo)} ${escapeHtml(entry.name)}${entry.pan ? ` (${escapeHtml(entry.pan)})` : ''}: ${formatCurrency(entry.amount)}</li>`).join('')}
+                </ul>
+            </div>
+        `;
+    }
+
+    const rows = reconciliation.rows.filter(row => row.status !== 'matched')
+        .concat(reconciliation.rows.filter(row => row.status === 'matched'));
+
+    html += `
+        <table class="table table-sm table-striped">
+            <thead class="table-dark">
+                <tr>
+                    <th>Regt. No.</th>
+                    <th>Name</th>
+                    <th>PAN</th>
+                    <th>PAN in Statement</th>
+                    <th>Quarter</th>
+                    <th class="text-end">TDS Computed</th>
+                    <th class="text-end">Credited</th>
+                    <th class="text-end">Difference</th>
+                    <th>Status</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rows.map(row => `
+                <tr>
+                    <td>${escapeHtml(row.regtNo || '-')}</td>
+                    <td>${escapeHtml(row.name || '-')}</td>
+                    <td>${escapeHtml(row.pan || '-')}</td>
+                    <td>${escapeHtml(row.statementPan || '-')}</td>
+                    <td>${row.quarter}</td>
+                    <td class="text-end">${formatCurrency(row.computed)}</td>
+                    <td class="text-end">${formatCurrency(row.credited)}</td>
+                    <td class="text-end">${formatCurrency(row.difference)}</td>
+                    <td><span class="badge ${TracesStatement.statuses[row.status].badge}">${TracesStatement.statuses[row.status].label}</span></td>
+                </tr>`).join('')}
+            </tbody>
+        </table>
+    `;
+
+    container.innerHTML = html;
+}
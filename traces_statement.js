@@ -0,0 +1,295 @@
+/**
+ * TRACES Statement - Reconciles the tax credits booked by the Income Tax Department with the tax
+ * deducted by this unit
+ * Two kinds of file are read: the TRACES consolidated file of a filed statement (caret-delimited,
+ * in the same record layout as the Form 24Q file) and a 26AS-style table (CSV, tab or caret
+ * delimited) with a row per credit giving the PAN, the quarter or the date of payment and the
+ * tax deducted or deposited. Credits are matched with the computed TDS by PAN and quarter
+ */
+const TracesStatement = {
+    /**
+     * Reconciliation statuses and how they are shown
+     */
+    statuses: {
+        'matched': { label: 'Matched', badge: 'bg-success' },
+        'short-credit': { label: 'Short credit', badge: 'bg-danger' },
+        'excess-credit': { label: 'Excess credit', badge: 'bg-warning text-dark' },
+        'not-reflected': { label: 'Not reflected', badge: 'bg-danger' },
+        'pan-mismatch': { label: 'PAN mismatch', badge: 'bg-danger' },
+        'unknown-pan': { label: 'Unknown PAN', badge: 'bg-secondary' }
+    },
+
+    /**
+     * Read a statement file
+     * @param {string} text - File contents
+     * @param {string} fiscalYear - Fiscal year being reconciled
+     * @returns {Object} { format: 'conso'|'table', entries: [{ pan, name, quarter, amountPaid, credited }], skipped, errors }
+     */
+    parse: function(text, fiscalYear) {
+        const lines = String(text || '').split(/\r?\n/).filter(line => line.trim());
+
+        if (lines.some(line => /^\d+\^FH\^/.test(line))) {
+            return this.parseConsolidatedFile(lines, fiscalYear);
+        }
+        return this.parseTable(text, fiscalYear);
+    },
+
+    /**
+     * Read the deductee (DD) records of a TRACES consolidated file; the quarter is the period of the batch header
+     * @param {Array} lines - File lines
+     * @param {string} fiscalYear - Fiscal year being reconciled
+     * @returns {Object} { format, entries, skipped, errors }
+     */
+    parseConsolidatedFile: function(lines, fiscalYear) {
+        const startYear = parseInt(fiscalYear);
+        const expectedYear = `${startYear}${String(startYear + 1).slice(-2)}`;
+        const entries = [];
+        const errors = [];
+        let quarter = null;
+        let skipped = 0;
+
+        lines.forEach(line => {
+            const fields = line.split('^');
+
+            if (fields[1] === 'BH') {
+                quarter = /^Q[1-4]$/.test(fields[18]) ? fields[18] : null;
+                if (fields[4] && fields[4] !== '24Q') {
+                    errors.push(`The file is a Form ${fields[4]} statement, not Form 24Q.`);
+                }
+                if (fields[17] && fields[17] !== expectedYear) {
+                    errors.push(`The file is for financial year ${fields[17]}, not ${fiscalYear}.`);
+                }
+            } else if (fields[1] === 'DD') {
+                if (!quarter) {
+                    skipped++;
+                    return;
+                }
+
+                entries.push({
+                    pan: String(fields[9] || '').trim().toUpperCase(),
+                    name: String(fields[12] || '').trim(),
+                    quarter,
+                    amountPaid: safeParseNumber(fields[21]),
+                    credited: safeParseNumber(fields[18] || fields[16])
+                });
+            }
+        });
+
+        if (entries.length === 0 && errors.length === 0) {
+            errors.push('The file has no deductee records.');
+        }
+
+        return { format: 'conso', entries, skipped, errors };
+    },
+
+    /**
+     * Read a 26AS-style table; the header row is the first row with a PAN column and a tax column
+     * Credits dated outside the fiscal year are skipped
+     * @param {string} text - File contents
+     * @param {string} fiscalYear - Fiscal year being reconciled
+     * @returns {Object} { format, entries, skipped, errors }
+     */
+    parseTable: function(text, fiscalYear) {
+        const rows = Papa.parse(text, {
+            skipEmptyLines: true,
+            delimitersToGuess: [',', '\t', '^', ';', '|']
+        }).data;
+
+        const headerIndex = rows.findIndex(row =>
+            row.some(cell => /\bpan\b/i.test(cell) && !/ref/i.test(cell)) &&
+            row.some(cell => /deducted|deposited/i.test(cell)));
+
+        if (headerIndex === -1) {
+            return { format: 'table', entries: [], skipped: 0, errors: ['No header row with PAN and tax deducted or deposited columns was found.'] };
+        }
+
+        const header = rows[headerIndex].map(cell => String(cell).trim());
+        const column = pattern => header.findIndex(cell => pattern.test(cell));
+        const columns = {
+            pan: column(/^pan\b|pan of (the )?(employee|deductee)/i),
+            name: column(/name/i),
+            quarter: column(/quarter/i),
+            date: column(/date of (payment|credit|deduction)|transaction date|^date$/i),
+            amountPaid: column(/amount paid|paid|credited/i),
+            deducted: column(/deducted/i),
+            deposited: column(/deposited/i)
+        };
+        if (columns.pan === -1) columns.pan = header.findIndex(cell => /\bpan\b/i.test(cell) && !/ref/i.test(cell));
+
+        if (columns.quarter === -1 && columns.date === -1) {
+            return { format: 'table', entries: [], skipped: 0, errors: ['The table needs a quarter column or a date of payment column.'] };
+        }
+
+        const entries = [];
+        let skipped = 0;
+
+        rows.slice(headerIndex + 1).forEach(row => {
+            const pan = String(row[columns.pan] || '').trim().toUpperCase();
+            if (!pan) {
+                skipped++;
+                return;
+            }
+
+            let quarter = null;
+            if (columns.quarter !== -1) {
+                const match = String(row[columns.quarter] || '').match(/Q\s*([1-4])/i);
+                quarter = match ? `Q${match[1]}` : null;
+            } else {
+                const date = parseDate(String(row[columns.date] || '').trim());
+                if (date && !isNaN(date.getTime()) &&
+                    FiscalCalendar.fiscalYearOf({ month: date.getMonth(), year: date.getFullYear() }) === fiscalYear) {
+                    quarter = ChallanRegister.quarterOf(FiscalCalendar.formatMonth(date.getMonth(), date.getFullYear()));
+                }
+            }
+
+            if (!quarter) {
+                skipped++;
+                return;
+            }
+
+            entries.push({
+                pan,
+                name: columns.name !== -1 ? String(row[columns.name] || '').trim() : '',
+                quarter,
+                amountPaid: columns.amountPaid !== -1 ? safeParseNumber(row[columns.amountPaid]) : 0,
+                credited: safeParseNumber(row[columns.deposited !== -1 ? columns.deposited : columns.deducted])
+            });
+        });
+
+        return { format: 'table', entries, skipped, errors: entries.length === 0 ? ['The table has no credits for this fiscal year.'] : [] };
+    },
+
+    /**
+     * Tax deducted by this unit in each quarter, by employee
+     * Tax deducted without a month (Tax Deduction bill claims and manual deductions matching no month)
+     * cannot be placed in a quarter and is returned as unscheduled
+     * @param {string} fiscalYear - Fiscal year
+     * @returns {Array} [{ regtNo, name, pan, quarters: { Q1, Q2, Q3, Q4 }, unscheduled }]
+     */
+    computedTDS: function(fiscalYear) {
+        const computations = TaxEngine.computeAll(fiscalYear);
+
+        return Object.keys(computations).map(regtNo => {
+            const computation = computations[regtNo];
+            const quarters = { Q1: 0, Q2: 0, Q3: 0, Q4: 0 };
+
+            // Manual deductions count in their month even while that month's salary is projected
+            computation.tdsProjection.schedule
+                .filter(entry => entry.actual > 0)
+                .forEach(entry => {
+                    const quarter = ChallanRegister.quarterOf(entry.month);
+                    if (quarter) quarters[quarter] += entry.actual;
+                });
+
+            return {
+                regtNo,
+                name: computation.name || '',
+                pan: String(computation.pan || '').trim().toUpperCase(),
+                quarters,
+                unscheduled: computation.tdsProjection.otherDeductions - computation.previousEmployment.tds
+            };
+        });
+    },
+
+    /**
+     * Match the statement credits with the computed TDS by PAN and quarter
+     * Only the quarters the statement covers are compared. A credit to a PAN held by no employee is a
+     * PAN mismatch when an employee of the same name has tax deducted in that quarter, otherwise an unknown PAN
+     * @param {Array} entries - Parsed statement entries
+     * @param {string} fiscalYear - Fiscal year
+     * @returns {Object} { rows: [{ regtNo, name, pan, statementPan, quarter, computed, credited, difference, status }], quarters, counts,
+     *                    unscheduled: [{ regtNo, name, pan, amount }] }
+     */
+    reconcile: function(entries, fiscalYear) {
+        const employees = this.computedTDS(fiscalYear);
+        const quarters = ['Q1', 'Q2', 'Q3', 'Q4'].filter(quarter => entries.some(entry => entry.quarter === quarter));
+        const normaliseName = name => String(name || '').toUpperCase().replace(/[^A-Z ]/g, '').replace(/\s+/g, ' ').trim();
+
+        // Statement credits by PAN and quarter
+        const credits = {};
+        entries.forEach(entry => {
+            const key = `${entry.pan}|${entry.quarter}`;
+            if (!credits[key]) credits[key] = { pan: entry.pan, name: entry.name, quarter: entry.quarter, credited: 0 };
+            credits[key].credited += entry.credited;
+        });
+
+        const rows = [];
+        const used = new Set();
+
+        employees.forEach(employee => {
+            quarters.forEach(quarter => {
+                const computed = employee.quarters[quarter];
+                const key = `${employee.pan}|${quarter}`;
+                const credit = isValidPAN(employee.pan) ? credits[key] : null;
+
+                if (credit) used.add(key);
+                if (computed === 0 && !credit) return;
+
+                const credited = credit ? credit.credited : 0;
+                let status;
+                if (!isValidPAN(employee.pan)) {
+                    status = 'pan-mismatch';
+                } else if (!credit) {
+                    status = 'not-reflected';
+                } else if (credited < computed) {
+                    status = 'short-credit';
+                } else if (credited > computed) {
+                    status = 'excess-credit';
+                } else {
+                    status = 'matched';
+                }
+
+                rows.push({
+                    regtNo: employee.regtNo,
+                    name: employee.name,
+                    pan: employee.pan,
+                    statementPan: credit ? credit.pan : '',
+                    quarter,
+                    computed,
+                    credited,
+                    difference: computed - credited,
+                    status
+                });
+            });
+        });
+
+        // Credits to PANs that are not on the salary data
+        Object.keys(credits).filter(key => !used.has(key)).forEach(key => {
+            const credit = credits[key];
+            const row = rows.find(entry => entry.quarter === credit.quarter && !entry.statementPan &&
+                (entry.status === 'not-reflected' || entry.status === 'pan-mismatch') &&
+                normaliseName(entry.name) && normaliseName(entry.name) === normaliseName(credit.name));
+
+            if (row) {
+                row.statementPan = credit.pan;
+                row.credited = credit.credited;
+                row.difference = row.computed - credit.credited;
+                row.status = 'pan-mismatch';
+            } else {
+                rows.push({
+                    regtNo: '',
+                    name: credit.name,
+                    pan: '',
+                    statementPan: credit.pan,
+                    quarter: credit.quarter,
+                    computed: 0,
+                    credited: credit.credited,
+                    difference: -credit.credited,
+                    status: 'unknown-pan'
+                });
+            }
+        });
+
+        const counts = {};
+        Object.keys(this.statuses).forEach(status => {
+            counts[status] = rows.filter(row => row.status === status).length;
+        });
+
+        // Tax with no quarter is listed apart; its credit shows up as an excess in the quarter it was deposited
+        const unscheduled = employees
+            .filter(employee => employee.unscheduled > 0)
+            .map(employee => ({ regtNo: employee.regtNo, name: employee.name, pan: employee.pan, amount: employee.unscheduled }));
+
+        return { rows, quarters, counts, unscheduled };
+    }
+};
@@ -0,0 +1,385 @@
+/**
+ * Transfer File - Portable employee tax file for personnel posted out to another unit
+ * The issuing unit bundles an employee's year-to-date records and figures into a JSON document
+ * signed with the unit's ECDSA P-256 key; the receiving unit verifies the signature, checks the
+ * signing key's fingerprint against the units it trusts (Settings > Transfer File Signing) and
+ * imports the figures as a previous-unit (Form 12B) record after previewing them and any conflicts.
+ * Each unit's key pair is generated in its browser on first use and never leaves it; units exchange
+ * fingerprints by letter or phone, outside the files themselves
+ */
+const TransferFile = {
+    fileType: 'employee-tax-file',
+    version: '1.1',
+
+    /**
+     * Key and signature parameters for the Web Crypto API
+     */
+    keyAlgorithm: { name: 'ECDSA', namedCurve: 'P-256' },
+    signatureAlgorithm: { name: 'ECDSA', hash: 'SHA-256' },
+
+    /**
+     * Build the transfer file for one employee and fiscal year
+     * @param {string} regtNo - Regiment number
+     * @param {string} fiscalYear - Fiscal year (defaults to the active fiscal year)
+     * @returns {Promise<Object>} Signed transfer file
+     */
+    create: function(regtNo, fiscalYear = null) {
+        const year = fiscalYear || DataManager.getActiveFiscalYear();
+        const salaryMonths = DataManager.loadSalaryData()[regtNo];
+
+        if (!salaryMonths || salaryMonths.length === 0) {
+            return Promise.reject(new Error(`No salary data found for regiment number: ${regtNo}`));
+        }
+
+        const orgDetails = DataManager.getOrganizationDetails() || {};
+        const profile = DataManager.getEmployeeProfile(regtNo);
+        const records = {
+            salaryMonths: FiscalCalendar.buildSchedule(salaryMonths, year).actual,
+            billClaims: DataManager.loadBillClaims().filter(claim => claim.regtNo === regtNo),
+            manualRecoveries: DataManager.loadManualRecoveries().filter(recovery => recovery.regtNo === regtNo),
+            taxDeductions: DataManager.loadTaxDeductions().filter(deduction => deduction.regtNo === regtNo),
+            previousEmployers: DataManager.loadPreviousEmployers()
+                .filter(record => record.regtNo === regtNo && record.fiscalYear === year),
+            retirementDate: DataManager.getRetirementDate(regtNo),
+            serviceStartDate: DataManager.getServiceStartDate(regtNo)
+        };
+        const details = salaryMonths[0].details;
+
+        const file = {
+            type: this.fileType,
+            version: this.version,
+            createdAt: new Date().toISOString(),
+            fiscalYear: year,
+            issuer: {
+                name: orgDetails.name || 'Border Security Force',
+                department: orgDetails.department || '',
+                address: orgDetails.address || '',
+                tan: orgDetails.tan || ''
+            },
+            employee: { regtNo, name: details.name || '', rank: details.rank || '', pan: details.pan || '' },
+            summary: this.summarise(records, year, profile),
+            records
+        };
+
+        return this.getSigningKey().then(key =>
+            crypto.subtle.sign(this.signatureAlgorithm, key.privateKey, this.signedBytes(file)).then(signature => ({
+                ...file,
+                signature: {
+                    algorithm: 'ECDSA-P256-SHA256',
+                    publicKey: key.publicKey,
+                    value: this.toBase64(signature)
+                }
+            })));
+    },
+
+    /**
+     * Year-to-date figures of the issuing unit, as they will be carried into Form 12B
+     * Gross salary is net of recoveries; exemptions are those allowed under the employee's regime
+     * @param {Object} records - Records bundled in the file
+     * @param {string} fiscalYear - Fiscal year
+     * @param {Object} profile - Employee profile (regime, HRA declaration)
+     * @returns {Object} { periodFrom, periodTo, months, grossSalary, exemptions, recoveries, tds }
+     */
+    summarise: function(records, fiscalYear, profile) {
+        const params = DataManager.getTaxParameters(fiscalYear);
+        const months = records.salaryMonths;
+        const regime = profile.regime === 'old' ? 'old' : 'new';
+        const claims = records.billClaims;
+
+        const taxableClaims = claims.filter(claim =>
+            claim.billType !== 'Recovery' && claim.billType !== 'Tax Deduction' && claim.taxable);
+        const recoveries = TaxEngine.sumDetails(months, 'recovery') + TaxEngine.sumAmounts(records.manualRecoveries) +
+            TaxEngine.sumAmounts(claims.filter(claim => claim.billType === 'Recovery'));
+        const tds = TaxEngine.sumDetails(months, 'tax') + TaxEngine.sumAmounts(records.taxDeductions) +
+            TaxEngine.sumAmounts(claims.filter(claim => claim.billType === 'Tax Deduction'));
+
+        // HRA exemption under Section 10(13A) is only available under the old regime
+        const hraExemption = TaxEngine.calculateHRAExemption(months, profile.hra);
+        const statutoryExemptions = regime === 'old' && hraExemption.rentPaid > 0
+            ? [{ component: 'hra', label: 'HRA u/s 10(13A)', amount: hraExemption.hraReceived, exempt: hraExemption.exempt }]
+            : [];
+        const salary = TaxEngine.calculateSalaryExemptions(months, params.payComponentRules, regime, statutoryExemptions);
+        const leaveEncashment = TaxEngine.calculateLeaveEncashmentExemption(taxableClaims, records.retirementDate,
+            fiscalYear, params, (DataManager.getOrganizationDetails() || {}).employerCategory || 'central-government');
+
+        const first = months.length > 0 ? FiscalCalendar.parseMonth(months[0].month) : null;
+        const last = months.length > 0 ? FiscalCalendar.parseMonth(months[months.length - 1].month) : null;
+
+        return {
+            periodFrom: first ? formatDate(new Date(first.year, first.month, 1), 'YYYY-MM-DD') : '',
+            periodTo: last ? formatDate(new Date(last.year, last.month + 1, 0), 'YYYY-MM-DD') : '',
+            months: months.map(entry => entry.month),
+            regime,
+            grossSalary: salary.gross + TaxEngine.sumAmounts(taxableClaims) - recoveries,
+            exemptions: salary.exempt + leaveEncashment.exempt,
+            recoveries,
+            tds
+        };
+    },
+
+    /**
+     * This unit's signing key, generated and stored on first use
+     * @returns {Promise<Object>} { privateKey: CryptoKey, publicKey: JWK }
+     */
+    getSigningKey: function() {
+        const stored = DataManager.loadSigningKey();
+        if (stored) {
+            return crypto.subtle.importKey('jwk', stored.privateKey, this.keyAlgorithm, false, ['sign'])
+                .then(privateKey => ({ privateKey, publicKey: stored.publicKey }));
+        }
+
+        return crypto.subtle.generateKey(this.keyAlgorithm, true, ['sign', 'verify']).then(pair =>
+            Promise.all([
+                crypto.subtle.exportKey('jwk', pair.privateKey),
+                crypto.subtle.exportKey('jwk', pair.publicKey)
+            ]).then(([privateJwk, publicJwk]) => {
+                const publicKey = this.publicKeyFields(publicJwk);
+                DataManager.saveSigningKey({ privateKey: privateJwk, publicKey, createdAt: new Date().toISOString() });
+                return { privateKey: pair.privateKey, publicKey };
+            }));
+    },
+
+    /**
+     * Fingerprint of this unit's public key, to give to the units that import its files
+     * @returns {Promise<string>} Fingerprint (64 hex digits)
+     */
+    unitFingerprint: function() {
+        return this.getSigningKey().then(key => this.fingerprint(key.publicKey));
+    },
+
+    /**
+     * The fields that identify an EC public key, in a fixed order
+     * @param {Object} jwk - Public key as a JSON Web Key
+     * @returns {Object} { kty, crv, x, y }
+     */
+    publicKeyFields: function(jwk) {
+        return { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y };
+    },
+
+    /**
+     * SHA-256 fingerprint of a public key
+     * @param {Object} jwk - Public key as a JSON Web Key
+     * @returns {Promise<string>} Fingerprint (64 uppercase hex digits)
+     */
+    fingerprint: function(jwk) {
+        const bytes = new TextEncoder().encode(JSON.stringify(this.publicKeyFields(jwk)));
+
+        return crypto.subtle.digest('SHA-256', bytes).then(buffer =>
+            Array.from(new Uint8Array(buffer)).map(byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase());
+    },
+
+    /**
+     * Fingerprint as shown to users, in groups of four digits
+     * @param {string} fingerprint - Fingerprint
+     * @returns {string} e.g. '3F2A 91C0 ...'
+     */
+    formatFingerprint: function(fingerprint) {
+        return String(fingerprint || '').replace(/(.{4})(?=.)/g, '$1 ');
+    },
+
+    /**
+     * Normalise a fingerprint typed in by a user
+     * @param {string} text - Fingerprint with any spacing or separators
+     * @returns {string|null} 64 uppercase hex digits, or null if the text is not a fingerprint
+     */
+    parseFingerprint: function(text) {
+        const digits = String(text || '').replace(/[\s:-]/g, '').toUpperCase();
+        return /^[0-9A-F]{64}$/.test(digits) ? digits : null;
+    },
+
+    /**
+     * The bytes that are signed: the transfer file without its signature
+     * @param {Object} file - Transfer file
+     * @returns {Uint8Array} UTF-8 JSON
+     */
+    signedBytes: function(file) {
+        const { signature, ...content } = file;
+        return new TextEncoder().encode(JSON.stringify(content));
+    },
+
+    /**
+     * Verify a transfer file's signature and find the trusted unit its key belongs to
+     * @param {Object} file - Parsed transfer file
+     * @returns {Promise<Object>} { signed, signatureValid, fingerprint, trustedUnit }
+     */
+    verify: function(file) {
+        const signature = file.signature || {};
+        const publicKey = signature.publicKey;
+
+        if (!publicKey || !signature.value || publicKey.kty !== 'EC' || publicKey.crv !== 'P-256') {
+            return Promise.resolve({ signed: false, signatureValid: false, fingerprint: '', trustedUnit: null });
+        }
+
+        return crypto.subtle.importKey('jwk', this.publicKeyFields(publicKey), this.keyAlgorithm, false, ['verify'])
+            .then(key => crypto.subtle.verify(this.signatureAlgorithm, key, this.fromBase64(signature.value), this.signedBytes(file)))
+            .catch(() => false)
+            .then(signatureValid => this.fingerprint(publicKey).then(fingerprint => ({
+                signed: true,
+                signatureValid,
+                fingerprint,
+                trustedUnit: DataManager.loadTrustedUnits().find(unit => unit.fingerprint === fingerprint) || null
+            })));
+    },
+
+    /**
+     * Check a parsed transfer file before import
+     * Only a file whose signature verifies with the key of a trusted unit can be imported
+     * @param {Object} file - Parsed transfer file
+     * @returns {Promise<Object>} { valid, signatureValid, fingerprint, trustedUnit, conflicts: [{ level: 'error'|'warning', message }] }
+     */
+    preview: function(file) {
+        if (!file || file.type !== this.fileType || !file.employee || !file.issuer || !file.summary ||
+            !Array.isArray(file.summary.months) || !file.records || !Array.isArray(file.records.previousEmployers)) {
+            return Promise.resolve({
+                valid: false,
+                signatureValid: false,
+                fingerprint: '',
+                trustedUnit: null,
+                conflicts: [{ level: 'error', message: 'This is not an employee tax file.' }]
+            });
+        }
+
+        return this.verify(file).then(verification => {
+            const conflicts = this.findConflicts(file);
+
+            if (!verification.signed) {
+                conflicts.unshift({ level: 'error', message: 'The file is not signed. Ask the issuing unit to export it again.' });
+            } else if (!verification.signatureValid) {
+                conflicts.unshift({ level: 'error', message: 'The signature does not match the contents; the file has been altered or damaged.' });
+            } else if (!verification.trustedUnit) {
+                conflicts.unshift({ level: 'error', message: `The file is signed with a key that is not in the trusted units (fingerprint ${this.formatFingerprint(verification.fingerprint)}). Confirm the fingerprint with the issuing unit and add it under Settings > Transfer File Signing.` });
+            }
+
+            return {
+                valid: !conflicts.some(conflict => conflict.level === 'error'),
+                signatureValid: verification.signatureValid,
+                fingerprint: verification.fingerprint,
+                trustedUnit: verification.trustedUnit,
+                conflicts
+            };
+        });
+    },
+
+    /**
+     * Base64-encode binary data
+     * @param {ArrayBuffer} buffer - Data
+     * @returns {string} Base64 string
+     */
+    toBase64: function(buffer) {
+        return btoa(String.fromCharCode(...new Uint8Array(buffer)));
+    },
+
+    /**
+     * Decode base64 text
+     * @param {string} text - Base64 string
+     * @returns {Uint8Array} Data
+     */
+    fromBase64: function(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    },
+
+    /**
+     * Compare a transfer file with the data held by this unit
+     * @param {Object} file - Parsed transfer file
+     * @returns {Array} Conflicts ({ level: 'error'|'warning', message })
+     */
+    findConflicts: function(file) {
+        const conflicts = [];
+        const regtNo = file.employee.regtNo;
+        const activeFiscalYear = DataManager.getActiveFiscalYear();
+        const previousEmployers = DataManager.loadPreviousEmployers().filter(record => record.regtNo === regtNo);
+
+        if (previousEmployers.some(record => record.transfer && record.transfer.signature === (file.signature || {}).value)) {
+            conflicts.push({ level: 'error', message: 'This file has already been imported.' });
+        } else if (previousEmployers.some(record => record.transfer && record.fiscalYear === file.fiscalYear &&
+            record.transfer.issuer === file.issuer.name)) {
+            conflicts.push({ level: 'warning', message: `An earlier transfer file from ${file.issuer.name} for FY ${file.fiscalYear} will be replaced.` });
+        }
+
+        if (file.fiscalYear !== activeFiscalYear) {
+            conflicts.push({ level: 'warning', message: `The file is for FY ${file.fiscalYear}; the active fiscal year is ${activeFiscalYear}.` });
+        }
+
+        // The same months paid here and by the issuing unit would be counted twice
+        const localMonths = DataManager.loadSalaryData()[regtNo] || [];
+        const localLabels = FiscalCalendar.buildSchedule(localMonths, file.fiscalYear).actual.map(entry => entry.month);
+        const overlap = file.summary.months.filter(month => localLabels.includes(month));
+        if (overlap.length > 0) {
+            conflicts.push({ level: 'warning', message: `Salary for ${overlap.join(', ')} is also in this unit's salary data and would be counted twice.` });
+        }
+
+        const localPan = localMonths.length > 0 ? (localMonths[0].details.pan || '') : '';
+        if (localPan && file.employee.pan && localPan.toUpperCase() !== file.employee.pan.toUpperCase()) {
+            conflicts.push({ level: 'warning', message: `PAN in the file (${file.employee.pan}) differs from this unit's records (${localPan}).` });
+        }
+
+        const localRetirement = DataManager.getRetirementDate(regtNo);
+        if (localRetirement && file.records.retirementDate && localRetirement !== file.records.retirementDate) {
+            conflicts.push({ level: 'warning', message: `Retirement date in the file (${file.records.retirementDate}) differs from this unit's (${localRetirement}); this unit's date is kept.` });
+        }
+
+        // Previous employers the issuing unit already recorded are carried forward unless held here too
+        file.records.previousEmployers.forEach(record => {
+            if (previousEmployers.some(local => local.fiscalYear === record.fiscalYear &&
+                local.employerName === record.employerName && local.tds === record.tds && local.grossSalary === record.grossSalary)) {
+                conflicts.push({ level: 'warning', message: `Previous employer ${record.employerName} is already recorded here and will not be added again.` });
+            }
+        });
+
+        return conflicts;
+    },
+
+    /**
+     * Import a verified transfer file as a previous-unit (Form 12B) record
+     * Earlier employers recorded by the issuing unit are carried forward, and the retirement and
+     * service start dates are taken over when this unit has none
+     * @param {Object} file - Parsed and previewed transfer file
+     * @param {string} fingerprint - Fingerprint of the key that signed it, from the preview
+     * @returns {Object} The previous employer record created
+     */
+    importFile: function(file, fingerprint) {
+        const regtNo = file.employee.regtNo;
+        const records = DataManager.loadPreviousEmployers().filter(record => !(record.regtNo === regtNo &&
+            record.transfer && record.fiscalYear === file.fiscalYear && record.transfer.issuer === file.issuer.name));
+
+        file.records.previousEmployers.forEach(carried => {
+            const alreadyHeld = records.some(local => local.regtNo === regtNo && local.fiscalYear === carried.fiscalYear &&
+                local.employerName === carried.employerName && local.tds === carried.tds && local.grossSalary === carried.grossSalary);
+            if (!alreadyHeld) records.push({ ...carried, regtNo });
+        });
+
+        const record = {
+            regtNo,
+            fiscalYear: file.fiscalYear,
+            employerName: file.issuer.name + (file.issuer.department ? ` (${file.issuer.department})` : ''),
+            tan: file.issuer.tan,
+            periodFrom: file.summary.periodFrom,
+            periodTo: file.summary.periodTo,
+            grossSalary: file.summary.grossSalary,
+            exemptions: file.summary.exemptions,
+            professionalTax: 0,
+            tds: file.summary.tds,
+            date: new Date().toISOString().split('T')[0],
+            transfer: {
+                issuer: file.issuer.name,
+                createdAt: file.createdAt,
+                signature: file.signature.value,
+                fingerprint
+            }
+        };
+        records.push(record);
+        DataManager.savePreviousEmployers(records);
+
+        if (file.records.retirementDate && !DataManager.getRetirementDate(regtNo)) {
+            DataManager.saveRetirementDate(regtNo, file.records.retirementDate);
+        }
+        if (file.records.serviceStartDate && !DataManager.getServiceStartDate(regtNo)) {
+            DataManager.saveServiceStartDate(regtNo, file.records.serviceStartDate);
+        }
+
+        // Clear tax summary cache since previous employer income affects tax calculations
+        DataManager.clearTaxSummaryCache();
+
+        return record;
+    }
+};
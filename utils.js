@@ -30,6 +30,21 @@ function safeParseNumber(value) {
     return isNaN(parsed) ? 0 : parsed;
 }
 
+/**
+ * Escape text for insertion into HTML markup
+ * @param {any} value - The text to escape
+ * @returns {string} - Text with HTML special characters replaced by entities
+ */
+function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    })[char]);
+}
+
 /**
  * Calculate tax based on the income using the new tax regime
  * @param {number} income - The taxable income
@@ -112,29 +127,9 @@ function calculateTax(income) {
     const taxCredit = income <= taxRebateLimit ? Math.min(tax, maxRebateAmount) : 0;
     tax = Math.max(tax - taxCredit, 0);
     
-    // Find the threshold for marginal relief
-    // It's the first slab with a non-zero rate
-    const firstTaxableSlab = slabs.find(slab => slab.rate > 0);
-    const marginalReliefThreshold = firstTaxableSlab ? firstTaxableSlab.min : 0;
-    
-    // Calculate upper bound for marginal relief (threshold + 50000)
-    const marginalReliefUpperBound = marginalReliefThreshold + 50000;
-    
-    // Apply marginal relief for incomes just above the threshold
-    if (income > marginalReliefThreshold && income <= marginalReliefUpperBound) {
-        // Calculate tax at threshold
-        const taxAtThreshold = calculateTaxHelper(marginalReliefThreshold, slabs);
-        
-        // Additional income above threshold
-        const additionalIncome = income - marginalReliefThreshold;
-        
-        // Additional tax above threshold
-        const additionalTax = tax - taxAtThreshold;
-        
-        // If additional tax is more than additional income, provide relief
-        if (additionalTax > additionalIncome) {
-            tax = taxAtThreshold + additionalIncome;
-        }
+    // Marginal relief: tax above the rebate limit cannot exceed the income above that limit
+    if (income > taxRebateLimit) {
+        tax = Math.min(tax, income - taxRebateLimit);
     }
     
     return Math.round(tax);
@@ -205,6 +200,12 @@ function calculateMarginalRelief(income, tax) {
 function parseDate(dateStr) {
     if (!dateStr) return null;
     
+    // Dates are entered as DD-MM-YYYY; read them day first so 10-04-2025 is 10 April, not 4 October
+    const dayFirst = String(dateStr).match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+    if (dayFirst) {
+        return new Date(parseInt(dayFirst[3]), parseInt(dayFirst[2]) - 1, parseInt(dayFirst[1]));
+    }
+    
     // Try different date formats
     const date = new Date(dateStr);
     if (!isNaN(date.getTime())) return date;
@@ -225,138 +226,6 @@ function parseDate(dateStr) {
     return null;
 }
 
-/**
- * Extend employee data to cover 12 months or until retirement date
- * @param {Array} employee - The employee data array
- * @param {string|Date} retirementDate - Optional retirement date
- * @returns {Array} - Extended employee data
- */
-function extendTo12Months(employee, retirementDate = null) {
-    if (!employee || employee.length === 0) return [];
-    
-    // Clone the employee data to avoid modifying the original
-    const result = JSON.parse(JSON.stringify(employee));
-    
-    // Get the fiscal year dates
-    const today = new Date();
-    const fiscalYearStart = new Date(today.getFullYear(), 3, 1); // April 1st of current year
-    if (today < fiscalYearStart) {
-        fiscalYearStart.setFullYear(fiscalYearStart.getFullYear() - 1); // Previous year's April
-    }
-    const fiscalYearEnd = new Date(fiscalYearStart);
-    fiscalYearEnd.setFullYear(fiscalYearStart.getFullYear() + 1);
-    fiscalYearEnd.setDate(0); // Last day of March next year
-    
-    // Month name arrays (short and long forms)
-    const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-    const monthNamesLong = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
-    
-    // Find the latest month from employee data
-    const lastEntry = result[result.length - 1];
-    let lastMonthStr = lastEntry.month;
-    let lastMonth, lastYear;
-    
-    // Parse the month and year from the last entry
-    // Try different formats - "MMM YYYY", "MMMM YYYY", "MM-YYYY"
-    let monthMatch = lastMonthStr.match(/([a-zA-Z]{3,})[\s-](\d{4})/i);
-    if (monthMatch) {
-        // Format like "Jan 2025" or "January 2025"
-        const monthStr = monthMatch[1];
-        lastYear = parseInt(monthMatch[2]);
-        
-        // Find month index
-        lastMonth = monthNames.findIndex(m => m.toLowerCase() === monthStr.toLowerCase());
-        if (lastMonth === -1) {
-            lastMonth = monthNamesLong.findIndex(m => m.toLowerCase() === monthStr.toLowerCase());
-        }
-    } else {
-        // Try numeric format (MM-YYYY)
-        monthMatch = lastMonthStr.match(/(\d{1,2})[\s-/](\d{4})/);
-        if (monthMatch) {
-            lastMonth = parseInt(monthMatch[1]) - 1; // 0-based index
-            lastYear = parseInt(monthMatch[2]);
-        } else {
-            // Default to current month if parsing fails
-            console.warn("Could not parse month format:", lastMonthStr);
-            lastMonth = today.getMonth();
-            lastYear = today.getFullYear();
-        }
-    }
-    
-    // Check if retirement date is valid
-    let retireDate = null;
-    
-    if (retirementDate) {
-        retireDate = typeof retirementDate === 'string' 
-            ? parseDate(retirementDate) 
-            : retirementDate;
-    }
-    
-    // Calculate max months based on retirement date
-    let maxMonths = 12; // Default to 12 months (full fiscal year)
-    
-    // If retirement date is valid
-    if (retireDate && !isNaN(retireDate.getTime())) {
-        // If retirement date is before fiscal year start, they're already retired
-        if (retireDate < fiscalYearStart) {
-            return [];
-        }
-        
-        // If retirement date is within the fiscal year, calculate months until retirement
-        if (retireDate <= fiscalYearEnd) {
-            // Calculate months from fiscal year start to retirement
-            const monthsActive = (
-                (retireDate.getFullYear() - fiscalYearStart.getFullYear()) * 12 + 
-                retireDate.getMonth() - fiscalYearStart.getMonth() + 
-                (retireDate.getDate() >= 15 ? 1 : 0) // Count current month if retiring after 15th
-            );
-            
-            // Ensure at least one month if retiring in April
-            maxMonths = Math.max(1, monthsActive);
-        }
-    }
-    
-    // Create continuous months data from the last month in the original data
-    // Start from the month after the last one in the data
-    let currentMonth = lastMonth;
-    let currentYear = lastYear;
-    
-    const lastMonthData = JSON.parse(JSON.stringify(lastEntry));
-    
-    // Add months until we reach 12 or the retirement limit
-    while (result.length < maxMonths) {
-        // Move to the next month
-        currentMonth++;
-        if (currentMonth > 11) {
-            currentMonth = 0;
-            currentYear++;
-        }
-        
-        // Format the month string to match the format used in the original data
-        let nextMonthStr;
-        if (monthMatch && monthMatch[1].length <= 3) {
-            // Use short month name format (Jan 2025)
-            nextMonthStr = `${monthNames[currentMonth]} ${currentYear}`;
-        } else if (monthMatch && monthMatch[1].length > 3) {
-            // Use long month name format (January 2025)
-            nextMonthStr = `${monthNamesLong[currentMonth]} ${currentYear}`;
-        } else {
-            // Use numeric format (MM-YYYY)
-            nextMonthStr = `${String(currentMonth + 1).padStart(2, '0')}-${currentYear}`;
-        }
-        
-        // Create new month entry with updated month name
-        const newMonthEntry = JSON.parse(JSON.stringify(lastMonthData));
-        newMonthEntry.month = nextMonthStr;
-        
-        // Add to result
-        result.push(newMonthEntry);
-    }
-    
-    // Ensure we don't exceed maxMonths
-    return result.slice(0, maxMonths);
-}
-
 /**
  * Format date in a readable format
  * @param {string|Date} date - Date to format
@@ -422,6 +291,24 @@ function getCurrentIndianFiscalYear() {
     }
 }
 
+/**
+ * Check that a value is a well-formed PAN (five letters, four digits, one letter)
+ * @param {string} pan - Permanent Account Number
+ * @returns {boolean} - True if the PAN is well formed
+ */
+function isValidPAN(pan) {
+    return /^[A-Z]{5}[0-9]{4}[A-Z]$/.test(String(pan || '').trim().toUpperCase());
+}
+
+/**
+ * Check that a value is a well-formed TAN (four letters, five digits, one letter)
+ * @param {string} tan - Tax Deduction and Collection Account Number
+ * @returns {boolean} - True if the TAN is well formed
+ */
+function isValidTAN(tan) {
+    return /^[A-Z]{4}[0-9]{5}[A-Z]$/.test(String(tan || '').trim().toUpperCase());
+}
+
 /**
  * Initialize date pickers in the document
  * Uses Flatpickr library